@@ -1,65 +1,452 @@
 import { useState, useRef, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
-import proData from './data/pickle_backhand_baseline_drive_pro.json';
+import { validateFrames, DEFAULT_REQUIRED_KEYPOINTS } from './analysis/frameValidation';
+import { getRelativeTimesMs } from './analysis/frameTiming';
+import { listTrackedPeople, pickDefaultPerson, getPersonForFrame, estimateImageSize } from './analysis/playerTracking';
+import {
+  detectHandedness,
+  getOrientedPose,
+  keypointsForHandedness,
+  HANDEDNESS_AUTO,
+  HANDEDNESS_RIGHT
+} from './analysis/handedness';
+import { getFrameScale, getHeightScale, UNITS_PIXELS, UNITS_CENTIMETERS } from './analysis/calibration';
+import { measureRotationReferences, estimateRotation } from './analysis/rotation';
+import {
+  computeJointAngles,
+  measureTorsoReference,
+  JOINT_ANGLE_METRICS,
+  JOINT_ANGLE_KEYPOINTS
+} from './analysis/jointAngles';
+import { preprocessPoses, SMOOTHING_SAVITZKY_GOLAY } from './analysis/keypointFilter';
+import {
+  buildAlignment,
+  warpPercent,
+  unwarpPercent,
+  ALIGNMENT_DTW,
+  ALIGNMENT_LINEAR,
+  ALIGNMENT_SAMPLES
+} from './analysis/timeWarping';
+import {
+  detectStrokeEvents,
+  detectContact,
+  buildPhases,
+  PHASE_BACKSWING,
+  PHASE_FORWARD_SWING,
+  PHASE_CONTACT,
+  PHASE_FOLLOW_THROUGH,
+  CONTACT_MANUAL,
+  contactPercent
+} from './analysis/strokeEvents';
+import { STROKE_TYPES, DEFAULT_STROKE_TYPE, getStrokeType } from './analysis/strokeTypes';
+import { getClipKey, loadAnchorOverrides, saveAnchorOverrides } from './storage/anchorOverrides';
+import {
+  loadImportedReferences,
+  saveImportedReferences,
+  createReference,
+  listReferences,
+  resolveReferences,
+  describeReferences,
+  REFERENCE_COMPOSITE
+} from './storage/referenceLibrary';
+import { applyReferenceTolerance } from './analysis/compositeReference';
+import { mean, standardDeviation } from './analysis/mathUtils';
+import { METRIC_LABELS } from './analysis/metricLabels';
+import { parseBenchmark, applyBenchmark } from './analysis/benchmarks';
+import {
+  loadBenchmarks,
+  saveBenchmarks,
+  createBenchmarkEntry,
+  listBenchmarks,
+  resolveBenchmark,
+  BENCHMARK_NONE
+} from './storage/benchmarkLibrary';
+import { parseRuleSet, evaluateRules, mildestLimit } from './analysis/scoringRules';
+import { scorePhases } from './analysis/phaseScores';
+import { measureCurveSimilarity } from './analysis/curveSimilarity';
+import { selectDrills, CONSISTENCY_RULE_ID } from './analysis/drillSelection';
+import { loadRuleSet, saveRuleSet } from './storage/ruleSets';
+import { loadPlayers, savePlayers, createPlayerId, sortPlayers } from './storage/playerProfiles';
+import { parsePlayer, drillLevelForPlayer, profileSettings } from './analysis/playerProfiles';
+import {
+  loadDrillPreferences,
+  saveDrillPreferences,
+  loadAssignedDrills,
+  saveAssignedDrills,
+  removeDrillPlan
+} from './storage/drillPlan';
+import {
+  isHistoryAvailable,
+  createAnalysisId,
+  saveAnalysis,
+  listAnalyses,
+  loadAnalysis,
+  deleteAnalysis
+} from './storage/analysisHistory';
+import { segmentStrokes, MIN_SESSION_MS } from './analysis/strokeSegmentation';
+import { analyzeConsistency, VARIATION_MEDIUM, VARIATION_HIGH } from './analysis/consistency';
+import { computeWristKinematics, computeAngularSpeed, checkKineticChain, findPeak } from './analysis/kinematics';
+import {
+  measureBodySegments,
+  NORMALIZATION_NONE,
+  NORMALIZATION_TORSO,
+  NORMALIZATION_LEG,
+  NORMALIZATION_HEIGHT,
+  NORMALIZATION_LABELS
+} from './analysis/bodyNormalization';
+import {
+  createAnalysisStatus,
+  assessKeypointCoverage,
+  assessFrameTiming,
+  degraded,
+  failed,
+  STATUS_FAILED,
+  SOURCE_DEMO,
+  SOURCE_UPLOAD
+} from './analysis/analysisStatus';
+import ValidationReport from './components/ValidationReport';
+import AnalysisStatusBanner from './components/AnalysisStatusBanner';
+import PlayerPicker from './components/PlayerPicker';
+import AnalysisSettings from './components/AnalysisSettings';
+import MetricChart from './components/MetricChart';
+import KineticChainCard from './components/KineticChainCard';
+import AlignmentCard from './components/AlignmentCard';
+import AnchorEditor from './components/AnchorEditor';
+import StrokeList from './components/StrokeList';
+import ConsistencyCard from './components/ConsistencyCard';
+import PhaseScoreCard from './components/PhaseScoreCard';
+import CurveSimilarityCard from './components/CurveSimilarityCard';
+import ReferenceManager from './components/ReferenceManager';
+import BenchmarkPanel from './components/BenchmarkPanel';
+import RuleEditor from './components/RuleEditor';
+import DrillPlan from './components/DrillPlan';
+import AnalysisHistory from './components/AnalysisHistory';
+import PlayerRoster from './components/PlayerRoster';
 import './App.css';
 
-const PickleballBackhandAnalysisV8 = () => {
+// Keypoints that feed at least one metric in extractMetrics (right-handed names)
+const METRIC_KEYPOINTS = ['rightWrist', 'rightHip', 'leftHip', 'leftShoulder', 'rightShoulder', 'leftAnkle', 'rightAnkle'];
+
+// Keypoints only the joint angles need
+const JOINT_ANGLE_ONLY_KEYPOINTS = [...new Set(Object.values(JOINT_ANGLE_KEYPOINTS).flat())]
+  .filter(name => !METRIC_KEYPOINTS.includes(name));
+
+const EMPTY_COMPARISON = {
+  wristHip: [],
+  shoulderRotation: [],
+  hipRotation: [],
+  xFactor: [],
+  weightTransfer: [],
+  armExtension: [],
+  elbowFlexion: [],
+  hittingKneeFlexion: [],
+  offKneeFlexion: [],
+  trunkLean: [],
+  forearmAngle: [],
+  wristSpeed: [],
+  wristAcceleration: []
+};
+
+// Anchor detection on the wrist-hip curve. Rates are in pixels per second,
+// measured over a fixed stretch of capture time rather than between
+// neighbouring samples, and offsets are in milliseconds, so the anchors land
+// on the same moments at any frame rate.
+const RATE_WINDOW_MS = 30;
+const SWING_ONSET_RATE = 60;
+const SETTLED_RATE = 30;
+const BACKSWING_LEAD_MS = 150;
+const FOLLOW_THROUGH_MIN_MS = 330;
+const FOLLOW_THROUGH_SETTLE_MS = 150;
+
+// Series averaged into a composite reference
+const COMPOSITE_SERIES = [...Object.keys(EMPTY_COMPARISON), 'wristHipOffset'];
+
+// Metrics the DTW alignment matches on: the wrist path plus the torso turn
+const ALIGNMENT_METRICS = ['wristHip', 'armExtension', 'shoulderRotation', 'hipRotation', 'wristSpeed'];
+
+const DEFAULT_ANALYSIS_SETTINGS = {
+  // Track id of the trainee; null means "first person in each frame"
+  personId: null,
+  handedness: HANDEDNESS_AUTO,
+  units: UNITS_PIXELS,
+  // Express distances relative to a body segment instead of px/cm
+  normalization: NORMALIZATION_NONE,
+  // Keypoint smoothing applied before any metric is computed
+  smoothing: SMOOTHING_SAVITZKY_GOLAY,
+  // How trainee stroke time is matched to the pro's
+  alignment: ALIGNMENT_DTW,
+  // Which stroke the clip shows; picks the reference, metrics and rules
+  strokeType: DEFAULT_STROKE_TYPE,
+  // Reference id to compare against (null: the stroke type's first), or
+  // REFERENCE_COMPOSITE to average the references in compositeIds (null: all)
+  referenceId: null,
+  compositeIds: null,
+  // Skill-level benchmark to place the trainee in (null: the stroke type's
+  // first) and the level to score against (null: the pro reference)
+  benchmarkId: null,
+  targetLevel: null,
+  // Trainee's height (cm), which calibrates clips without camera or court
+  // calibration
+  playerHeightCm: null
+};
+
+// Comparison charts in display order; each stroke type shows the ones in
+// its metrics list
+const METRIC_CHARTS = [
+  { key: 'wristHip', title: 'Wrist-Hip Vertical Differential', yLabel: unit => `Wrist Position (${unit})` },
+  { key: 'shoulderRotation', title: 'Shoulder Rotation', yLabel: () => 'Rotation (°)', proColor: '#82ca9d' },
+  { key: 'xFactor', title: 'Hip-Shoulder Separation (X-Factor)', yLabel: () => 'Separation (°)', referenceY: 0 },
+  {
+    key: 'weightTransfer',
+    title: 'Weight Transfer',
+    yLabel: () => 'Front Foot Weight (%)',
+    proColor: '#ff7300',
+    yDomain: [0, 100],
+    referenceY: 50,
+    referenceLabel: 'Balanced'
+  },
+  { key: 'armExtension', title: 'Arm Extension', yLabel: unit => `Extension (${unit})`, proColor: '#0088fe' },
+  { key: 'wristSpeed', title: 'Wrist Speed', yLabel: unit => `Speed (${unit}/s)`, proColor: '#0088fe' },
+  {
+    key: 'wristAcceleration',
+    title: 'Wrist Acceleration',
+    yLabel: unit => `Acceleration (${unit}/s²)`,
+    proColor: '#82ca9d',
+    referenceY: 0
+  },
+  { key: 'elbowFlexion', title: 'Elbow Flexion', yLabel: () => 'Flexion (°)', proColor: '#82ca9d' },
+  { key: 'hittingKneeFlexion', title: 'Knee Flexion (hitting side)', yLabel: () => 'Flexion (°)', proColor: '#ff7300' },
+  { key: 'offKneeFlexion', title: 'Knee Flexion (off side)', yLabel: () => 'Flexion (°)', proColor: '#ff7300' },
+  { key: 'trunkLean', title: 'Trunk Lean', yLabel: () => 'Lean from vertical (°)', proColor: '#0088fe' },
+  { key: 'forearmAngle', title: 'Forearm Angle', yLabel: () => 'Wrist above elbow (°)', referenceY: 0 }
+];
+
+const DISTANCE_UNIT_LABELS = {
+  [UNITS_PIXELS]: 'px',
+  [UNITS_CENTIMETERS]: 'cm',
+  [NORMALIZATION_TORSO]: '% torso',
+  [NORMALIZATION_LEG]: '% leg',
+  [NORMALIZATION_HEIGHT]: '% height'
+};
+
+// 1st, 2nd, 3rd, 4th, ... 11th, 12th, 13th, ... 21st
+const formatOrdinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : suffixes[n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+const PickleballStrokeAnalysis = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [traineeFileName, setTraineeFileName] = useState('');
-  const [comparisonData, setComparisonData] = useState({
-    wristHip: [],
-    shoulderRotation: [],
-    weightTransfer: [],
-    armExtension: []
-  });
+  const [comparisonData, setComparisonData] = useState(EMPTY_COMPARISON);
   const [phaseMarkers, setPhaseMarkers] = useState([]);
+  const [traineePhaseMarkers, setTraineePhaseMarkers] = useState([]);
   const [statsComparison, setStatsComparison] = useState(null);
   const [dynamicRecommendations, setDynamicRecommendations] = useState(null);
+  const [validationReport, setValidationReport] = useState(null);
+  const [analysisStatus, setAnalysisStatus] = useState(null);
+  const [traineeUpload, setTraineeUpload] = useState(null);
+  const [analysisSettings, setAnalysisSettings] = useState(DEFAULT_ANALYSIS_SETTINGS);
+  const [detectedHandedness, setDetectedHandedness] = useState(null);
+  const [calibrationInfo, setCalibrationInfo] = useState(null);
+  const [alignment, setAlignment] = useState(null);
+  const [anchorEditor, setAnchorEditor] = useState(null);
+  const [anchorError, setAnchorError] = useState(null);
+  const [segmentation, setSegmentation] = useState(null);
+  const [selectedStroke, setSelectedStroke] = useState(null);
+  const [sessionResults, setSessionResults] = useState(null);
+  const [consistency, setConsistency] = useState(null);
+  const [importedReferences, setImportedReferences] = useState(loadImportedReferences);
+  const [referenceImportError, setReferenceImportError] = useState(null);
+  const [benchmarks, setBenchmarks] = useState(loadBenchmarks);
+  const [benchmarkImportError, setBenchmarkImportError] = useState(null);
+  const [ruleSet, setRuleSet] = useState(loadRuleSet);
+  const [ruleSetError, setRuleSetError] = useState(null);
+  const [drillPreferences, setDrillPreferences] = useState(loadDrillPreferences);
+  const [assignedDrills, setAssignedDrills] = useState(loadAssignedDrills);
+  const [drillError, setDrillError] = useState(null);
+  const [players, setPlayers] = useState(() => sortPlayers(loadPlayers()));
+  const [playerError, setPlayerError] = useState(null);
+  // Who uploads are of, whose history is shown and whose analysis is on screen
+  const [currentPlayerId, setCurrentPlayerId] = useState(null);
+  const [historyPlayerId, setHistoryPlayerId] = useState(null);
+  const [analysisPlayerName, setAnalysisPlayerName] = useState(null);
+  const [analysisHistory, setAnalysisHistory] = useState([]);
+  const [openAnalysisId, setOpenAnalysisId] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
   const fileInputRef = useRef(null);
 
+  const refreshHistory = () => listAnalyses().then(setAnalysisHistory);
+
+  useEffect(() => {
+    if (isHistoryAvailable()) refreshHistory();
+  }, []);
+
   // Move all helper functions BEFORE they are used
 
-  const getEmbeddedProData = () => {
-    return proData;
+  // References the settings compare against; empty when the stroke type
+  // has none (or none are ticked for the composite)
+  const getReferences = (settings) => resolveReferences(
+    listReferences(settings.strokeType, importedReferences),
+    settings.referenceId,
+    settings.compositeIds
+  );
+
+  const getBenchmark = (settings) => resolveBenchmark(
+    listBenchmarks(settings.strokeType, benchmarks),
+    settings.benchmarkId
+  );
+
+  // Stats placed in the skill-level benchmark, when there is one
+  const benchmarkStats = (stats, settings) => {
+    const benchmark = getBenchmark(settings);
+    return benchmark ? applyBenchmark(stats, benchmark, settings.targetLevel) : stats;
   };
 
-  const extractMetrics = (frames, playerType) => {
+  const getMissingReferenceMessage = (strokeType) => (
+    `No pro reference for the ${strokeType.label.toLowerCase()} yet; import one or choose another stroke type`
+  );
+
+  const extractMetrics = (frames, playerType, options = {}) => {
+    // Left-handed poses are mirrored so the right-side metrics below apply
+    const {
+      personId = null,
+      handedness = HANDEDNESS_RIGHT,
+      units = UNITS_PIXELS,
+      normalization = NORMALIZATION_NONE,
+      smoothing = SMOOTHING_SAVITZKY_GOLAY,
+      // Player's height (cm), to calibrate clips that carry no calibration
+      heightCm = null
+    } = options;
+
     const metrics = {
       wristHip: [],
       shoulderRotation: [],
+      hipRotation: [],
+      xFactor: [],
       weightTransfer: [],
       armExtension: [],
-      frameIds: []
+      elbowFlexion: [],
+      hittingKneeFlexion: [],
+      offKneeFlexion: [],
+      trunkLean: [],
+      forearmAngle: [],
+      wristSpeed: [],
+      wristAcceleration: [],
+      segmentSpeeds: null,
+      wristHipOffset: [],
+      frameIds: [],
+      units: UNITS_PIXELS,
+      calibration: null,
+      bodySegments: null,
+      unitsPerPixel: 1,
+      preprocessing: null
     };
 
-    frames.forEach((frame) => {
-      const person = frame.primitives?.people?.[0];
-      if (!person || !person.pose) return;
+    // Milliseconds since the first frame, from the capture clock
+    const times = getRelativeTimesMs(frames);
+
+    // Outliers rejected, short gaps filled and keypoints smoothed before
+    // anything else, so every series below covers the same frames
+    const people = frames.map(frame => getPersonForFrame(frame, personId));
+    const cleaned = preprocessPoses(people, times, smoothing);
+    metrics.preprocessing = cleaned.summary;
+    const poses = cleaned.poses.map((pose, frameIndex) => (
+      pose ? getOrientedPose(pose, frames[frameIndex], handedness) : null
+    ));
+    const frameScales = frames.map((frame, frameIndex) => getFrameScale(frame, people[frameIndex]));
+    const rotationReferences = measureRotationReferences(poses);
+    const torsoReference = measureTorsoReference(poses);
+
+    // Per-frame centimeters per pixel; frames without calibration use the
+    // clip median. Without any calibration the metrics stay in pixels.
+    let scales = null;
+    if (normalization !== NORMALIZATION_NONE) {
+      // Percent of the player's own segment length; calibration cancels out
+      metrics.bodySegments = measureBodySegments(frames, personId);
+      const segmentLength = metrics.bodySegments[normalization];
+      if (segmentLength) {
+        scales = frames.map(() => 100 / segmentLength);
+        metrics.units = normalization;
+        metrics.unitsPerPixel = 100 / segmentLength;
+      }
+    } else if (units === UNITS_CENTIMETERS) {
+      const known = frameScales.filter(Boolean).map(scale => scale.cmPerPixel).sort((a, b) => a - b);
+      const heightScale = !known.length && heightCm
+        ? getHeightScale(heightCm, measureBodySegments(frames, personId)[NORMALIZATION_HEIGHT])
+        : null;
+      if (known.length) {
+        const medianScale = known[Math.floor(known.length / 2)];
+        scales = frameScales.map(scale => (scale ? scale.cmPerPixel : medianScale));
+        metrics.units = UNITS_CENTIMETERS;
+        metrics.unitsPerPixel = medianScale;
+        metrics.calibration = {
+          cmPerPixel: medianScale,
+          calibratedFrames: known.length,
+          methods: [...new Set(frameScales.filter(Boolean).map(scale => scale.method))]
+        };
+      } else if (heightScale) {
+        scales = frames.map(() => heightScale.cmPerPixel);
+        metrics.units = UNITS_CENTIMETERS;
+        metrics.unitsPerPixel = heightScale.cmPerPixel;
+        metrics.calibration = { cmPerPixel: heightScale.cmPerPixel, calibratedFrames: 0, methods: [heightScale.method] };
+      }
+    }
+
+    const wristSamples = [];
+
+    frames.forEach((frame, frameIndex) => {
+      const pose = poses[frameIndex];
+      if (!pose) return;
 
-      const pose = person.pose;
       const frameId = frame.frameId;
-      const timestamp = frame.timestamp || 0;
+      const timestamp = times[frameIndex];
+      const scale = scales ? scales[frameIndex] : 1;
 
       // Extract wrist-hip vertical differential
       if (pose.rightWrist && pose.rightWrist.y > 0 && pose.rightHip && pose.rightHip.y > 0) {
-        const wristHipDiff = pose.rightWrist.y - pose.rightHip.y;
+        const wristHipDiff = (pose.rightWrist.y - pose.rightHip.y) * scale;
         metrics.wristHip.push({
           frameId,
           timestamp,
           value: wristHipDiff,
           playerType
         });
+
+        // Horizontal wrist position relative to the hitting-side hip; its
+        // sign flips when the wrist passes the hip on the way to contact
+        metrics.wristHipOffset.push({
+          frameId,
+          timestamp,
+          value: (pose.rightWrist.x - pose.rightHip.x) * scale,
+          playerType
+        });
       }
 
-      // Extract shoulder rotation (using shoulder width as proxy)
-      if (pose.leftShoulder && pose.rightShoulder &&
-          pose.leftShoulder.x > 0 && pose.rightShoulder.x > 0) {
-        const shoulderWidth = Math.abs(pose.leftShoulder.x - pose.rightShoulder.x);
-        const rotation = (shoulderWidth / 50) * 45;
+      // Extract shoulder and hip rotation from line foreshortening, and the
+      // hip-shoulder separation between them
+      const rotation = estimateRotation(pose, rotationReferences, frameScales[frameIndex]?.cmPerPixel);
+      if (rotation.shoulder !== null) {
         metrics.shoulderRotation.push({
           frameId,
           timestamp,
-          value: rotation,
+          value: rotation.shoulder,
+          playerType
+        });
+      }
+      if (rotation.hip !== null) {
+        metrics.hipRotation.push({
+          frameId,
+          timestamp,
+          value: rotation.hip,
+          playerType
+        });
+      }
+      if (rotation.separation !== null) {
+        metrics.xFactor.push({
+          frameId,
+          timestamp,
+          value: rotation.separation,
           playerType
         });
       }
@@ -84,7 +471,7 @@ const PickleballBackhandAnalysisV8 = () => {
         const distance = Math.sqrt(
           Math.pow(pose.rightWrist.x - pose.rightShoulder.x, 2) +
           Math.pow(pose.rightWrist.y - pose.rightShoulder.y, 2)
-        );
+        ) * scale;
         metrics.armExtension.push({
           frameId,
           timestamp,
@@ -93,15 +480,80 @@ const PickleballBackhandAnalysisV8 = () => {
         });
       }
 
+      // Collect wrist positions for speed and acceleration
+      if (pose.rightWrist && pose.rightWrist.x > 0 && pose.rightWrist.y > 0) {
+        wristSamples.push({
+          frameId,
+          timestamp,
+          x: pose.rightWrist.x * scale,
+          y: pose.rightWrist.y * scale,
+          playerType
+        });
+      }
+
+      // Extract joint angles (elbow, knees, trunk lean, forearm)
+      const angles = computeJointAngles(pose, torsoReference);
+      JOINT_ANGLE_METRICS.forEach(key => {
+        if (angles[key] === null) return;
+        metrics[key].push({
+          frameId,
+          timestamp,
+          value: angles[key],
+          playerType
+        });
+      });
+
       metrics.frameIds.push(frameId);
     });
 
+    // Wrist speed as a paddle-speed proxy, plus the segment speeds the
+    // kinetic-chain check compares
+    const wrist = computeWristKinematics(wristSamples);
+    metrics.wristSpeed = wrist.speed;
+    metrics.wristAcceleration = wrist.acceleration;
+    metrics.segmentSpeeds = {
+      hip: computeAngularSpeed(metrics.hipRotation),
+      shoulder: computeAngularSpeed(metrics.shoulderRotation),
+      elbow: computeAngularSpeed(metrics.elbowFlexion),
+      wrist: metrics.wristSpeed
+    };
+
     return metrics;
   };
 
-  const findAnchorPoints = (wristHipData) => {
+  // Rate thresholds are in pixels per second; unitsPerPixel converts them
+  // when the series is in centimeters or body-relative units.
+  const findAnchorPoints = (wristHipData, unitsPerPixel = 1) => {
     if (!wristHipData || wristHipData.length === 0) return null;
 
+    const last = wristHipData.length - 1;
+    // First sample at least offsetMs after index, or the last one
+    const indexAfter = (index, offsetMs) => {
+      const time = wristHipData[index].timestamp + offsetMs;
+      for (let i = index; i <= last; i++) {
+        if (wristHipData[i].timestamp >= time) return i;
+      }
+      return last;
+    };
+    // Change per second from index to RATE_WINDOW_MS later
+    const rateFrom = (index) => {
+      const to = indexAfter(index, RATE_WINDOW_MS);
+      const seconds = (wristHipData[to].timestamp - wristHipData[index].timestamp) / 1000;
+      return seconds > 0 ? (wristHipData[to].value - wristHipData[index].value) / seconds : 0;
+    };
+    // Last sample at least offsetMs before index, or the first one
+    const indexBefore = (index, offsetMs) => {
+      const time = wristHipData[index].timestamp - offsetMs;
+      let found = 0;
+      for (let i = index; i >= 0; i--) {
+        if (wristHipData[i].timestamp <= time) {
+          found = i;
+          break;
+        }
+      }
+      return found;
+    };
+
     // Find the minimum point (maximum wrist drop)
     let minValue = Infinity;
     let minIndex = -1;
@@ -113,30 +565,48 @@ const PickleballBackhandAnalysisV8 = () => {
       }
     });
 
+    // Time of the lowest point between samples, from the parabola through it
+    // and its neighbours, so tempo doesn't depend on where frames happen to fall
+    let backswingPeakMs = wristHipData[minIndex].timestamp;
+    if (minIndex > 0 && minIndex < last) {
+      const [t0, t1, t2] = [minIndex - 1, minIndex, minIndex + 1].map(i => wristHipData[i].timestamp);
+      const [v0, v1, v2] = [minIndex - 1, minIndex, minIndex + 1].map(i => wristHipData[i].value);
+      const curvature = (v2 - v1) / (t2 - t1) - (v1 - v0) / (t1 - t0);
+      if (curvature > 0 && t0 < t1 && t1 < t2) {
+        const slopeBefore = (v1 - v0) / (t1 - t0);
+        const vertex = (t0 + t1) / 2 - slopeBefore * (t2 - t0) / 2 / curvature;
+        backswingPeakMs = Math.max(t0, Math.min(t2, vertex));
+      }
+    }
+
     // Find approximate phase boundaries
     let backswingStart = 0;
-    for (let i = 1; i < minIndex; i++) {
-      const rate = wristHipData[i].value - wristHipData[i-1].value;
-      if (rate < -2) {
-        backswingStart = Math.max(0, i - 5);
+    let backswingFound = false;
+    for (let i = 0; i < minIndex; i++) {
+      if (rateFrom(i) < -SWING_ONSET_RATE * unitsPerPixel) {
+        backswingStart = indexBefore(indexAfter(i, RATE_WINDOW_MS), BACKSWING_LEAD_MS);
+        backswingFound = true;
         break;
       }
     }
 
     let forwardSwingStart = minIndex;
-    for (let i = minIndex + 1; i < wristHipData.length - 1; i++) {
-      const rate = wristHipData[i+1].value - wristHipData[i].value;
-      if (rate > 2) {
+    let forwardSwingFound = false;
+    for (let i = minIndex + 1; i < last; i++) {
+      if (rateFrom(i) > SWING_ONSET_RATE * unitsPerPixel) {
         forwardSwingStart = i;
+        forwardSwingFound = true;
         break;
       }
     }
 
-    let followThroughEnd = wristHipData.length - 1;
-    for (let i = forwardSwingStart + 10; i < wristHipData.length - 5; i++) {
-      const variance = Math.abs(wristHipData[i+1].value - wristHipData[i].value);
-      if (variance < 1) {
-        followThroughEnd = i + 5;
+    let followThroughEnd = last;
+    let followThroughFound = false;
+    const settleLimit = wristHipData[last].timestamp - FOLLOW_THROUGH_SETTLE_MS;
+    for (let i = indexAfter(forwardSwingStart, FOLLOW_THROUGH_MIN_MS); i < last && wristHipData[i].timestamp <= settleLimit; i++) {
+      if (Math.abs(rateFrom(i)) < SETTLED_RATE * unitsPerPixel) {
+        followThroughEnd = indexAfter(i, FOLLOW_THROUGH_SETTLE_MS);
+        followThroughFound = true;
         break;
       }
     }
@@ -144,9 +614,13 @@ const PickleballBackhandAnalysisV8 = () => {
     return {
       backswingStart,
       backswingPeak: minIndex,
+      backswingPeakMs,
       forwardSwingStart,
       followThroughEnd,
-      minValue
+      minValue,
+      backswingFound,
+      forwardSwingFound,
+      followThroughFound
     };
   };
 
@@ -158,31 +632,173 @@ const PickleballBackhandAnalysisV8 = () => {
     return strokeStart + (strokeLength * percent / 100);
   };
 
-  const interpolateValue = (data, index) => {
-    if (!data || data.length === 0) return 0;
+  // Value of a series at a capture time (ms). Series can skip frames where
+  // their keypoints are missing, so they are matched by time, not by index.
+  const interpolateAtTime = (data, timeMs) => {
+    if (!data || data.length === 0) return null;
+    if (timeMs <= data[0].timestamp) return data[0].value;
+    if (timeMs >= data[data.length - 1].timestamp) return data[data.length - 1].value;
 
-    const floorIndex = Math.floor(index);
-    const ceilIndex = Math.ceil(index);
+    const after = data.findIndex(point => point.timestamp >= timeMs);
+    const before = data[after - 1];
+    const next = data[after];
+    if (next.timestamp === before.timestamp) return next.value;
 
-    if (floorIndex >= data.length - 1) return data[data.length - 1].value;
-    if (floorIndex === ceilIndex) return data[floorIndex].value;
+    const fraction = (timeMs - before.timestamp) / (next.timestamp - before.timestamp);
+    return before.value + (next.value - before.value) * fraction;
+  };
 
-    const fraction = index - floorIndex;
-    const floorValue = data[floorIndex].value;
-    const ceilValue = data[ceilIndex].value;
+  // Capture time (ms) at a fractional index of a series
+  const timestampAtIndex = (data, index) => {
+    const floorIndex = Math.max(0, Math.min(data.length - 1, Math.floor(index)));
+    const ceilIndex = Math.min(data.length - 1, floorIndex + 1);
+    const fraction = Math.max(0, Math.min(1, index - floorIndex));
+    return data[floorIndex].timestamp + (data[ceilIndex].timestamp - data[floorIndex].timestamp) * fraction;
+  };
 
-    return floorValue + (ceilValue - floorValue) * fraction;
+  // Stroke percentage of a capture time (ms); the inverse of getStrokeTimeMs
+  const getStrokePercent = (metrics, anchors, timeMs) => {
+    const series = metrics.wristHip;
+    const after = series.findIndex(point => point.timestamp >= timeMs);
+    let index;
+    if (after <= 0) {
+      index = after === 0 ? 0 : series.length - 1;
+    } else {
+      const span = series[after].timestamp - series[after - 1].timestamp;
+      index = after - 1 + (span > 0 ? (timeMs - series[after - 1].timestamp) / span : 0);
+    }
+    const strokeLength = anchors.followThroughEnd - anchors.backswingStart;
+    return strokeLength > 0 ? ((index - anchors.backswingStart) / strokeLength) * 100 : 0;
   };
 
-  const calculateComparisonStats = (proMetrics, traineeMetrics, proAnchors, traineeAnchors) => {
-    const proStrokeDuration = (proAnchors.followThroughEnd - proAnchors.backswingStart) / 30;
-    const traineeStrokeDuration = (traineeAnchors.followThroughEnd - traineeAnchors.backswingStart) / 30;
+  // Index of the sample nearest to a frame id
+  const findFrameIndex = (series, frameId) => {
+    let best = 0;
+    series.forEach((point, index) => {
+      if (Math.abs(point.frameId - frameId) < Math.abs(series[best].frameId - frameId)) best = index;
+    });
+    return best;
+  };
+
+  // Frame id of the sample nearest to a capture time (ms)
+  const findFrameAtTime = (series, timeMs) => {
+    let best = 0;
+    series.forEach((point, index) => {
+      if (Math.abs(point.timestamp - timeMs) < Math.abs(series[best].timestamp - timeMs)) best = index;
+    });
+    return series[best].frameId;
+  };
+
+  // Coach-corrected anchors (frame ids) replace the detected ones. The top
+  // of the backswing is also where the forward swing starts.
+  const applyAnchorOverrides = (anchors, series, overrides) => {
+    const corrected = { ...anchors };
+    if (overrides.backswingStart !== undefined) {
+      corrected.backswingStart = findFrameIndex(series, overrides.backswingStart);
+      corrected.backswingFound = true;
+    }
+    if (overrides.backswingPeak !== undefined) {
+      const index = findFrameIndex(series, overrides.backswingPeak);
+      corrected.backswingPeak = index;
+      corrected.backswingPeakMs = series[index].timestamp;
+      corrected.forwardSwingStart = index;
+      corrected.minValue = series[index].value;
+      corrected.forwardSwingFound = true;
+    }
+    if (overrides.followThroughEnd !== undefined) {
+      corrected.followThroughEnd = findFrameIndex(series, overrides.followThroughEnd);
+      corrected.followThroughFound = true;
+    }
+    return corrected;
+  };
+
+  // Stroke events in capture time, between the anchors. Without wrist speed
+  // the forward swing falls back to its anchor and contact to the middle of
+  // the forward swing. Manual anchors win over detected events.
+  const getStrokeEvents = (metrics, anchors, overrides = {}) => {
+    const series = metrics.wristHip;
+    const events = detectStrokeEvents(
+      metrics.wristSpeed,
+      metrics.wristHipOffset,
+      series[anchors.backswingStart].timestamp,
+      series[anchors.followThroughEnd].timestamp
+    );
+    if (events.forwardSwing === null) {
+      events.forwardSwing = series[anchors.forwardSwingStart].timestamp;
+      events.contact = (events.forwardSwing + events.end) / 2;
+    }
+
+    if (overrides.backswingPeak !== undefined) {
+      events.forwardSwing = series[anchors.backswingPeak].timestamp;
+      if (overrides.contact === undefined) {
+        const contact = detectContact(metrics.wristSpeed, metrics.wristHipOffset, events.forwardSwing, events.end);
+        events.contact = contact ? contact.time : (events.forwardSwing + events.end) / 2;
+        events.contactMethod = contact ? contact.method : null;
+      }
+    }
+    if (overrides.contact !== undefined) {
+      events.contact = series[findFrameIndex(series, overrides.contact)].timestamp;
+      events.contactMethod = CONTACT_MANUAL;
+    }
+    return events;
+  };
+
+  // What the anchor editor shows: the trainee's own wrist-hip curve and the
+  // anchors in use, as frame ids
+  const buildAnchorEditor = (series, anchors, events, overrides, units) => {
+    const contact = events
+      ? findFrameAtTime(series, events.contact)
+      : series[Math.round((anchors.backswingPeak + anchors.followThroughEnd) / 2)].frameId;
+    return {
+      series: series.map(point => ({ frameId: point.frameId, value: point.value })),
+      anchors: {
+        backswingStart: series[anchors.backswingStart].frameId,
+        backswingPeak: events ? findFrameAtTime(series, events.forwardSwing) : series[anchors.backswingPeak].frameId,
+        contact,
+        followThroughEnd: series[anchors.followThroughEnd].frameId
+      },
+      overrides,
+      units
+    };
+  };
 
-    const proMaxRotation = Math.max(...proMetrics.shoulderRotation.map(d => d.value));
-    const traineeMaxRotation = Math.max(...traineeMetrics.shoulderRotation.map(d => d.value));
+  // Capture time (ms) at a stroke percentage, from the wrist-hip anchors
+  const getStrokeTimeMs = (metrics, anchors, percent) => {
+    const series = metrics.wristHip;
+    return timestampAtIndex(series, mapPercentToIndex(percent, anchors, series.length));
+  };
+
+  // Seconds between two anchor indices of a wrist-hip series
+  const getSpanSeconds = (series, fromIndex, toIndex) => {
+    return (series[toIndex].timestamp - series[fromIndex].timestamp) / 1000;
+  };
 
-    const proMaxExtension = Math.max(...proMetrics.armExtension.map(d => d.value));
-    const traineeMaxExtension = Math.max(...traineeMetrics.armExtension.map(d => d.value));
+  const calculateComparisonStats = (proMetrics, traineeMetrics, proAnchors, traineeAnchors) => {
+    const proStrokeDuration = getSpanSeconds(proMetrics.wristHip, proAnchors.backswingStart, proAnchors.followThroughEnd);
+    const traineeStrokeDuration = getSpanSeconds(traineeMetrics.wristHip, traineeAnchors.backswingStart, traineeAnchors.followThroughEnd);
+
+    // Tempo as backswing time over forward swing time (lowest wrist point to finish)
+    const getTempo = (metrics, anchors) => {
+      const series = metrics.wristHip;
+      const backswing = anchors.backswingPeakMs - series[anchors.backswingStart].timestamp;
+      const forward = series[anchors.followThroughEnd].timestamp - anchors.backswingPeakMs;
+      return forward > 0 ? backswing / forward : 0;
+    };
+    const proTempo = getTempo(proMetrics, proAnchors);
+    const traineeTempo = getTempo(traineeMetrics, traineeAnchors);
+
+    // Highest value of a metric for both players, or null when either has
+    // no data for it (a metric the stroke type doesn't require)
+    const peakStat = (key) => {
+      if (!proMetrics[key].length || !traineeMetrics[key].length) return null;
+      const pro = Math.max(...proMetrics[key].map(d => d.value));
+      const trainee = Math.max(...traineeMetrics[key].map(d => d.value));
+      return {
+        pro: pro.toFixed(1),
+        trainee: trainee.toFixed(1),
+        difference: (trainee - pro).toFixed(1)
+      };
+    };
 
     return {
       strokeDuration: {
@@ -190,33 +806,141 @@ const PickleballBackhandAnalysisV8 = () => {
         trainee: traineeStrokeDuration.toFixed(2),
         difference: ((traineeStrokeDuration - proStrokeDuration) * 1000).toFixed(0)
       },
-      peakRotation: {
-        pro: proMaxRotation.toFixed(1),
-        trainee: traineeMaxRotation.toFixed(1),
-        difference: (traineeMaxRotation - proMaxRotation).toFixed(1)
-      },
-      peakExtension: {
-        pro: proMaxExtension.toFixed(1),
-        trainee: traineeMaxExtension.toFixed(1),
-        difference: (traineeMaxExtension - proMaxExtension).toFixed(1)
+      tempo: {
+        pro: proTempo.toFixed(2),
+        trainee: traineeTempo.toFixed(2),
+        difference: (traineeTempo - proTempo).toFixed(2)
       },
+      peakRotation: peakStat('shoulderRotation'),
+      peakXFactor: peakStat('xFactor'),
+      peakExtension: peakStat('armExtension'),
       wristDrop: {
         pro: proAnchors.minValue.toFixed(1),
         trainee: traineeAnchors.minValue.toFixed(1),
         difference: (traineeAnchors.minValue - proAnchors.minValue).toFixed(1)
+      },
+      units: {
+        distance: traineeMetrics.units
+      }
+    };
+  };
+
+  // Middle of the contact phase, as a stroke percentage
+  const getContactPercent = (phases) => contactPercent(phases) ?? 65;
+
+  const valueAtPercent = (series, percent, key) => {
+    const before = [...series].reverse().find(point => point.strokePercent <= percent);
+    const after = series.find(point => point.strokePercent >= percent);
+    if (!before || !after || before[key] === null || after[key] === null) return null;
+    if (after.strokePercent === before.strokePercent) return before[key];
+    const fraction = (percent - before.strokePercent) / (after.strokePercent - before.strokePercent);
+    return before[key] + (after[key] - before[key]) * fraction;
+  };
+
+  // Peak wrist speed and its timing relative to contact within the stroke
+  // window set by the anchors, and the kinetic-chain order over the forward
+  // swing into contact
+  const calculateSpeedStats = (proMetrics, traineeMetrics, proEvents, traineeEvents) => {
+    const analyze = (metrics, events) => {
+      const peak = findPeak(metrics.wristSpeed, events.start, events.end);
+      return {
+        peak,
+        peakRelativeMs: peak ? peak.timestamp - events.contact : null,
+        chain: checkKineticChain(metrics.segmentSpeeds, events.forwardSwing, events.contact)
+      };
+    };
+
+    const pro = analyze(proMetrics, proEvents);
+    const trainee = analyze(traineeMetrics, traineeEvents);
+    if (!pro.peak || !trainee.peak) return { wristSpeed: null, kineticChain: null };
+
+    return {
+      wristSpeed: {
+        peak: {
+          pro: pro.peak.value.toFixed(1),
+          trainee: trainee.peak.value.toFixed(1),
+          difference: (trainee.peak.value - pro.peak.value).toFixed(1)
+        },
+        peakTiming: {
+          pro: pro.peakRelativeMs.toFixed(0),
+          trainee: trainee.peakRelativeMs.toFixed(0),
+          difference: (trainee.peakRelativeMs - pro.peakRelativeMs).toFixed(0)
+        }
+      },
+      kineticChain: {
+        pro: pro.chain,
+        trainee: trainee.chain
       }
     };
   };
 
-  const generateDemoNormalizedData = () => {
+  // Duration of each phase for both players, from their own detected
+  // events (phases in capture time, ms)
+  const calculatePhaseTiming = (proPhases, traineePhases) => proPhases.map((phase, index) => {
+    const pro = phase.end - phase.start;
+    const trainee = traineePhases[index].end - traineePhases[index].start;
+    return {
+      phase: phase.phase,
+      label: phase.label,
+      pro: pro.toFixed(0),
+      trainee: trainee.toFixed(0),
+      difference: (trainee - pro).toFixed(0)
+    };
+  });
+
+  // Peak and at-contact joint angles from the normalized stroke, each player
+  // read at their own contact. Metrics the trainee has no data for are null.
+  const calculateJointAngleStats = (comparison, phases, traineePhases = phases) => {
+    const contactPercent = getContactPercent(phases);
+    const traineeContactPercent = getContactPercent(traineePhases);
+    const format = (pro, trainee) => ({
+      pro: pro.toFixed(1),
+      trainee: trainee.toFixed(1),
+      difference: (trainee - pro).toFixed(1)
+    });
+
+    const jointAngles = {};
+    JOINT_ANGLE_METRICS.forEach(key => {
+      const series = comparison[key];
+      const proValues = series.map(d => d.proValue).filter(v => v !== null);
+      const traineeValues = series.map(d => d.traineeValue).filter(v => v !== null);
+      const proContact = valueAtPercent(series, contactPercent, 'proValue');
+      const traineeContact = valueAtPercent(series, traineeContactPercent, 'traineeValue');
+
+      if (!proValues.length || !traineeValues.length || proContact === null || traineeContact === null) {
+        jointAngles[key] = null;
+        return;
+      }
+
+      jointAngles[key] = {
+        peak: format(Math.max(...proValues), Math.max(...traineeValues)),
+        atContact: format(proContact, traineeContact)
+      };
+    });
+    return jointAngles;
+  };
+
+  const generateDemoNormalizedData = (strokeType) => {
     // Your existing generateDemoNormalizedData function
     const comparison = {
       wristHip: [],
       shoulderRotation: [],
+      hipRotation: [],
+      xFactor: [],
       weightTransfer: [],
-      armExtension: []
+      armExtension: [],
+      elbowFlexion: [],
+      hittingKneeFlexion: [],
+      offKneeFlexion: [],
+      trunkLean: [],
+      forearmAngle: [],
+      wristSpeed: [],
+      wristAcceleration: []
     };
 
+    // Smooth bump peaking at `center` percent, for the demo joint angles
+    const bump = (percent, center, width) => Math.exp(-Math.pow((percent - center) / width, 2));
+
     for (let percent = 0; percent <= 100; percent += 2) {
       let proWristHip, traineeWristHip;
       if (percent < 30) {
@@ -248,6 +972,20 @@ const PickleballBackhandAnalysisV8 = () => {
         traineeRotation = 25 - ((percent - 60) * 0.3);
       }
 
+      // Hips lead the shoulders into the forward swing
+      let proHipRotation, traineeHipRotation;
+      if (percent < 30) {
+        proHipRotation = 5 + (percent * 0.6);
+        traineeHipRotation = 5 + (percent * 0.65);
+      } else if (percent < 50) {
+        const progress = (percent - 30) / 20;
+        proHipRotation = 23 - (progress * 18);
+        traineeHipRotation = 24.5 - (progress * 12);
+      } else {
+        proHipRotation = 5 - ((percent - 50) * 0.1);
+        traineeHipRotation = 12.5 - ((percent - 50) * 0.15);
+      }
+
       let proWeight, traineeWeight;
       if (percent < 30) {
         proWeight = 50 - (percent * 0.83);
@@ -287,6 +1025,18 @@ const PickleballBackhandAnalysisV8 = () => {
         traineeValue: traineeRotation
       });
 
+      comparison.hipRotation.push({
+        strokePercent: percent,
+        proValue: proHipRotation,
+        traineeValue: traineeHipRotation
+      });
+
+      comparison.xFactor.push({
+        strokePercent: percent,
+        proValue: proRotation - proHipRotation,
+        traineeValue: traineeRotation - traineeHipRotation
+      });
+
       comparison.weightTransfer.push({
         strokePercent: percent,
         proValue: proWeight,
@@ -298,14 +1048,70 @@ const PickleballBackhandAnalysisV8 = () => {
         proValue: proExtension,
         traineeValue: traineeExtension
       });
+
+      comparison.elbowFlexion.push({
+        strokePercent: percent,
+        proValue: 20 + 60 * bump(percent, 30, 20),
+        traineeValue: 8 + 45 * bump(percent, 35, 18)
+      });
+
+      comparison.hittingKneeFlexion.push({
+        strokePercent: percent,
+        proValue: 25 + 20 * bump(percent, 55, 25),
+        traineeValue: 15 + 8 * bump(percent, 55, 25)
+      });
+
+      comparison.offKneeFlexion.push({
+        strokePercent: percent,
+        proValue: 30 + 15 * bump(percent, 35, 25),
+        traineeValue: 18 + 10 * bump(percent, 35, 25)
+      });
+
+      comparison.trunkLean.push({
+        strokePercent: percent,
+        proValue: 12 + 10 * bump(percent, 60, 30),
+        traineeValue: 8 + 6 * bump(percent, 60, 30)
+      });
+
+      comparison.forearmAngle.push({
+        strokePercent: percent,
+        proValue: -40 + 70 * (percent / 100),
+        traineeValue: -45 + 60 * (percent / 100)
+      });
+
+      // Pro wrist speed peaks just before contact, the trainee's earlier and lower
+      comparison.wristSpeed.push({
+        strokePercent: percent,
+        proValue: 60 + 760 * bump(percent, 63, 12),
+        traineeValue: 60 + 550 * bump(percent, 55, 14)
+      });
+
+      // Derivative of the speed curves over a one-second stroke
+      comparison.wristAcceleration.push({
+        strokePercent: percent,
+        proValue: -760 * 100 * 2 * ((percent - 63) / 144) * bump(percent, 63, 12),
+        traineeValue: -550 * 100 * 2 * ((percent - 55) / 196) * bump(percent, 55, 14)
+      });
     }
 
-    const phases = [
-      { phase: 'Backswing', start: 0, end: 30, color: '#82ca9d' },
-      { phase: 'Forward Swing', start: 30, end: 60, color: '#ff7300' },
-      { phase: 'Contact', start: 60, end: 70, color: '#ff0000' },
-      { phase: 'Follow-through', start: 70, end: 100, color: '#0088fe' }
-    ];
+    // Demo phases come from the curves the same way as for a capture, with
+    // stroke percent standing in for time
+    const detectDemoPhases = (valueKey) => {
+      const speed = comparison.wristSpeed.map(d => ({ timestamp: d.strokePercent, value: d[valueKey] }));
+      return buildPhases(detectStrokeEvents(speed, null, 0, 100), 5, strokeType.phases.labels);
+    };
+    const phases = detectDemoPhases('proValue');
+    const traineePhases = detectDemoPhases('traineeValue');
+
+    // Each player's own curves for peak timing, as if both strokes took the
+    // demo pro's 1.5s (strokeDuration below)
+    const demoTiming = (valueKey) => {
+      const metrics = {};
+      Object.keys(comparison).forEach(key => {
+        metrics[key] = comparison[key].map(d => ({ timestamp: d.strokePercent * 15, value: d[valueKey] }));
+      });
+      return { metrics, events: detectStrokeEvents(metrics.wristSpeed, null, 0, 1500) };
+    };
 
     const stats = {
       strokeDuration: {
@@ -313,11 +1119,21 @@ const PickleballBackhandAnalysisV8 = () => {
         trainee: "1.75",
         difference: "250"
       },
+      tempo: {
+        pro: "0.82",
+        trainee: "0.95",
+        difference: "0.13"
+      },
       peakRotation: {
         pro: "45.0",
         trainee: "35.0",
         difference: "-10.0"
       },
+      peakXFactor: {
+        pro: "26.6",
+        trainee: "16.1",
+        difference: "-10.5"
+      },
       peakExtension: {
         pro: "100.0",
         trainee: "80.0",
@@ -327,239 +1143,374 @@ const PickleballBackhandAnalysisV8 = () => {
         pro: "-60.0",
         trainee: "-45.0",
         difference: "15.0"
-      }
+      },
+      units: {
+        distance: UNITS_PIXELS
+      },
+      phaseTiming: [
+        { phase: PHASE_BACKSWING, pro: "450", trainee: "600", difference: "150" },
+        { phase: PHASE_FORWARD_SWING, pro: "450", trainee: "480", difference: "30" },
+        { phase: PHASE_CONTACT, pro: "150", trainee: "140", difference: "-10" },
+        { phase: PHASE_FOLLOW_THROUGH, pro: "450", trainee: "530", difference: "80" }
+      ].map(timing => ({ ...timing, label: strokeType.phases.labels[timing.phase] })),
+      wristSpeed: {
+        peak: {
+          pro: "820.0",
+          trainee: "610.0",
+          difference: "-210.0"
+        },
+        peakTiming: {
+          pro: "-10",
+          trainee: "-90",
+          difference: "-80"
+        }
+      },
+      kineticChain: {
+        pro: {
+          peaks: [
+            { segment: 'hip', relativeMs: -150, value: 240 },
+            { segment: 'shoulder', relativeMs: -100, value: 420 },
+            { segment: 'elbow', relativeMs: -50, value: 610 },
+            { segment: 'wrist', relativeMs: -10, value: 820 }
+          ],
+          complete: true,
+          inOrder: true,
+          outOfOrder: []
+        },
+        trainee: {
+          peaks: [
+            { segment: 'hip', relativeMs: -60, value: 150 },
+            { segment: 'shoulder', relativeMs: -130, value: 310 },
+            { segment: 'elbow', relativeMs: -110, value: 480 },
+            { segment: 'wrist', relativeMs: -90, value: 610 }
+          ],
+          complete: true,
+          inOrder: false,
+          outOfOrder: ['Shoulders before hips', 'Elbow before hips']
+        }
+      },
+      jointAngles: calculateJointAngleStats(comparison, phases, traineePhases),
+      phaseScores: scorePhases(comparison, phases, strokeType.metrics),
+      curveSimilarity: measureCurveSimilarity(
+        comparison,
+        { pro: demoTiming('proValue'), trainee: demoTiming('traineeValue') },
+        strokeType.metrics
+      )
     };
 
-    return { comparison, phases, stats };
+    // Warping path matching the demo phase timings: the trainee spends
+    // longer in the backswing, so its boundaries land later in the stroke
+    const proBoundaries = [0, 30, 60, 70, 100];
+    const traineeBoundaries = [0, 34.3, 61.7, 69.7, 100];
+    const alignment = {
+      mode: ALIGNMENT_DTW,
+      metrics: ALIGNMENT_METRICS,
+      path: Array.from({ length: ALIGNMENT_SAMPLES }, (_, index) => {
+        const proPercent = (index * 100) / (ALIGNMENT_SAMPLES - 1);
+        const next = proBoundaries.findIndex(boundary => boundary > proPercent);
+        const segment = next === -1 ? proBoundaries.length - 2 : next - 1;
+        const fraction = (proPercent - proBoundaries[segment]) / (proBoundaries[segment + 1] - proBoundaries[segment]);
+        return {
+          proPercent,
+          traineePercent: traineeBoundaries[segment] + fraction * (traineeBoundaries[segment + 1] - traineeBoundaries[segment])
+        };
+      })
+    };
+
+    return { comparison, phases, traineePhases, stats, alignment };
   };
 
-  const normalizeAndAlign = (proMetrics, traineeMetrics) => {
-    if (!proMetrics.wristHip.length || !traineeMetrics.wristHip.length) {
-      return generateDemoNormalizedData();
+  // Several references averaged into one on the first reference's clock:
+  // each of its samples is matched to the same stroke percentage of the
+  // others. The spread between references is kept per series (spread) for
+  // the tolerance band, and each reference with its own anchors and events
+  // (members) for the tolerance of the summary stats. References whose
+  // anchors can't be found are left out and counted in `dropped`.
+  const buildCompositeMetrics = (metricsList) => {
+    const members = metricsList.map(metrics => {
+      const anchors = findAnchorPoints(metrics.wristHip, metrics.unitsPerPixel);
+      return anchors ? { metrics, anchors, events: getStrokeEvents(metrics, anchors) } : null;
+    }).filter(Boolean);
+    const dropped = metricsList.length - members.length;
+    if (members.length < 2) {
+      return { metrics: members.length ? members[0].metrics : metricsList[0], dropped };
     }
 
-    const proAnchors = findAnchorPoints(proMetrics.wristHip);
-    const traineeAnchors = findAnchorPoints(traineeMetrics.wristHip);
+    const [base, ...others] = members;
+    const composite = { ...base.metrics, spread: {}, members };
+    COMPOSITE_SERIES.forEach(key => {
+      composite[key] = [];
+      composite.spread[key] = [];
+      base.metrics[key].forEach(point => {
+        const percent = getStrokePercent(base.metrics, base.anchors, point.timestamp);
+        const values = [point.value, ...others.map(member => (
+          interpolateAtTime(member.metrics[key], getStrokeTimeMs(member.metrics, member.anchors, percent))
+        ))].filter(value => value !== null);
+        composite[key].push({ ...point, value: mean(values) });
+        composite.spread[key].push({ timestamp: point.timestamp, value: standardDeviation(values) });
+      });
+    });
+    composite.segmentSpeeds = {
+      hip: computeAngularSpeed(composite.hipRotation),
+      shoulder: computeAngularSpeed(composite.shoulderRotation),
+      elbow: computeAngularSpeed(composite.elbowFlexion),
+      wrist: composite.wristSpeed
+    };
+    return { metrics: composite, dropped };
+  };
+
+  // Returns the aligned comparison plus status reasons. When the trainee data
+  // cannot be aligned the comparison is null - never substitute demo data here.
+  const normalizeAndAlign = (
+    proMetrics,
+    traineeMetrics,
+    alignmentMode = ALIGNMENT_LINEAR,
+    anchorOverrides = null,
+    strokeType = getStrokeType(DEFAULT_STROKE_TYPE)
+  ) => {
+    const reasons = [];
+    const failedResult = (anchorEditor = null) => ({
+      comparison: null,
+      phases: [],
+      traineePhases: [],
+      stats: null,
+      alignment: null,
+      anchorEditor,
+      reasons
+    });
 
-    if (!proAnchors || !traineeAnchors) {
-      return generateDemoNormalizedData();
+    if (!proMetrics.wristHip.length) {
+      reasons.push(failed('Pro reference has no wrist-hip data'));
+      return failedResult();
     }
 
-    const normalizedComparison = {
-      wristHip: [],
-      shoulderRotation: [],
-      weightTransfer: [],
-      armExtension: []
+    const metricLabels = {
+      wristHip: 'wrist-hip differential (hitting-side wrist or hip not detected)',
+      shoulderRotation: 'shoulder rotation (shoulders not detected)',
+      hipRotation: 'hip rotation (hips not detected)',
+      xFactor: 'hip-shoulder separation (shoulders or hips not detected)',
+      weightTransfer: 'weight transfer (ankles not detected)',
+      armExtension: 'arm extension (hitting-side shoulder or wrist not detected)',
+      wristSpeed: 'wrist speed (hitting-side wrist not detected)'
     };
+    // Only what the stroke type charts and scores is required, plus the
+    // wrist-hip curve the anchors come from; anything else is left out
+    const isRequired = (key) => key === 'wristHip' || strokeType.metrics.includes(key);
+    Object.entries(metricLabels).forEach(([key, label]) => {
+      if (traineeMetrics[key].length < 2 && isRequired(key)) {
+        reasons.push(failed(`No data for ${label}`));
+      }
+    });
+    if (reasons.length) return failedResult();
+    Object.entries(metricLabels).forEach(([key, label]) => {
+      if (traineeMetrics[key].length < 2 && !isRequired(key)) {
+        reasons.push(degraded(`No data for ${label}`));
+      }
+    });
 
-    for (let percent = 0; percent <= 100; percent += 2) {
-      const proIndex = mapPercentToIndex(percent, proAnchors, proMetrics.wristHip.length);
-      const traineeIndex = mapPercentToIndex(percent, traineeAnchors, traineeMetrics.wristHip.length);
+    // Joint angles are optional: a missing one only hides its chart and rules
+    JOINT_ANGLE_METRICS.forEach(key => {
+      if (traineeMetrics[key].length < 2) {
+        reasons.push(degraded(`${METRIC_LABELS[key]} unavailable (keypoints not detected)`));
+      }
+    });
 
-      normalizedComparison.wristHip.push({
-        strokePercent: percent,
-        proValue: interpolateValue(proMetrics.wristHip, proIndex),
-        traineeValue: interpolateValue(traineeMetrics.wristHip, traineeIndex)
-      });
+    const proAnchors = findAnchorPoints(proMetrics.wristHip, proMetrics.unitsPerPixel);
+    const detectedAnchors = findAnchorPoints(traineeMetrics.wristHip, traineeMetrics.unitsPerPixel);
 
-      normalizedComparison.shoulderRotation.push({
-        strokePercent: percent,
-        proValue: interpolateValue(proMetrics.shoulderRotation, proIndex),
-        traineeValue: interpolateValue(traineeMetrics.shoulderRotation, traineeIndex)
-      });
+    if (!proAnchors || !detectedAnchors) {
+      reasons.push(failed('Stroke anchors could not be detected'));
+      return failedResult();
+    }
 
-      normalizedComparison.weightTransfer.push({
-        strokePercent: percent,
-        proValue: interpolateValue(proMetrics.weightTransfer, proIndex),
-        traineeValue: interpolateValue(traineeMetrics.weightTransfer, traineeIndex)
+    const overrides = anchorOverrides || {};
+    const traineeAnchors = applyAnchorOverrides(detectedAnchors, traineeMetrics.wristHip, overrides);
+
+    const lastIndex = traineeMetrics.wristHip.length - 1;
+    if (traineeAnchors.backswingPeak === 0 || traineeAnchors.backswingPeak === lastIndex) {
+      reasons.push(failed('No backswing found (the lowest wrist point is at the edge of the clip); set the anchors manually'));
+      return failedResult(buildAnchorEditor(traineeMetrics.wristHip, traineeAnchors, null, anchorOverrides, traineeMetrics.units));
+    }
+    if (traineeAnchors.backswingStart >= traineeAnchors.backswingPeak ||
+        traineeAnchors.backswingPeak >= traineeAnchors.followThroughEnd) {
+      reasons.push(failed('Stroke anchors are out of order; adjust them in the anchor editor'));
+      return failedResult(buildAnchorEditor(traineeMetrics.wristHip, traineeAnchors, null, anchorOverrides, traineeMetrics.units));
+    }
+    if (!traineeAnchors.backswingFound) {
+      reasons.push(degraded('Backswing start not detected; the stroke is assumed to start at the first frame'));
+    }
+    if (!traineeAnchors.forwardSwingFound) {
+      reasons.push(degraded('Forward swing start not detected; using the lowest wrist point'));
+    }
+    if (!traineeAnchors.followThroughFound) {
+      reasons.push(degraded('Follow-through does not settle before the end of the clip'));
+    }
+
+    // Resample both strokes between their anchors and match them up. The
+    // stroke percent axis is the pro's; the trainee's is warped onto it.
+    const sampleFeatures = (metrics, anchors) => {
+      const features = {};
+      ALIGNMENT_METRICS.forEach(key => {
+        if (!strokeType.metrics.includes(key) || metrics[key].length < 2) return;
+        features[key] = Array.from({ length: ALIGNMENT_SAMPLES }, (_, index) => (
+          interpolateAtTime(metrics[key], getStrokeTimeMs(metrics, anchors, (index * 100) / (ALIGNMENT_SAMPLES - 1)))
+        ));
       });
+      return features;
+    };
+    const alignment = buildAlignment(
+      alignmentMode,
+      sampleFeatures(proMetrics, proAnchors),
+      sampleFeatures(traineeMetrics, traineeAnchors)
+    );
+    if (alignmentMode === ALIGNMENT_DTW && alignment.mode !== ALIGNMENT_DTW) {
+      reasons.push(degraded('Time warping had no metrics to match; using linear alignment'));
+    }
 
-      normalizedComparison.armExtension.push({
-        strokePercent: percent,
-        proValue: interpolateValue(proMetrics.armExtension, proIndex),
-        traineeValue: interpolateValue(traineeMetrics.armExtension, traineeIndex)
+    const proTimeAt = (percent) => getStrokeTimeMs(proMetrics, proAnchors, percent);
+    const traineeTimeAt = (percent) => getStrokeTimeMs(traineeMetrics, traineeAnchors, warpPercent(alignment, percent));
+
+    const normalizedComparison = {};
+    Object.keys(EMPTY_COMPARISON).forEach(key => {
+      normalizedComparison[key] = [];
+    });
+
+    for (let percent = 0; percent <= 100; percent += 2) {
+      // Anchors index the wrist-hip series; every metric is then read at
+      // the matching capture time
+      const proTime = proTimeAt(percent);
+      const traineeTime = traineeTimeAt(percent);
+
+      Object.keys(normalizedComparison).forEach(key => {
+        const point = {
+          strokePercent: percent,
+          proValue: interpolateAtTime(proMetrics[key], proTime),
+          traineeValue: interpolateAtTime(traineeMetrics[key], traineeTime)
+        };
+        // A composite reference carries its tolerance band (mean ± 1 SD)
+        const spread = proMetrics.spread ? interpolateAtTime(proMetrics.spread[key], proTime) : null;
+        if (point.proValue !== null && spread !== null) {
+          point.proBand = [point.proValue - spread, point.proValue + spread];
+        }
+        normalizedComparison[key].push(point);
       });
     }
 
-    const phases = [
-      { phase: 'Backswing', start: 0, end: 30, color: '#82ca9d' },
-      { phase: 'Forward Swing', start: 30, end: 60, color: '#ff7300' },
-      { phase: 'Contact', start: 60, end: 70, color: '#ff0000' },
-      { phase: 'Follow-through', start: 70, end: 100, color: '#0088fe' }
-    ];
+    // Phases from each player's own events. Charts share the pro's stroke
+    // percent axis, so the trainee's boundaries are mapped through the
+    // alignment and land wherever their timing puts them.
+    const proEvents = getStrokeEvents(proMetrics, proAnchors);
+    const traineeEvents = getStrokeEvents(traineeMetrics, traineeAnchors, overrides);
+    if (!traineeEvents.contactMethod) {
+      reasons.push(degraded('Contact not detected from the wrist; placed midway through the forward swing'));
+    }
+
+    const { contactHalfWindowMs, labels } = strokeType.phases;
+    const proPhasesMs = buildPhases(proEvents, contactHalfWindowMs, labels);
+    const traineePhasesMs = buildPhases(traineeEvents, contactHalfWindowMs, labels);
+    const toPercentPhases = (phasesMs, toPercent) => phasesMs.map(phase => ({
+      ...phase,
+      start: toPercent(phase.start),
+      end: toPercent(phase.end)
+    }));
+    const phases = toPercentPhases(proPhasesMs, ms => getStrokePercent(proMetrics, proAnchors, ms));
+    const traineePhases = toPercentPhases(traineePhasesMs, ms => (
+      unwarpPercent(alignment, getStrokePercent(traineeMetrics, traineeAnchors, ms))
+    ));
+
+    const comparisonStats = calculateComparisonStats(proMetrics, traineeMetrics, proAnchors, traineeAnchors);
+    let stats = {
+      ...comparisonStats,
+      ...calculateSpeedStats(proMetrics, traineeMetrics, proEvents, traineeEvents),
+      phaseTiming: calculatePhaseTiming(proPhasesMs, traineePhasesMs),
+      jointAngles: calculateJointAngleStats(normalizedComparison, phases, traineePhases),
+      phaseScores: scorePhases(normalizedComparison, phases, strokeType.metrics),
+      curveSimilarity: measureCurveSimilarity(
+        normalizedComparison,
+        { pro: { metrics: proMetrics, events: proEvents }, trainee: { metrics: traineeMetrics, events: traineeEvents } },
+        strokeType.metrics
+      )
+    };
 
-    const stats = calculateComparisonStats(proMetrics, traineeMetrics, proAnchors, traineeAnchors);
+    // Against a composite, anything within the references' own spread counts
+    // as matching them
+    if (proMetrics.members) {
+      const memberStats = proMetrics.members.map(member => ({
+        ...calculateComparisonStats(member.metrics, traineeMetrics, member.anchors, traineeAnchors),
+        ...calculateSpeedStats(member.metrics, traineeMetrics, member.events, traineeEvents)
+      }));
+      stats = applyReferenceTolerance(stats, memberStats);
+    }
 
     return {
       comparison: normalizedComparison,
       phases,
-      stats
+      traineePhases,
+      stats,
+      alignment,
+      anchorEditor: buildAnchorEditor(traineeMetrics.wristHip, traineeAnchors, traineeEvents, anchorOverrides, traineeMetrics.units),
+      reasons
     };
   };
 
-  const generateDynamicRecommendations = (stats, comparison) => {
-    // Your existing generateDynamicRecommendations function with the default case added
+  // Scores one stroke with the coach-editable rule set (see
+  // analysis/scoringRules); rules is passed explicitly when the set has just
+  // changed and state hasn't caught up yet
+  const generateDynamicRecommendations = (stats, comparison, strokeType, consistency = null, rules = ruleSet) => {
+    const distanceUnit = DISTANCE_UNIT_LABELS[stats.units.distance];
+    const { priorities, strengths, scores } = evaluateRules(rules, { stats, comparison, strokeType, unitLabel: distanceUnit });
     const recommendations = {
-      priorities: [],
-      strengths: [],
-      drills: [],
-      overallScore: 0
+      priorities,
+      strengths,
+      overallScore: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0,
+      // Drills assigned before this count as done when picking new ones
+      generatedAt: Date.now()
     };
 
-    let scoreTotal = 0;
-    let scoreCount = 0;
-
-    // Analyze shoulder rotation
-    const rotationDiff = parseFloat(stats.peakRotation.difference);
-    if (rotationDiff < -15) {
-      recommendations.priorities.push({
-        severity: 'high',
-        metric: 'Shoulder Rotation',
-        issue: `Insufficient rotation (${Math.abs(rotationDiff).toFixed(0)}° less than optimal)`,
-        detail: 'Limited shoulder turn reduces power generation and can lead to arm-dominant swings',
-        improvement: 'Focus on turning your back to the target during backswing'
-      });
-      scoreTotal += 60;
-    } else if (rotationDiff < -8) {
-      recommendations.priorities.push({
-        severity: 'medium',
-        metric: 'Shoulder Rotation',
-        issue: `Below optimal rotation (${Math.abs(rotationDiff).toFixed(0)}° less)`,
-        detail: 'More rotation would increase power',
-        improvement: 'Practice shadow swings with exaggerated shoulder turn'
-      });
-      scoreTotal += 75;
-    } else if (rotationDiff > -5) {
-      recommendations.strengths.push({
-        metric: 'Shoulder Rotation',
-        achievement: 'Excellent shoulder turn',
-        detail: `Achieving ${stats.peakRotation.trainee}° rotation (pro level: ${stats.peakRotation.pro}°)`
-      });
-      scoreTotal += 95;
-    } else {
-      scoreTotal += 85;
-    }
-    scoreCount++;
-
-    // Analyze wrist drop
-    const wristDiff = parseFloat(stats.wristDrop.difference);
-    if (wristDiff > 20) {
-      recommendations.priorities.push({
-        severity: 'high',
-        metric: 'Wrist Position',
-        issue: `Shallow wrist drop (${wristDiff.toFixed(0)}px higher than optimal)`,
-        detail: 'Limited wrist drop reduces power and spin potential',
-        improvement: 'Allow the paddle to drop naturally during backswing, creating lag'
-      });
-      scoreTotal += 65;
-    } else if (wristDiff > 10) {
-      recommendations.priorities.push({
-        severity: 'medium',
-        metric: 'Wrist Position',
-        issue: `Wrist position could be lower`,
-        detail: 'Deeper drop would improve power generation',
-        improvement: 'Practice feeling the paddle weight during backswing'
-      });
-      scoreTotal += 80;
-    } else {
-      recommendations.strengths.push({
-        metric: 'Wrist Mechanics',
-        achievement: 'Good wrist lag',
-        detail: 'Proper wrist position for power generation'
-      });
-      scoreTotal += 90;
-    }
-    scoreCount++;
-
-    // Analyze weight transfer
-    const weightTransferRange = Math.max(...comparison.weightTransfer.map(d => d.traineeValue)) -
-                                Math.min(...comparison.weightTransfer.map(d => d.traineeValue));
-    const optimalRange = Math.max(...comparison.weightTransfer.map(d => d.proValue)) -
-                         Math.min(...comparison.weightTransfer.map(d => d.proValue));
-
-    if (weightTransferRange < optimalRange * 0.6) {
-      recommendations.priorities.push({
-        severity: 'high',
-        metric: 'Weight Transfer',
-        issue: 'Limited weight shift',
-        detail: 'Insufficient weight transfer reduces power and balance',
-        improvement: 'Practice loading back foot, then driving forward through contact'
-      });
-      scoreTotal += 60;
-    } else if (weightTransferRange < optimalRange * 0.8) {
-      recommendations.priorities.push({
-        severity: 'medium',
-        metric: 'Weight Transfer',
-        issue: 'Moderate weight transfer',
-        detail: 'More dynamic weight shift would improve power',
-        improvement: 'Exaggerate the back-to-front movement in practice'
-      });
-      scoreTotal += 75;
-    } else {
-      recommendations.strengths.push({
-        metric: 'Weight Transfer',
-        achievement: 'Dynamic weight shift',
-        detail: 'Good transfer from back to front foot'
-      });
-      scoreTotal += 90;
-    }
-    scoreCount++;
-
-    // Analyze arm extension
-    const extensionDiff = parseFloat(stats.peakExtension.difference);
-    if (extensionDiff < -25) {
-      recommendations.priorities.push({
-        severity: 'high',
-        metric: 'Arm Extension',
-        issue: `Limited extension (${Math.abs(extensionDiff).toFixed(0)} units less)`,
-        detail: 'Incomplete extension reduces reach and power',
-        improvement: 'Focus on extending through the ball toward your target'
-      });
-      scoreTotal += 65;
-    } else if (extensionDiff < -15) {
-      recommendations.priorities.push({
-        severity: 'medium',
-        metric: 'Arm Extension',
-        issue: 'Could extend more fully',
-        detail: 'Fuller extension improves control and power',
-        improvement: 'Practice reaching toward target on follow-through'
-      });
-      scoreTotal += 80;
-    } else {
-      recommendations.strengths.push({
-        metric: 'Arm Extension',
-        achievement: 'Full extension through contact',
-        detail: 'Good reach and follow-through'
-      });
-      scoreTotal += 95;
-    }
-    scoreCount++;
-
-    // Analyze timing
-    const timingDiff = parseFloat(stats.strokeDuration.difference);
-    if (timingDiff > 300) {
-      recommendations.priorities.push({
-        severity: 'medium',
-        metric: 'Stroke Tempo',
-        issue: `Slow stroke execution (${timingDiff}ms slower)`,
-        detail: 'Slower tempo may affect reaction time',
-        improvement: 'Work on smoother, more efficient transitions'
-      });
-      scoreTotal += 70;
-    } else if (timingDiff < 100) {
-      recommendations.strengths.push({
-        metric: 'Stroke Timing',
-        achievement: 'Efficient tempo',
-        detail: 'Quick, smooth execution'
+    // Stroke-to-stroke consistency across an analyzed session. Left out of
+    // the score, which rates this one stroke.
+    if (consistency) {
+      const consistencyAdvice = {
+        contactHeight: {
+          detail: (event) => `Your contact point moves ±${event.std.toFixed(1)}${distanceUnit} up and down between strokes`,
+          improvement: 'Set up early and let the ball drop into the same hitting zone every time'
+        },
+        contactExtension: {
+          detail: (event) => `Your spacing to the ball changes by ±${event.std.toFixed(1)}${distanceUnit} at contact`,
+          improvement: 'Use small adjustment steps so the ball is always an arm\'s length away'
+        },
+        peakWristSpeed: {
+          detail: () => 'Some drives are swung hard and others guided, so depth and pace vary',
+          improvement: 'Commit to the same swing speed on every drive and control depth with the paddle face'
+        },
+        strokeDuration: {
+          detail: (event) => `Stroke length varies by ±${(event.std * 1000).toFixed(0)}ms`,
+          improvement: 'Keep the same backswing size on every ball instead of improvising'
+        },
+        tempo: {
+          detail: () => 'The backswing-to-forward-swing rhythm changes from stroke to stroke',
+          improvement: 'Say "back – hit" out loud to groove one rhythm'
+        }
+      };
+      const variable = consistency.keyEvents.filter(event => event.variation > VARIATION_MEDIUM);
+      variable.forEach(event => {
+        recommendations.priorities.push({
+          ruleId: CONSISTENCY_RULE_ID,
+          severity: event.variation > VARIATION_HIGH ? 'high' : 'medium',
+          metric: 'Consistency',
+          issue: `${event.label} varies by ±${(event.variation * 100).toFixed(0)}%`,
+          detail: consistencyAdvice[event.key].detail(event),
+          improvement: consistencyAdvice[event.key].improvement
+        });
       });
-      scoreTotal += 95;
-    } else {
-      scoreTotal += 85;
+      if (!variable.length && consistency.score >= 85) {
+        recommendations.strengths.push({
+          metric: 'Consistency',
+          achievement: 'Repeatable stroke',
+          detail: `Consistency score of ${consistency.score} over ${consistency.strokeCount} strokes`
+        });
+      }
     }
-    scoreCount++;
-
-    // Calculate overall score
-    recommendations.overallScore = Math.round(scoreTotal / scoreCount);
 
     // Sort priorities by severity
     recommendations.priorities.sort((a, b) => {
@@ -567,141 +1518,773 @@ const PickleballBackhandAnalysisV8 = () => {
       return severityOrder[a.severity] - severityOrder[b.severity];
     });
 
-    // Generate specific drills based on top priorities
-    if (recommendations.priorities.length > 0) {
-      const topPriorities = recommendations.priorities.slice(0, 3);
-
-      topPriorities.forEach(priority => {
-        switch(priority.metric) {
-          case 'Shoulder Rotation':
-            recommendations.drills.push({
-              name: 'Wall Rotation Drill',
-              description: 'Stand with back against wall, practice rotating shoulders while maintaining contact',
-              reps: '3 sets of 15 reps'
-            });
-            break;
-          case 'Wrist Position':
-            recommendations.drills.push({
-              name: 'Paddle Drop Drill',
-              description: 'Practice letting paddle drop naturally during backswing, pause at lowest point',
-              reps: '3 sets of 10 slow-motion swings'
-            });
-            break;
-          case 'Weight Transfer':
-            recommendations.drills.push({
-              name: 'Step and Drive Drill',
-              description: 'Practice stepping back, loading, then driving forward without hitting',
-              reps: '3 sets of 12 reps'
-            });
-            break;
-          case 'Arm Extension':
-            recommendations.drills.push({
-              name: 'Target Reach Drill',
-              description: 'Place target cone 2 feet past contact point, practice reaching paddle to cone',
-              reps: '3 sets of 15 swings'
-            });
-            break;
-          case 'Stroke Tempo':
-            recommendations.drills.push({
-              name: 'Rhythm Training',
-              description: 'Count "1-2-3" for backswing-forward-follow through, maintain consistent tempo',
-              reps: '5 sets of 10 swings'
-            });
-            break;
-          default:
-            // No drill for this metric
-            break;
-        }
-      });
-    }
-
     return recommendations;
   };
 
   // Now define the functions that use the above helper functions
 
-  const loadDemoComparison = () => {
-    const demoData = generateDemoNormalizedData();
+  const loadDemoComparison = (settings = analysisSettings) => {
+    const demoStrokeType = getStrokeType(settings.strokeType);
+    const demoData = generateDemoNormalizedData(demoStrokeType);
+    demoData.stats = benchmarkStats(demoData.stats, settings);
     setComparisonData(demoData.comparison);
     setPhaseMarkers(demoData.phases);
+    setTraineePhaseMarkers(demoData.traineePhases);
     setStatsComparison(demoData.stats);
+    setAlignment(demoData.alignment);
+    setAnchorEditor(null);
     setTraineeFileName('Demo Trainee Data');
+    setValidationReport(null);
+    setTraineeUpload(null);
+    setSegmentation(null);
+    setSelectedStroke(null);
+    setSessionResults(null);
+    setConsistency(null);
+    setAnalysisStatus(createAnalysisStatus(SOURCE_DEMO));
+    setOpenAnalysisId(null);
+    setAnalysisPlayerName(null);
 
     // Generate dynamic recommendations based on the comparison
-    const recommendations = generateDynamicRecommendations(demoData.stats, demoData.comparison);
+    const recommendations = generateDynamicRecommendations(demoData.stats, demoData.comparison, demoStrokeType);
     setDynamicRecommendations(recommendations);
   };
 
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  const clearComparison = () => {
+    setComparisonData(EMPTY_COMPARISON);
+    setPhaseMarkers([]);
+    setTraineePhaseMarkers([]);
+    setStatsComparison(null);
+    setAlignment(null);
+    setAnchorEditor(null);
+    setDynamicRecommendations(null);
+    setTraineeFileName('');
+    setOpenAnalysisId(null);
+    setAnalysisPlayerName(null);
+  };
 
-    setIsLoading(true);
-    setTraineeFileName(file.name);
+  // Drops the uploaded clip and everything derived from it
+  const clearUpload = () => {
+    setTraineeUpload(null);
+    setValidationReport(null);
+    setDetectedHandedness(null);
+    setCalibrationInfo(null);
+    setSegmentation(null);
+    setSelectedStroke(null);
+    setSessionResults(null);
+    setConsistency(null);
+    setAnchorEditor(null);
+  };
+
+  // Handedness to analyze with, plus the detection when it is automatic
+  const resolveHandedness = (frames, settings) => {
+    if (settings.handedness !== HANDEDNESS_AUTO) {
+      return { handedness: settings.handedness, detection: null };
+    }
+    const detection = detectHandedness(frames, settings.personId);
+    return { handedness: detection.handedness, detection };
+  };
+
+  // Long recordings are split into strokes; short clips (null) are one stroke
+  const segmentSession = (upload, settings, handedness) => {
+    const times = getRelativeTimesMs(upload.frames);
+    if (times[times.length - 1] < MIN_SESSION_MS) return null;
+    const metrics = extractMetrics(upload.frames, 'Trainee', {
+      personId: settings.personId,
+      handedness,
+      smoothing: settings.smoothing
+    });
+    const { segmentation } = getStrokeType(settings.strokeType);
+    return segmentStrokes(metrics, times, segmentation) || { strokes: [], discarded: 0 };
+  };
+
+  // One stroke's frames as a clip of its own. Anchor corrections are saved
+  // per clip, so every stroke of a session keeps its own.
+  const getStrokeClip = (upload, stroke) => {
+    const times = getRelativeTimesMs(upload.frames);
+    return {
+      ...upload,
+      frames: upload.frames.filter((_, index) => times[index] >= stroke.startMs && times[index] <= stroke.endMs)
+    };
+  };
+
+  // Extracts both players' metrics from a clip and compares them. Sets no
+  // state, so "Analyze all" can run it for every stroke.
+  const runClipAnalysis = (clip, settings, handedness) => {
+    const strokeType = getStrokeType(settings.strokeType);
+    const references = getReferences(settings);
+    const extractReferences = (options) => references.map(reference => (
+      extractMetrics(reference.frames, 'Pro', { ...options, handedness: reference.handedness })
+    ));
+
+    // Extract metrics from both datasets
+    const metricOptions = {
+      units: settings.units,
+      normalization: settings.normalization,
+      smoothing: settings.smoothing
+    };
+    const requestedUnits = settings.normalization !== NORMALIZATION_NONE ? settings.normalization : settings.units;
+    let proMetricsList = extractReferences(metricOptions);
+    let traineeMetrics = extractMetrics(clip.frames, 'Trainee', {
+      ...metricOptions,
+      personId: settings.personId,
+      handedness,
+      heightCm: settings.playerHeightCm
+    });
+
+    // Both sides must share units; fall back to pixels if either can't be
+    // calibrated or measured
+    const setupReasons = [];
+    if (proMetricsList.some(metrics => metrics.units !== requestedUnits) || traineeMetrics.units !== requestedUnits) {
+      const missing = traineeMetrics.units !== requestedUnits ? 'trainee file' : 'pro reference';
+      setupReasons.push(degraded(
+        settings.normalization !== NORMALIZATION_NONE
+          ? `Could not measure ${NORMALIZATION_LABELS[settings.normalization]} in the ${missing}; distances are shown in pixels`
+          : `No ${missing === 'trainee file' ? 'camera, court or player-height' : 'camera or court'} calibration in the ${missing}; distances are shown in pixels`
+      ));
+      proMetricsList = extractReferences({ smoothing: settings.smoothing });
+      traineeMetrics = extractMetrics(clip.frames, 'Trainee', {
+        personId: settings.personId,
+        handedness,
+        smoothing: settings.smoothing
+      });
+    }
+
+    const { metrics: proMetrics, dropped } = buildCompositeMetrics(proMetricsList);
+    if (dropped && references.length > 1) {
+      setupReasons.push(degraded(
+        `${dropped} of ${references.length} references left out of the composite (stroke anchors not found)`
+      ));
+    }
+
+    // Normalize and align the data
+    const anchorOverrides = loadAnchorOverrides(getClipKey(clip, settings.personId));
+    const normalizedData = normalizeAndAlign(proMetrics, traineeMetrics, settings.alignment, anchorOverrides, strokeType);
+    if (normalizedData.stats) {
+      normalizedData.stats = benchmarkStats(normalizedData.stats, settings);
+    }
+    return { traineeMetrics, normalizedData, setupReasons, anchorOverrides };
+  };
+
+  // Runs the full analysis of an uploaded clip with the given settings.
+  // Re-run whenever a setting changes, so the upload is kept in state. In a
+  // session recording only the stroke at strokeIndex is analyzed, and the
+  // session's consistency (if analyzed) adds to its recommendations.
+  const analyzeTrainee = (upload, settings, strokeIndex = 0, sessionConsistency = null) => {
+    const { frames: traineeFrames, fileName } = upload;
+
+    const handednessReasons = [];
+    const { handedness, detection } = resolveHandedness(traineeFrames, settings);
+    if (detection) {
+      setDetectedHandedness(detection);
+      if (!detection.confident) {
+        handednessReasons.push(degraded('Handedness could not be detected reliably; assuming right-handed'));
+      }
+    }
+
+    const report = {
+      ...validateFrames(traineeFrames, {
+        personId: settings.personId,
+        requiredKeypoints: keypointsForHandedness(DEFAULT_REQUIRED_KEYPOINTS, handedness)
+      }),
+      fileName
+    };
+    setValidationReport(report);
+
+    if (!report.isValid) {
+      clearComparison();
+      setSegmentation(null);
+      setSelectedStroke(null);
+      setAnalysisStatus(createAnalysisStatus(SOURCE_UPLOAD, report.errors.map(failed)));
+      return;
+    }
+
+    try {
+      const session = segmentSession(upload, settings, handedness);
+      const strokeCount = session ? session.strokes.length : 0;
+      const index = strokeCount ? Math.min(strokeIndex, strokeCount - 1) : null;
+      const clip = index !== null ? getStrokeClip(upload, session.strokes[index]) : upload;
+      setSegmentation(session);
+      setSelectedStroke(index);
+      const sessionReasons = session && !strokeCount
+        ? [degraded('No strokes found in this recording; it is analyzed as a single stroke')]
+        : [];
+
+      const strokeType = getStrokeType(settings.strokeType);
+      if (!getReferences(settings).length) {
+        clearComparison();
+        setAnalysisStatus(createAnalysisStatus(SOURCE_UPLOAD, [failed(getMissingReferenceMessage(strokeType))]));
+        return;
+      }
+
+      const { traineeMetrics, normalizedData, setupReasons, anchorOverrides } = runClipAnalysis(clip, settings, handedness);
+      setValidationReport({ ...report, preprocessing: traineeMetrics.preprocessing });
+      setCalibrationInfo(traineeMetrics.calibration);
+
+      const status = createAnalysisStatus(SOURCE_UPLOAD, [
+        ...handednessReasons,
+        ...sessionReasons,
+        ...setupReasons,
+        ...assessKeypointCoverage(
+          report,
+          keypointsForHandedness(METRIC_KEYPOINTS, handedness),
+          keypointsForHandedness(JOINT_ANGLE_ONLY_KEYPOINTS, handedness)
+        ),
+        ...assessFrameTiming(report.timing, report.totalFrames),
+        ...normalizedData.reasons
+      ]);
+      setAnalysisStatus(status);
+
+      if (!normalizedData.comparison) {
+        clearComparison();
+        // Keep the editor when the anchors are the problem, so they can be fixed
+        setAnchorEditor(normalizedData.anchorEditor);
+        return;
+      }
+
+      // Update state with real comparison
+      const analyzedFileName = index !== null ? `${fileName} (stroke ${index + 1} of ${strokeCount})` : fileName;
+      setTraineeFileName(analyzedFileName);
+      setAnalysisPlayerName(upload.playerName);
+      setComparisonData(normalizedData.comparison);
+      setPhaseMarkers(normalizedData.phases);
+      setTraineePhaseMarkers(normalizedData.traineePhases);
+      setStatsComparison(normalizedData.stats);
+      setAlignment(normalizedData.alignment);
+      setAnchorEditor(normalizedData.anchorEditor);
+
+      // Generate recommendations based on real data
+      const recommendations = generateDynamicRecommendations(
+        normalizedData.stats,
+        normalizedData.comparison,
+        strokeType,
+        sessionConsistency
+      );
+      setDynamicRecommendations(recommendations);
+      storeAnalysis({
+        id: createAnalysisId(upload.uploadedAt, index),
+        fileName: analyzedFileName,
+        playerId: upload.playerId,
+        player: upload.playerName,
+        analyzedAt: upload.uploadedAt,
+        strokeType: settings.strokeType,
+        settings,
+        status,
+        stats: normalizedData.stats,
+        recommendations,
+        comparison: normalizedData.comparison,
+        phases: normalizedData.phases,
+        traineePhases: normalizedData.traineePhases,
+        alignment: normalizedData.alignment,
+        anchorOverrides
+      });
+    } catch (error) {
+      console.error('Error analyzing trainee data:', error);
+      clearComparison();
+      setAnalysisStatus(createAnalysisStatus(SOURCE_UPLOAD, [failed(`Analysis error: ${error.message}`)]));
+      setValidationReport({
+        ...report,
+        errors: [`The frames passed validation but could not be analyzed (${error.message}).`],
+        isValid: false
+      });
+    }
+  };
+
+  // Saves an analysis to the history, replacing an earlier run of the same
+  // stroke of the same upload
+  const storeAnalysis = (record) => {
+    if (!isHistoryAvailable()) return;
+    setOpenAnalysisId(record.id);
+    saveAnalysis(record).then(saved => {
+      setHistoryError(saved ? null : 'This analysis could not be saved to the history; the browser storage is probably full.');
+      if (saved) refreshHistory();
+    });
+  };
+
+  // Puts a saved analysis back on screen as it was analyzed. The frames
+  // aren't kept, so it can be looked at but not re-run.
+  const openAnalysis = (id) => {
+    loadAnalysis(id).then(record => {
+      if (!record) {
+        setHistoryError('That analysis could not be loaded.');
+        refreshHistory();
+        return;
+      }
+      setAnalysisSettings(record.settings);
+      clearUpload();
+      setComparisonData(record.comparison);
+      setPhaseMarkers(record.phases);
+      setTraineePhaseMarkers(record.traineePhases);
+      setStatsComparison(record.stats);
+      setAlignment(record.alignment);
+      setDynamicRecommendations(record.recommendations);
+      setTraineeFileName(record.fileName);
+      setAnalysisPlayerName(record.player || null);
+      setAnalysisStatus(record.status);
+      setOpenAnalysisId(record.id);
+      setHistoryError(null);
+    });
+  };
+
+  // Moves a saved analysis to another player (null: none)
+  const assignAnalysisPlayer = (id, playerId) => {
+    const { playerId: assignedId, playerName } = uploadPlayer(playerId);
+    loadAnalysis(id).then(record => {
+      if (!record) {
+        setHistoryError('That analysis could not be loaded.');
+        refreshHistory();
+        return;
+      }
+      return saveAnalysis({ ...record, playerId: assignedId, player: playerName }).then(saved => {
+        setHistoryError(saved ? null : 'That analysis could not be reassigned.');
+        if (!saved) return;
+        refreshHistory();
+        if (id === openAnalysisId) {
+          setAnalysisPlayerName(playerName);
+          // Later re-runs of the upload on screen keep the new player
+          if (traineeUpload) setTraineeUpload({ ...traineeUpload, playerId: assignedId, playerName });
+        }
+      });
+    });
+  };
+
+  const removeAnalysis = (id) => {
+    deleteAnalysis(id).then(deleted => {
+      setHistoryError(deleted ? null : 'That analysis could not be deleted.');
+      refreshHistory();
+    });
+  };
+
+  // Score (or failure) of one stroke of the session, for the stroke list
+  const summarizeStroke = (upload, settings, handedness, stroke) => {
+    const result = { index: stroke.index, score: null, data: null, failure: null };
+    const strokeType = getStrokeType(settings.strokeType);
+    if (!getReferences(settings).length) {
+      return { ...result, failure: getMissingReferenceMessage(strokeType) };
+    }
+    try {
+      const { normalizedData } = runClipAnalysis(getStrokeClip(upload, stroke), settings, handedness);
+      if (!normalizedData.comparison) {
+        const reason = normalizedData.reasons.find(item => item.level === STATUS_FAILED);
+        return { ...result, failure: reason ? reason.message : 'Analysis failed' };
+      }
+      const recommendations = generateDynamicRecommendations(normalizedData.stats, normalizedData.comparison, strokeType);
+      return { ...result, score: recommendations.overallScore, data: normalizedData };
+    } catch (error) {
+      console.error(`Error analyzing stroke ${stroke.index + 1}:`, error);
+      return { ...result, failure: `Analysis error: ${error.message}` };
+    }
+  };
+
+  // Consistency over every stroke that could be analyzed
+  const getSessionConsistency = (results) => (
+    analyzeConsistency(results.filter(result => result.data).map(result => result.data))
+  );
+
+  // Scores every stroke of the session and measures how consistent they
+  // are; the selected stroke stays on screen
+  const analyzeAllStrokes = () => {
+    if (!traineeUpload || !segmentation) return;
+    const { handedness } = resolveHandedness(traineeUpload.frames, analysisSettings);
+    const results = segmentation.strokes.map(stroke => (
+      summarizeStroke(traineeUpload, analysisSettings, handedness, stroke)
+    ));
+    const sessionConsistency = getSessionConsistency(results);
+    setSessionResults(results);
+    setConsistency(sessionConsistency);
+    if (statsComparison) {
+      setDynamicRecommendations(generateDynamicRecommendations(
+        statsComparison,
+        comparisonData,
+        getStrokeType(analysisSettings.strokeType),
+        sessionConsistency
+      ));
+    }
+  };
+
+  const selectStroke = (index) => {
+    if (traineeUpload) {
+      analyzeTrainee(traineeUpload, analysisSettings, index, consistency);
+    }
+  };
 
+  // Saves coach-corrected anchors for the current clip (null resets them to
+  // detected) and re-runs the analysis with them
+  const updateAnchorOverrides = (overrides) => {
+    if (!traineeUpload) return;
+    const stroke = selectedStroke !== null && segmentation ? segmentation.strokes[selectedStroke] : null;
+    const clip = stroke ? getStrokeClip(traineeUpload, stroke) : traineeUpload;
+    if (!saveAnchorOverrides(getClipKey(clip, analysisSettings.personId), overrides)) {
+      setAnchorError('The corrected anchors could not be saved; the browser storage is probably full.');
+      return;
+    }
+    setAnchorError(null);
+
+    let sessionConsistency = null;
+    if (stroke && sessionResults) {
+      const { handedness } = resolveHandedness(traineeUpload.frames, analysisSettings);
+      const updated = summarizeStroke(traineeUpload, analysisSettings, handedness, stroke);
+      const results = sessionResults.map(result => (result.index === stroke.index ? updated : result));
+      sessionConsistency = getSessionConsistency(results);
+      setSessionResults(results);
+      setConsistency(sessionConsistency);
+    }
+    analyzeTrainee(traineeUpload, analysisSettings, selectedStroke ?? 0, sessionConsistency);
+  };
+
+  const updateAnalysisSettings = (changes, upload = traineeUpload) => {
+    const settings = { ...analysisSettings, ...changes };
+    setAnalysisSettings(settings);
+    setSessionResults(null);
+    setConsistency(null);
+    if (upload) {
+      analyzeTrainee(upload, settings, selectedStroke ?? 0);
+    } else if (analysisStatus?.source === SOURCE_DEMO) {
+      loadDemoComparison(settings);
+    }
+  };
+
+  // A new stroke type changes the reference, so whatever is on screen is
+  // redone against it. Reference and benchmark choices belong to one
+  // stroke type.
+  const selectStrokeType = (strokeTypeId) => {
+    updateAnalysisSettings({
+      strokeType: strokeTypeId,
+      referenceId: null,
+      compositeIds: null,
+      benchmarkId: null,
+      targetLevel: null
+    });
+  };
+
+  // Picking another benchmark keeps the target level only if it has it too
+  const selectBenchmark = (benchmarkId) => {
+    const benchmark = getBenchmark({ ...analysisSettings, benchmarkId });
+    const keepTarget = benchmark?.levels.some(entry => entry.level === analysisSettings.targetLevel);
+    updateAnalysisSettings({ benchmarkId, targetLevel: keepTarget ? analysisSettings.targetLevel : null });
+  };
+
+  const importBenchmark = (file) => {
     const reader = new FileReader();
     reader.onload = (e) => {
+      let data;
       try {
-        const traineeFrames = JSON.parse(e.target.result);
+        data = JSON.parse(e.target.result);
+      } catch (error) {
+        setBenchmarkImportError(`${file.name} is not valid JSON (${error.message}).`);
+        return;
+      }
+      const { benchmark, error } = parseBenchmark(data);
+      if (!benchmark) {
+        setBenchmarkImportError(`${file.name} can't be used as a benchmark: ${error}`);
+        return;
+      }
+      const entry = createBenchmarkEntry(benchmark, file.name);
+      const next = [...benchmarks, entry];
+      if (!saveBenchmarks(next)) {
+        setBenchmarkImportError('The benchmark could not be saved; the browser storage is probably full.');
+        return;
+      }
+      setBenchmarks(next);
+      setBenchmarkImportError(null);
+      // The stroke type's first benchmark applies straight away; without a
+      // target level it only adds placements, so the scores stay as they are
+      const becomesCurrent = !analysisSettings.benchmarkId && !getBenchmark(analysisSettings) &&
+        entry.strokeType === analysisSettings.strokeType;
+      if (becomesCurrent && statsComparison) {
+        setStatsComparison(applyBenchmark(statsComparison, entry));
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // The next benchmark is chosen explicitly so the re-analysis can't pick
+  // the removed one up again
+  const deleteBenchmark = (benchmarkId) => {
+    const next = benchmarks.filter(benchmark => benchmark.id !== benchmarkId);
+    if (!saveBenchmarks(next)) {
+      setBenchmarkImportError('The benchmark could not be deleted; the browser storage is probably full.');
+      return;
+    }
+    setBenchmarks(next);
+    setBenchmarkImportError(null);
+    if (getBenchmark(analysisSettings)?.id !== benchmarkId) return;
+    const remaining = listBenchmarks(analysisSettings.strokeType, next);
+    updateAnalysisSettings({ benchmarkId: remaining.length ? remaining[0].id : BENCHMARK_NONE, targetLevel: null });
+  };
 
-        // Get pro data
-        const proFrames = getEmbeddedProData();
+  // New rules rescore what is on screen, including the session's strokes;
+  // the analysis itself doesn't change
+  const applyRuleSet = (next) => {
+    if (!saveRuleSet(next)) {
+      setRuleSetError('The scoring rules could not be saved; the browser storage is probably full.');
+      return;
+    }
+    setRuleSet(next);
+    setRuleSetError(null);
+    const strokeType = getStrokeType(analysisSettings.strokeType);
+    if (statsComparison && dynamicRecommendations) {
+      setDynamicRecommendations({
+        ...generateDynamicRecommendations(statsComparison, comparisonData, strokeType, consistency, next),
+        generatedAt: dynamicRecommendations.generatedAt
+      });
+    }
+    if (sessionResults) {
+      setSessionResults(sessionResults.map(result => (result.data ? {
+        ...result,
+        score: generateDynamicRecommendations(result.data.stats, result.data.comparison, strokeType, null, next).overallScore
+      } : result)));
+    }
+  };
+
+  const importRuleSet = (file) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let data;
+      try {
+        data = JSON.parse(e.target.result);
+      } catch (error) {
+        setRuleSetError(`${file.name} is not valid JSON (${error.message}).`);
+        return;
+      }
+      const { ruleSet: imported, error } = parseRuleSet(data);
+      if (!imported) {
+        setRuleSetError(`${file.name} can't be used as scoring rules: ${error}`);
+        return;
+      }
+      applyRuleSet(imported);
+    };
+    reader.readAsText(file);
+  };
 
-        // Extract metrics from both datasets
-        const proMetrics = extractMetrics(proFrames, 'Pro');
-        const traineeMetrics = extractMetrics(traineeFrames, 'Trainee');
+  // Player fields of an upload
+  const uploadPlayer = (playerId, roster = players) => {
+    const player = roster.find(entry => entry.id === playerId);
+    return { playerId: player ? player.id : null, playerName: player ? player.name : null };
+  };
 
-        // Normalize and align the data
-        const normalizedData = normalizeAndAlign(proMetrics, traineeMetrics);
+  // Picks who uploads are of (null: no player), and shows their history and
+  // drill plan. Their profile sets the handedness, height and benchmark
+  // target level, and the drill level; without one, handedness and height go
+  // back to the defaults. An upload on screen without a player becomes theirs
+  // and is analyzed again; one of another player leaves the screen rather
+  // than be redone with this player's settings.
+  const selectPlayer = (playerId, roster = players) => {
+    const player = roster.find(entry => entry.id === playerId) || null;
+    const id = player ? player.id : null;
+    setCurrentPlayerId(id);
+    setHistoryPlayerId(id);
+
+    let upload = null;
+    if (traineeUpload && (!traineeUpload.playerId || traineeUpload.playerId === id)) {
+      upload = { ...traineeUpload, ...uploadPlayer(id, roster) };
+      setTraineeUpload(upload);
+    } else if (traineeUpload) {
+      clearUpload();
+      clearComparison();
+      setAnalysisStatus(null);
+    }
 
-        // Update state with real comparison
-        setComparisonData(normalizedData.comparison);
-        setPhaseMarkers(normalizedData.phases);
-        setStatsComparison(normalizedData.stats);
+    const preferences = loadDrillPreferences(id);
+    const drillLevel = player && drillLevelForPlayer(player.level);
+    if (drillLevel && drillLevel !== preferences.level) {
+      updateDrillPreferences({ ...preferences, level: drillLevel }, id);
+    } else {
+      setDrillPreferences(preferences);
+      setDrillError(null);
+    }
+    setAssignedDrills(loadAssignedDrills(id));
 
-        // Generate recommendations based on real data
-        const recommendations = generateDynamicRecommendations(normalizedData.stats, normalizedData.comparison);
-        setDynamicRecommendations(recommendations);
+    updateAnalysisSettings(player ? profileSettings(player, getBenchmark(analysisSettings)) : {
+      handedness: DEFAULT_ANALYSIS_SETTINGS.handedness,
+      playerHeightCm: DEFAULT_ANALYSIS_SETTINGS.playerHeightCm
+    }, upload);
+  };
 
-        setIsLoading(false);
+  // Adds or updates a profile; an edit of the selected player applies again
+  const savePlayer = (draft) => {
+    const player = parsePlayer({ ...draft, id: draft.id || createPlayerId() });
+    if (!player) return;
+    const next = sortPlayers([...players.filter(entry => entry.id !== player.id), player]);
+    if (!savePlayers(next)) {
+      setPlayerError('The player could not be saved; the browser storage is probably full.');
+      return;
+    }
+    setPlayers(next);
+    setPlayerError(null);
+    if (player.id === currentPlayerId) selectPlayer(player.id, next);
+  };
+
+  // Their saved analyses stay, under the name they had; their drill plan goes
+  const deletePlayer = (playerId) => {
+    const next = players.filter(entry => entry.id !== playerId);
+    if (!savePlayers(next)) {
+      setPlayerError('The player could not be deleted; the browser storage is probably full.');
+      return;
+    }
+    setPlayers(next);
+    setPlayerError(null);
+    removeDrillPlan(playerId);
+    if (currentPlayerId === playerId) {
+      selectPlayer(null, next);
+    } else if (historyPlayerId === playerId) {
+      setHistoryPlayerId(null);
+    }
+  };
+
+  // Drill settings and assignments belong to the selected player. Settings
+  // that could not be saved still apply until the page is reloaded.
+  const updateDrillPreferences = (next, playerId = currentPlayerId) => {
+    const saved = saveDrillPreferences(playerId, next);
+    setDrillError(saved ? null : 'The drill settings apply for now but could not be saved; the browser storage is probably full.');
+    setDrillPreferences(next);
+  };
+
+  const assignDrill = (drill) => {
+    const next = [...assignedDrills, { drillId: drill.id, assignedAt: Date.now() }];
+    if (!saveAssignedDrills(currentPlayerId, next)) {
+      setDrillError('The drill could not be assigned; the browser storage is probably full.');
+      return;
+    }
+    setAssignedDrills(next);
+    setDrillError(null);
+  };
+
+  const strokeTypeReferenceIds = (references = importedReferences) => (
+    listReferences(analysisSettings.strokeType, references).map(reference => reference.id)
+  );
+
+  // Ticking a reference for the composite only re-analyzes when the
+  // composite is what is being compared against
+  const toggleCompositeReference = (referenceId) => {
+    const current = analysisSettings.compositeIds || strokeTypeReferenceIds();
+    const compositeIds = current.includes(referenceId)
+      ? current.filter(id => id !== referenceId)
+      : [...current, referenceId];
+    if (analysisSettings.referenceId === REFERENCE_COMPOSITE) {
+      updateAnalysisSettings({ compositeIds });
+    } else {
+      setAnalysisSettings({ ...analysisSettings, compositeIds });
+    }
+  };
+
+  const importReference = (file, tags) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let frames;
+      try {
+        frames = JSON.parse(e.target.result);
       } catch (error) {
-        console.error('Error parsing trainee data:', error);
-        alert('Error loading file. Please ensure it\'s a valid JSON file with pose data.');
-        setIsLoading(false);
+        setReferenceImportError(`${file.name} is not valid JSON (${error.message}).`);
+        return;
+      }
+      const report = validateFrames(frames, {
+        requiredKeypoints: keypointsForHandedness(DEFAULT_REQUIRED_KEYPOINTS, tags.handedness)
+      });
+      if (!report.isValid) {
+        setReferenceImportError(`${file.name} can't be used as a reference: ${report.errors.join(' ')}`);
+        return;
       }
-    };
 
+      const references = [...importedReferences, createReference(frames, tags, file.name)];
+      if (!saveImportedReferences(references)) {
+        setReferenceImportError('The reference could not be saved; the browser storage is probably full.');
+        return;
+      }
+      setImportedReferences(references);
+      setReferenceImportError(null);
+      // A new reference joins the composite only once it is ticked, so the
+      // comparison on screen stays what it was
+      if (!analysisSettings.compositeIds) {
+        setAnalysisSettings({ ...analysisSettings, compositeIds: strokeTypeReferenceIds() });
+      }
+    };
     reader.readAsText(file);
   };
 
-  // Initialize with demo data after component mounts
-  useEffect(() => {
-    loadDemoComparison();
-  }, []); // eslint-disable-line react-hooks/exhaustive-deps
-
-  // Keep the rest of your component code (CustomTooltip, getScoreColor, getSeverityColor, and the return JSX)
-  const CustomTooltip = ({ active, payload }) => {
-    if (active && payload && payload.length) {
-      const data = payload[0].payload;
-      return (
-        <div className="bg-white p-2 border border-gray-300 rounded shadow-sm">
-          <p className="font-semibold">Stroke Progress: {data.strokePercent}%</p>
-          {payload.map((entry, index) => (
-            <p key={`item-${index}`} style={{ color: entry.color }}>
-              {entry.name}: {entry.value.toFixed(1)}
-            </p>
-          ))}
-          {payload.length === 2 && (
-            <p className="text-sm text-gray-600 mt-1">
-              Difference: {(payload[1].value - payload[0].value).toFixed(1)}
-            </p>
-          )}
-        </div>
-      );
+  const deleteReference = (referenceId) => {
+    const references = importedReferences.filter(reference => reference.id !== referenceId);
+    if (!saveImportedReferences(references)) {
+      setReferenceImportError('The reference could not be deleted; the browser storage is probably full.');
+      return;
+    }
+    setImportedReferences(references);
+    setReferenceImportError(null);
+
+    // Ids are made explicit so the re-analysis can't fall back to the removed
+    // reference; with none left, the empty composite reports that there is
+    // nothing to compare against
+    const remaining = strokeTypeReferenceIds(references);
+    const changes = {
+      compositeIds: (analysisSettings.compositeIds || remaining).filter(id => id !== referenceId)
+    };
+    const inUse = getReferences(analysisSettings).some(reference => reference.id === referenceId);
+    if (inUse && analysisSettings.referenceId !== REFERENCE_COMPOSITE) {
+      changes.referenceId = remaining.length ? remaining[0] : REFERENCE_COMPOSITE;
     }
-    return null;
+    if (inUse) {
+      updateAnalysisSettings(changes);
+    } else {
+      setAnalysisSettings({ ...analysisSettings, ...changes });
+    }
+  };
+
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    // Allow re-uploading the same file after fixing it
+    event.target.value = '';
+
+    setIsLoading(true);
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let traineeFrames;
+      try {
+        traineeFrames = JSON.parse(e.target.result);
+      } catch (error) {
+        console.error('Error parsing trainee data:', error);
+        setTraineeUpload(null);
+        clearComparison();
+        setAnalysisStatus(createAnalysisStatus(SOURCE_UPLOAD, [failed('The file is not valid JSON')]));
+        setValidationReport({
+          fileName: file.name,
+          errors: [`The file is not valid JSON (${error.message}).`],
+          totalFrames: 0,
+          usableFrames: 0,
+          droppedFrames: [],
+          frameWarnings: [],
+          missingKeypoints: [],
+          isValid: false
+        });
+        setIsLoading(false);
+        return;
+      }
+
+      const tracks = listTrackedPeople(traineeFrames);
+      const defaultPerson = pickDefaultPerson(tracks);
+      const upload = {
+        frames: traineeFrames,
+        fileName: file.name,
+        ...uploadPlayer(currentPlayerId),
+        uploadedAt: Date.now(),
+        tracks,
+        defaultPersonId: defaultPerson ? defaultPerson.id : null,
+        imageSize: estimateImageSize(traineeFrames, tracks)
+      };
+      const settings = { ...analysisSettings, personId: upload.defaultPersonId };
+
+      setTraineeUpload(upload);
+      setAnalysisSettings(settings);
+      setSessionResults(null);
+      setConsistency(null);
+      analyzeTrainee(upload, settings);
+      setIsLoading(false);
+    };
+
+    reader.readAsText(file);
   };
 
+  // Keep the rest of your component code (getScoreColor, getSeverityColor, and the return JSX)
   const getScoreColor = (score) => {
     if (score >= 90) return 'text-green-600';
     if (score >= 80) return 'text-blue-600';
@@ -709,6 +2292,26 @@ const PickleballBackhandAnalysisV8 = () => {
     return 'text-red-600';
   };
 
+  // What a stat's pro value is: the pro reference or a target skill level
+  const statReference = (stat) => stat.reference || 'Pro';
+
+  // Level band and percentile of a stat in the skill-level benchmark
+  const benchmarkNote = (key) => {
+    const placement = statsComparison.benchmark?.metrics[key];
+    if (!placement) return null;
+    return (
+      <p className="text-xs text-gray-500">
+        Level {placement.level} band, {formatOrdinal(placement.percentile)} percentile
+      </p>
+    );
+  };
+
+  // Range the pro value is judged with: the spread between a composite's
+  // references, or half a target level's interquartile range
+  const toleranceNote = (stat) => stat.tolerance && (
+    <span className="text-sm text-gray-500"> ±{stat.tolerance}</span>
+  );
+
   const getSeverityColor = (severity) => {
     switch(severity) {
       case 'high': return 'bg-red-100 border-red-300';
@@ -718,16 +2321,69 @@ const PickleballBackhandAnalysisV8 = () => {
   };
 
   const hasData = comparisonData.wristHip.length > 0;
+  const strokeType = getStrokeType(analysisSettings.strokeType);
+  const referenceLabel = analysisStatus?.source === SOURCE_DEMO ? 'Pro (demo)' : describeReferences(getReferences(analysisSettings));
+  const distanceUnits = statsComparison?.units?.distance || UNITS_PIXELS;
+  const distanceUnit = DISTANCE_UNIT_LABELS[distanceUnits];
+  // The metrics grid flags what the rule set would flag
+  const extensionLimit = mildestLimit(ruleSet, 'armExtension', distanceUnits);
+  const wristDropLimit = mildestLimit(ruleSet, 'wristDrop', distanceUnits);
+  const traineeLabel = analysisPlayerName || 'You';
+  const analysisCounts = analysisHistory.reduce((counts, entry) => (
+    entry.playerId ? { ...counts, [entry.playerId]: (counts[entry.playerId] || 0) + 1 } : counts
+  ), {});
+  // Drills assigned since these recommendations were made stay on the plan
+  // (as assigned); earlier ones are avoided
+  const isDrillAssigned = (drill) => assignedDrills.some(entry => (
+    entry.drillId === drill.id && entry.assignedAt >= dynamicRecommendations.generatedAt
+  ));
+  const practiceDrills = dynamicRecommendations ? selectDrills(dynamicRecommendations.priorities, {
+    ...drillPreferences,
+    strokeTypeId: analysisSettings.strokeType,
+    assignedIds: assignedDrills
+      .filter(entry => entry.assignedAt < dynamicRecommendations.generatedAt)
+      .map(entry => entry.drillId)
+  }) : [];
 
   // Keep all your existing JSX return statement
   return (
     <div className="p-4 bg-gray-50 min-h-screen">
-      <h1 className="text-3xl font-bold mb-6">Volley Shot Analysis System</h1>
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold">Volley Shot Analysis System</h1>
+        <AnalysisStatusBanner status={analysisStatus} fileName={traineeFileName || validationReport?.fileName} />
+      </div>
 
       {/* File Upload Section */}
       <div className="bg-white p-6 rounded-lg shadow mb-6">
         <h2 className="text-xl font-semibold mb-4">Load Trainee Data</h2>
         <div className="flex items-center gap-4">
+          <label className="text-sm">
+            <span className="mr-2 text-gray-700">Stroke</span>
+            <select
+              value={analysisSettings.strokeType}
+              onChange={(event) => selectStrokeType(event.target.value)}
+              className="border border-gray-300 rounded px-2 py-2"
+              disabled={isLoading}
+            >
+              {Object.entries(STROKE_TYPES).map(([id, type]) => (
+                <option key={id} value={id}>
+                  {type.label}{listReferences(id, importedReferences).length ? '' : ' (no reference yet)'}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm">
+            <span className="mr-2 text-gray-700">Player</span>
+            <select
+              value={currentPlayerId || ''}
+              onChange={(event) => selectPlayer(event.target.value || null)}
+              className="border border-gray-300 rounded px-2 py-2"
+              disabled={isLoading}
+            >
+              <option value="">No player</option>
+              {players.map(player => <option key={player.id} value={player.id}>{player.name}</option>)}
+            </select>
+          </label>
           <input
             ref={fileInputRef}
             type="file"
@@ -742,6 +2398,13 @@ const PickleballBackhandAnalysisV8 = () => {
           >
             {isLoading ? 'Loading...' : 'Upload Trainee JSON'}
           </button>
+          <button
+            onClick={() => loadDemoComparison()}
+            className="bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300 transition-colors"
+            disabled={isLoading}
+          >
+            Load demo
+          </button>
           {traineeFileName && (
             <span className="text-sm text-gray-600">
               Current file: {traineeFileName}
@@ -749,13 +2412,108 @@ const PickleballBackhandAnalysisV8 = () => {
           )}
         </div>
         <p className="text-sm text-gray-500 mt-2">
-          Upload a JSON file containing pickleball pose primitives to compare against the professional reference.
+          Upload a JSON file containing pickleball pose primitives to compare against the professional {strokeType.label.toLowerCase()} reference.
         </p>
-        <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm">
-          <strong>Demo Mode:</strong> Currently showing example data. Upload different files to see how recommendations change.
-        </div>
+        {analysisStatus?.source === SOURCE_DEMO && (
+          <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm">
+            <strong>Demo Mode:</strong> Currently showing example data, not a real player. Upload a trainee file to analyze an actual stroke.
+          </div>
+        )}
+        {traineeUpload && (
+          <PlayerPicker
+            tracks={traineeUpload.tracks}
+            imageSize={traineeUpload.imageSize}
+            selectedId={analysisSettings.personId}
+            defaultId={traineeUpload.defaultPersonId}
+            onSelect={(personId) => updateAnalysisSettings({ personId })}
+          />
+        )}
+        {traineeUpload && (
+          <AnalysisSettings
+            settings={analysisSettings}
+            onChange={updateAnalysisSettings}
+            detectedHandedness={detectedHandedness}
+            calibration={calibrationInfo}
+          />
+        )}
+        {traineeUpload && (
+          <StrokeList
+            segmentation={segmentation}
+            selectedIndex={selectedStroke}
+            results={sessionResults}
+            onSelect={selectStroke}
+            onAnalyzeAll={analyzeAllStrokes}
+          />
+        )}
+        <ValidationReport report={validationReport} />
       </div>
 
+      <PlayerRoster
+        players={players}
+        currentId={currentPlayerId}
+        analysisCounts={analysisCounts}
+        error={playerError}
+        onSelect={selectPlayer}
+        onSave={savePlayer}
+        onDelete={deletePlayer}
+      />
+
+      <AnalysisHistory
+        entries={analysisHistory}
+        available={isHistoryAvailable()}
+        strokeType={analysisSettings.strokeType}
+        players={players}
+        playerId={historyPlayerId}
+        unitLabels={DISTANCE_UNIT_LABELS}
+        openId={openAnalysisId}
+        error={historyError}
+        onFilterPlayer={setHistoryPlayerId}
+        onOpen={openAnalysis}
+        onAssignPlayer={assignAnalysisPlayer}
+        onDelete={removeAnalysis}
+      />
+
+      <ReferenceManager
+        strokeType={analysisSettings.strokeType}
+        references={listReferences(analysisSettings.strokeType, importedReferences)}
+        selectedId={analysisSettings.referenceId}
+        compositeIds={analysisSettings.compositeIds}
+        importError={referenceImportError}
+        onSelect={(referenceId) => updateAnalysisSettings({ referenceId })}
+        onToggleComposite={toggleCompositeReference}
+        onImport={importReference}
+        onDelete={deleteReference}
+      />
+
+      <BenchmarkPanel
+        strokeType={analysisSettings.strokeType}
+        benchmarks={listBenchmarks(analysisSettings.strokeType, benchmarks)}
+        benchmark={getBenchmark(analysisSettings)}
+        targetLevel={analysisSettings.targetLevel}
+        importError={benchmarkImportError}
+        onSelect={selectBenchmark}
+        onSelectTarget={(targetLevel) => updateAnalysisSettings({ targetLevel })}
+        onImport={importBenchmark}
+        onDelete={deleteBenchmark}
+      />
+
+      <RuleEditor
+        ruleSet={ruleSet}
+        distanceUnit={distanceUnits}
+        importError={ruleSetError}
+        onApply={applyRuleSet}
+        onImport={importRuleSet}
+      />
+
+      {anchorEditor && (
+        <AnchorEditor
+          editor={anchorEditor}
+          distanceUnit={DISTANCE_UNIT_LABELS[anchorEditor.units] || DISTANCE_UNIT_LABELS[UNITS_PIXELS]}
+          saveError={anchorError}
+          onChange={updateAnchorOverrides}
+        />
+      )}
+
       {/* Comparison Results */}
       {hasData && (
         <>
@@ -785,6 +2543,11 @@ const PickleballBackhandAnalysisV8 = () => {
                  dynamicRecommendations.overallScore >= 70 ? 'Solid foundation. Focus on the priority areas below.' :
                  'Significant improvement opportunities. Work on fundamentals first.'}
               </p>
+              {statsComparison?.benchmark?.targetLevel && (
+                <p className="text-sm text-gray-500 mt-1">
+                  Scored against level {statsComparison.benchmark.targetLevel} players ({statsComparison.benchmark.name}) instead of the pro reference.
+                </p>
+              )}
             </div>
           )}
 
@@ -795,40 +2558,163 @@ const PickleballBackhandAnalysisV8 = () => {
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                 <div>
                   <h3 className="font-semibold text-sm text-gray-600">Stroke Duration</h3>
-                  <p className="text-lg">Pro: {statsComparison.strokeDuration.pro}s</p>
-                  <p className="text-lg">You: {statsComparison.strokeDuration.trainee}s</p>
+                  <p className="text-lg">{statReference(statsComparison.strokeDuration)}: {statsComparison.strokeDuration.pro}s{toleranceNote(statsComparison.strokeDuration)}</p>
+                  <p className="text-lg">{traineeLabel}: {statsComparison.strokeDuration.trainee}s</p>
+                  {benchmarkNote('strokeDuration')}
                   <p className={`text-sm ${parseFloat(statsComparison.strokeDuration.difference) > 200 ? 'text-red-600' : 'text-green-600'}`}>
                     {parseFloat(statsComparison.strokeDuration.difference) > 0 ? '+' : ''}{statsComparison.strokeDuration.difference}ms
                   </p>
                 </div>
                 <div>
-                  <h3 className="font-semibold text-sm text-gray-600">Peak Rotation</h3>
-                  <p className="text-lg">Pro: {statsComparison.peakRotation.pro}°</p>
-                  <p className="text-lg">You: {statsComparison.peakRotation.trainee}°</p>
-                  <p className={`text-sm ${parseFloat(statsComparison.peakRotation.difference) < -5 ? 'text-red-600' : 'text-green-600'}`}>
-                    {statsComparison.peakRotation.difference}°
-                  </p>
-                </div>
-                <div>
-                  <h3 className="font-semibold text-sm text-gray-600">Max Extension</h3>
-                  <p className="text-lg">Pro: {statsComparison.peakExtension.pro}</p>
-                  <p className="text-lg">You: {statsComparison.peakExtension.trainee}</p>
-                  <p className={`text-sm ${parseFloat(statsComparison.peakExtension.difference) < -15 ? 'text-red-600' : 'text-green-600'}`}>
-                    {statsComparison.peakExtension.difference} units
+                  <h3 className="font-semibold text-sm text-gray-600">Tempo (back : forward)</h3>
+                  <p className="text-lg">{statReference(statsComparison.tempo)}: {statsComparison.tempo.pro}{toleranceNote(statsComparison.tempo)}</p>
+                  <p className="text-lg">{traineeLabel}: {statsComparison.tempo.trainee}</p>
+                  {benchmarkNote('tempo')}
+                  <p className={`text-sm ${Math.abs(parseFloat(statsComparison.tempo.difference)) > 0.3 ? 'text-red-600' : 'text-green-600'}`}>
+                    {parseFloat(statsComparison.tempo.difference) > 0 ? '+' : ''}{statsComparison.tempo.difference}
                   </p>
                 </div>
+                {statsComparison.peakRotation && (
+                  <div>
+                    <h3 className="font-semibold text-sm text-gray-600">Peak Rotation</h3>
+                    <p className="text-lg">{statReference(statsComparison.peakRotation)}: {statsComparison.peakRotation.pro}°{toleranceNote(statsComparison.peakRotation)}</p>
+                    <p className="text-lg">{traineeLabel}: {statsComparison.peakRotation.trainee}°</p>
+                    {benchmarkNote('peakRotation')}
+                    <p className={`text-sm ${parseFloat(statsComparison.peakRotation.difference) < -5 ? 'text-red-600' : 'text-green-600'}`}>
+                      {statsComparison.peakRotation.difference}°
+                    </p>
+                  </div>
+                )}
+                {statsComparison.peakXFactor && (
+                  <div>
+                    <h3 className="font-semibold text-sm text-gray-600">Peak X-Factor</h3>
+                    <p className="text-lg">{statReference(statsComparison.peakXFactor)}: {statsComparison.peakXFactor.pro}°{toleranceNote(statsComparison.peakXFactor)}</p>
+                    <p className="text-lg">{traineeLabel}: {statsComparison.peakXFactor.trainee}°</p>
+                    {benchmarkNote('peakXFactor')}
+                    <p className={`text-sm ${parseFloat(statsComparison.peakXFactor.difference) < -8 ? 'text-red-600' : 'text-green-600'}`}>
+                      {statsComparison.peakXFactor.difference}°
+                    </p>
+                  </div>
+                )}
+                {statsComparison.peakExtension && (
+                  <div>
+                    <h3 className="font-semibold text-sm text-gray-600">Max Extension</h3>
+                    <p className="text-lg">{statReference(statsComparison.peakExtension)}: {statsComparison.peakExtension.pro}{distanceUnit}{toleranceNote(statsComparison.peakExtension)}</p>
+                    <p className="text-lg">{traineeLabel}: {statsComparison.peakExtension.trainee}{distanceUnit}</p>
+                    {benchmarkNote('peakExtension')}
+                    <p className={`text-sm ${parseFloat(statsComparison.peakExtension.difference) < extensionLimit ? 'text-red-600' : 'text-green-600'}`}>
+                      {statsComparison.peakExtension.difference}{distanceUnit}
+                    </p>
+                  </div>
+                )}
                 <div>
                   <h3 className="font-semibold text-sm text-gray-600">Wrist Drop</h3>
-                  <p className="text-lg">Pro: {statsComparison.wristDrop.pro}px</p>
-                  <p className="text-lg">You: {statsComparison.wristDrop.trainee}px</p>
-                  <p className={`text-sm ${parseFloat(statsComparison.wristDrop.difference) > 10 ? 'text-red-600' : 'text-green-600'}`}>
-                    {parseFloat(statsComparison.wristDrop.difference) > 0 ? '+' : ''}{statsComparison.wristDrop.difference}px
+                  <p className="text-lg">{statReference(statsComparison.wristDrop)}: {statsComparison.wristDrop.pro}{distanceUnit}{toleranceNote(statsComparison.wristDrop)}</p>
+                  <p className="text-lg">{traineeLabel}: {statsComparison.wristDrop.trainee}{distanceUnit}</p>
+                  {benchmarkNote('wristDrop')}
+                  <p className={`text-sm ${parseFloat(statsComparison.wristDrop.difference) > wristDropLimit ? 'text-red-600' : 'text-green-600'}`}>
+                    {parseFloat(statsComparison.wristDrop.difference) > 0 ? '+' : ''}{statsComparison.wristDrop.difference}{distanceUnit}
                   </p>
                 </div>
+                {statsComparison.wristSpeed && (
+                  <>
+                    <div>
+                      <h3 className="font-semibold text-sm text-gray-600">Peak Wrist Speed</h3>
+                      <p className="text-lg">{statReference(statsComparison.wristSpeed.peak)}: {statsComparison.wristSpeed.peak.pro}{distanceUnit}/s{toleranceNote(statsComparison.wristSpeed.peak)}</p>
+                      <p className="text-lg">{traineeLabel}: {statsComparison.wristSpeed.peak.trainee}{distanceUnit}/s</p>
+                      {benchmarkNote('peakWristSpeed')}
+                      <p className={`text-sm ${parseFloat(statsComparison.wristSpeed.peak.difference) < -0.15 * parseFloat(statsComparison.wristSpeed.peak.pro) ? 'text-red-600' : 'text-green-600'}`}>
+                        {parseFloat(statsComparison.wristSpeed.peak.difference) > 0 ? '+' : ''}{statsComparison.wristSpeed.peak.difference}{distanceUnit}/s
+                      </p>
+                    </div>
+                    <div>
+                      <h3 className="font-semibold text-sm text-gray-600">Speed Peak vs Contact</h3>
+                      <p className="text-lg">{statReference(statsComparison.wristSpeed.peakTiming)}: {statsComparison.wristSpeed.peakTiming.pro}ms{toleranceNote(statsComparison.wristSpeed.peakTiming)}</p>
+                      <p className="text-lg">{traineeLabel}: {statsComparison.wristSpeed.peakTiming.trainee}ms</p>
+                      {benchmarkNote('speedTiming')}
+                      <p className={`text-sm ${parseFloat(statsComparison.wristSpeed.peakTiming.difference) < -60 ? 'text-red-600' : 'text-green-600'}`}>
+                        {parseFloat(statsComparison.wristSpeed.peakTiming.difference) > 0 ? '+' : ''}{statsComparison.wristSpeed.peakTiming.difference}ms
+                      </p>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
           )}
 
+          {/* Where in the stroke points are lost */}
+          {statsComparison?.phaseScores && (
+            <PhaseScoreCard phaseScores={statsComparison.phaseScores} proLabel={referenceLabel} />
+          )}
+
+          {/* Whole-curve similarity */}
+          {statsComparison?.curveSimilarity && Object.keys(statsComparison.curveSimilarity).length > 0 && (
+            <CurveSimilarityCard curveSimilarity={statsComparison.curveSimilarity} distanceUnit={distanceUnit} />
+          )}
+
+          {/* Alignment and phase timing */}
+          {alignment && statsComparison?.phaseTiming && (
+            <AlignmentCard
+              alignment={alignment}
+              phaseTiming={statsComparison.phaseTiming}
+              proLabel={referenceLabel}
+              traineeLabel={traineeLabel}
+            />
+          )}
+
+          {/* Session consistency */}
+          {consistency && (
+            <ConsistencyCard
+              consistency={consistency}
+              phaseMarkers={phaseMarkers}
+              distanceUnit={distanceUnit}
+              proLabel={referenceLabel}
+            />
+          )}
+
+          {/* Kinetic Chain */}
+          {statsComparison?.kineticChain && (
+            <KineticChainCard kineticChain={statsComparison.kineticChain} proLabel={referenceLabel} traineeLabel={traineeLabel} />
+          )}
+
+          {/* Joint Angles */}
+          {statsComparison?.jointAngles && (
+            <div className="bg-white p-4 rounded-lg shadow mb-6">
+              <h2 className="text-xl font-semibold mb-3">Joint Angles</h2>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="py-1">Angle</th>
+                    <th className="py-1">Peak ({referenceLabel} / {traineeLabel})</th>
+                    <th className="py-1">At Contact ({referenceLabel} / {traineeLabel})</th>
+                    <th className="py-1">Difference at Contact</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {JOINT_ANGLE_METRICS.map(key => {
+                    const angle = statsComparison.jointAngles[key];
+                    return (
+                      <tr key={key} className="border-t">
+                        <td className="py-1 font-medium">{METRIC_LABELS[key]}</td>
+                        {angle ? (
+                          <>
+                            <td className="py-1">{angle.peak.pro}° / {angle.peak.trainee}°</td>
+                            <td className="py-1">{angle.atContact.pro}° / {angle.atContact.trainee}°</td>
+                            <td className={`py-1 ${Math.abs(parseFloat(angle.atContact.difference)) > 15 ? 'text-red-600' : 'text-green-600'}`}>
+                              {parseFloat(angle.atContact.difference) > 0 ? '+' : ''}{angle.atContact.difference}°
+                            </td>
+                          </>
+                        ) : (
+                          <td className="py-1 text-gray-500" colSpan={3}>Not available (keypoints not detected)</td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {/* Dynamic Recommendations */}
           {dynamicRecommendations && (
             <div className="bg-white p-6 rounded-lg shadow mb-6">
@@ -844,6 +2730,11 @@ const PickleballBackhandAnalysisV8 = () => {
                         <div className="flex items-start justify-between">
                           <div className="flex-1">
                             <h4 className="font-semibold">{priority.metric}: {priority.issue}</h4>
+                            {(priority.phase || priority.category) && (
+                              <p className="text-xs font-medium uppercase tracking-wide opacity-75">
+                                {[priority.category, priority.phase && `Phase: ${priority.phase.label}`].filter(Boolean).join(' · ')}
+                              </p>
+                            )}
                             <p className="text-sm mt-1">{priority.detail}</p>
                             <p className="text-sm mt-2 font-medium">💡 {priority.improvement}</p>
                           </div>
@@ -878,227 +2769,40 @@ const PickleballBackhandAnalysisV8 = () => {
               )}
 
               {/* Recommended Drills */}
-              {dynamicRecommendations.drills.length > 0 && (
-                <div>
-                  <h3 className="font-semibold text-lg mb-3 text-blue-600">Recommended Practice Drills</h3>
-                  <div className="space-y-3">
-                    {dynamicRecommendations.drills.map((drill, index) => (
-                      <div key={index} className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                        <h4 className="font-semibold text-blue-800">{index + 1}. {drill.name}</h4>
-                        <p className="text-sm text-blue-700 mt-1">{drill.description}</p>
-                        <p className="text-xs text-blue-600 mt-2">📊 {drill.reps}</p>
-                      </div>
-                    ))}
-                  </div>
-                </div>
+              {dynamicRecommendations.priorities.length > 0 && (
+                <DrillPlan
+                  drills={practiceDrills}
+                  preferences={drillPreferences}
+                  isAssigned={isDrillAssigned}
+                  error={drillError}
+                  onChangePreferences={updateDrillPreferences}
+                  onAssign={assignDrill}
+                />
               )}
             </div>
           )}
 
           {/* Charts Grid */}
+          <p className="text-sm text-gray-600 mb-2">
+            Vertical lines mark where each phase starts: dashed for {referenceLabel}, dotted for {analysisPlayerName || 'you'}.
+          </p>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-            {/* Wrist-Hip Chart */}
-            <div className="bg-white p-4 rounded-lg shadow">
-              <h2 className="text-lg font-semibold mb-3">Wrist-Hip Vertical Differential</h2>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={comparisonData.wristHip} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis
-                      dataKey="strokePercent"
-                      type="number"
-                      domain={[0, 100]}
-                      label={{ value: 'Stroke Progress (%)', position: 'insideBottom', offset: -5 }}
-                    />
-                    <YAxis
-                      label={{ value: 'Wrist Position (px)', angle: -90, position: 'insideLeft' }}
-                    />
-                    <Tooltip content={<CustomTooltip />} />
-                    <Legend />
-
-                    {phaseMarkers.map((phase, index) => (
-                      <ReferenceLine
-                        key={`phase-${index}`}
-                        x={phase.start}
-                        stroke={phase.color}
-                        strokeDasharray="3 3"
-                      />
-                    ))}
-
-                    <Line
-                      type="monotone"
-                      dataKey="proValue"
-                      stroke="#8884d8"
-                      strokeWidth={2}
-                      name="Pro (Marek)"
-                      dot={false}
-                    />
-                    <Line
-                      type="monotone"
-                      dataKey="traineeValue"
-                      stroke="#ff6b6b"
-                      strokeWidth={2}
-                      strokeDasharray="5 5"
-                      name="You"
-                      dot={false}
-                    />
-                  </LineChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-
-            {/* Shoulder Rotation Chart */}
-            <div className="bg-white p-4 rounded-lg shadow">
-              <h2 className="text-lg font-semibold mb-3">Shoulder Rotation</h2>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={comparisonData.shoulderRotation} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis
-                      dataKey="strokePercent"
-                      type="number"
-                      domain={[0, 100]}
-                      label={{ value: 'Stroke Progress (%)', position: 'insideBottom', offset: -5 }}
-                    />
-                    <YAxis
-                      label={{ value: 'Rotation (°)', angle: -90, position: 'insideLeft' }}
-                    />
-                    <Tooltip content={<CustomTooltip />} />
-                    <Legend />
-
-                    {phaseMarkers.map((phase, index) => (
-                      <ReferenceLine
-                        key={`phase-${index}`}
-                        x={phase.start}
-                        stroke={phase.color}
-                        strokeDasharray="3 3"
-                      />
-                    ))}
-
-                    <Line
-                      type="monotone"
-                      dataKey="proValue"
-                      stroke="#82ca9d"
-                      strokeWidth={2}
-                      name="Pro (Marek)"
-                      dot={false}
-                    />
-                    <Line
-                      type="monotone"
-                      dataKey="traineeValue"
-                      stroke="#ff6b6b"
-                      strokeWidth={2}
-                      strokeDasharray="5 5"
-                      name="You"
-                      dot={false}
-                    />
-                  </LineChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-
-            {/* Weight Transfer Chart */}
-            <div className="bg-white p-4 rounded-lg shadow">
-              <h2 className="text-lg font-semibold mb-3">Weight Transfer</h2>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={comparisonData.weightTransfer} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis
-                      dataKey="strokePercent"
-                      type="number"
-                      domain={[0, 100]}
-                      label={{ value: 'Stroke Progress (%)', position: 'insideBottom', offset: -5 }}
-                    />
-                    <YAxis
-                      label={{ value: 'Front Foot Weight (%)', angle: -90, position: 'insideLeft' }}
-                      domain={[0, 100]}
-                    />
-                    <Tooltip content={<CustomTooltip />} />
-                    <Legend />
-
-                    {phaseMarkers.map((phase, index) => (
-                      <ReferenceLine
-                        key={`phase-${index}`}
-                        x={phase.start}
-                        stroke={phase.color}
-                        strokeDasharray="3 3"
-                      />
-                    ))}
-
-                    <ReferenceLine y={50} stroke="#666" strokeDasharray="3 3" label="Balanced" />
-
-                    <Line
-                      type="monotone"
-                      dataKey="proValue"
-                      stroke="#ff7300"
-                      strokeWidth={2}
-                      name="Pro (Marek)"
-                      dot={false}
-                    />
-                    <Line
-                      type="monotone"
-                      dataKey="traineeValue"
-                      stroke="#ff6b6b"
-                      strokeWidth={2}
-                      strokeDasharray="5 5"
-                      name="You"
-                      dot={false}
-                    />
-                  </LineChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-
-            {/* Arm Extension Chart */}
-            <div className="bg-white p-4 rounded-lg shadow">
-              <h2 className="text-lg font-semibold mb-3">Arm Extension</h2>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={comparisonData.armExtension} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis
-                      dataKey="strokePercent"
-                      type="number"
-                      domain={[0, 100]}
-                      label={{ value: 'Stroke Progress (%)', position: 'insideBottom', offset: -5 }}
-                    />
-                    <YAxis
-                      label={{ value: 'Extension (units)', angle: -90, position: 'insideLeft' }}
-                    />
-                    <Tooltip content={<CustomTooltip />} />
-                    <Legend />
-
-                    {phaseMarkers.map((phase, index) => (
-                      <ReferenceLine
-                        key={`phase-${index}`}
-                        x={phase.start}
-                        stroke={phase.color}
-                        strokeDasharray="3 3"
-                      />
-                    ))}
-
-                    <Line
-                      type="monotone"
-                      dataKey="proValue"
-                      stroke="#0088fe"
-                      strokeWidth={2}
-                      name="Pro (Marek)"
-                      dot={false}
-                    />
-                    <Line
-                      type="monotone"
-                      dataKey="traineeValue"
-                      stroke="#ff6b6b"
-                      strokeWidth={2}
-                      strokeDasharray="5 5"
-                      name="You"
-                      dot={false}
-                    />
-                  </LineChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
+            {METRIC_CHARTS.filter(chart => strokeType.metrics.includes(chart.key)).map(chart => (
+              <MetricChart
+                key={chart.key}
+                title={chart.title}
+                data={comparisonData[chart.key]}
+                phaseMarkers={phaseMarkers}
+                traineePhaseMarkers={traineePhaseMarkers}
+                yLabel={chart.yLabel(distanceUnit)}
+                proColor={chart.proColor}
+                yDomain={chart.yDomain}
+                referenceY={chart.referenceY}
+                referenceLabel={chart.referenceLabel}
+                proLabel={referenceLabel}
+                traineeLabel={traineeLabel}
+              />
+            ))}
           </div>
         </>
       )}
@@ -1108,4 +2812,4 @@ const PickleballBackhandAnalysisV8 = () => {
 
 };
 
-export default PickleballBackhandAnalysisV8;
+export default PickleballStrokeAnalysis;
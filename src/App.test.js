@@ -1,8 +1,25 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// recharts measures its container, which jsdom can't do
+beforeAll(() => {
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+test('renders the upload controls', () => {
+  render(<App />);
+  expect(screen.getByText('Volley Shot Analysis System')).toBeInTheDocument();
+  expect(screen.getByText('Upload Trainee JSON')).toBeInTheDocument();
+  expect(screen.getByText('Load demo')).toBeInTheDocument();
+});
+
+test('shows the demo comparison, marked as demo data', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Load demo'));
+  expect(await screen.findByText('Demo Mode:')).toBeInTheDocument();
+  expect(screen.getByText('Overall Performance Score')).toBeInTheDocument();
 });
@@ -0,0 +1,69 @@
+// Analysis status model shown in the header. Every result the UI displays
+// carries one, so demo curves can never be mistaken for a player's own data.
+//
+//   ok       - the analysis ran on the uploaded frames without caveats
+//   degraded - results are shown but some inputs were weak (see reasons)
+//   failed   - nothing from the upload is shown (see reasons)
+
+export const STATUS_OK = 'ok';
+export const STATUS_DEGRADED = 'degraded';
+export const STATUS_FAILED = 'failed';
+
+export const SOURCE_UPLOAD = 'upload';
+export const SOURCE_DEMO = 'demo';
+
+const DEGRADED_MISSING_PERCENT = 25;
+const FAILED_MISSING_PERCENT = 75;
+const DEGRADED_DROPPED_PERCENT = 5;
+
+export const degraded = (message) => ({ level: STATUS_DEGRADED, message });
+export const failed = (message) => ({ level: STATUS_FAILED, message });
+
+export const createAnalysisStatus = (source, reasons = []) => {
+  let level = STATUS_OK;
+  if (reasons.some(reason => reason.level === STATUS_FAILED)) {
+    level = STATUS_FAILED;
+  } else if (reasons.some(reason => reason.level === STATUS_DEGRADED)) {
+    level = STATUS_DEGRADED;
+  }
+  return { source, level, reasons };
+};
+
+// 'rightWrist' -> 'right wrist'
+export const formatKeypointName = (name) => name.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+// Turns the capture report's keypoint coverage into status reasons for the
+// keypoints the metrics actually depend on. Keypoints only some optional
+// metrics use (e.g. the joint angles) degrade the analysis at most, since
+// those metrics are just left out without them.
+export const assessKeypointCoverage = (report, keypoints, optionalKeypoints = []) => {
+  if (!report) return [];
+
+  return report.missingKeypoints
+    .filter(keypoint => (
+      (keypoints.includes(keypoint.name) || optionalKeypoints.includes(keypoint.name)) &&
+      keypoint.percent >= DEGRADED_MISSING_PERCENT
+    ))
+    .map(keypoint => {
+      const message = `No ${formatKeypointName(keypoint.name)} detected in ${keypoint.percent.toFixed(0)}% of frames`;
+      return keypoint.percent >= FAILED_MISSING_PERCENT && keypoints.includes(keypoint.name)
+        ? failed(message)
+        : degraded(message);
+    });
+};
+
+export const assessFrameTiming = (timing, totalFrames) => {
+  if (!timing) return [];
+
+  if (!timing.hasTimestamps) {
+    return [degraded(`No frame timestamps; timing assumes ${timing.fps} fps`)];
+  }
+
+  const reasons = [];
+  const expectedFrames = totalFrames + timing.droppedFrames;
+  const droppedPercent = expectedFrames ? (timing.droppedFrames / expectedFrames) * 100 : 0;
+  if (droppedPercent >= DEGRADED_DROPPED_PERCENT) {
+    reasons.push(degraded(`${timing.droppedFrames} frames dropped during capture (${droppedPercent.toFixed(0)}%)`));
+  }
+  return reasons;
+};
@@ -0,0 +1,121 @@
+// Skill-level benchmarks: the summary stats measured on groups of players at
+// each level (3.0, 3.5, ..., pro). A trainee is placed, stat by stat, in the
+// level whose median is closest and given a percentile within that level.
+// Picking a target level judges the stats against the middle half of that
+// level instead of the pro reference, which moves both the recommendation
+// thresholds and the overall score to what is realistic for that level.
+//
+// Benchmark files:
+//   {name, strokeType, units, levels: [{level, metrics: {<key>: [values]}}]}
+// Levels go from lowest to highest. Keys are SUMMARY_STATS keys, with
+// values in the units statsComparison uses: seconds for stroke duration,
+// ms for the speed peak timing and `units` (px, cm, torso, ...) for
+// distances.
+
+import { STROKE_TYPES } from './strokeTypes';
+import { SUMMARY_STATS, readStat, judgeAgainstRange } from './summaryStats';
+
+// A level needs at least this many players for a stat to be used
+export const MIN_BENCHMARK_VALUES = 5;
+
+const SUMMARY_STAT_KEYS = SUMMARY_STATS.map(entry => entry.key);
+
+// {benchmark, error}: the benchmark with only usable levels and stats, or
+// an error saying why the file can't be used
+export const parseBenchmark = (data) => {
+  const invalid = (error) => ({ benchmark: null, error });
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return invalid('Expected a JSON object with name, strokeType, units and levels.');
+  }
+  if (!STROKE_TYPES[data.strokeType]) {
+    return invalid(`Unknown stroke type "${data.strokeType}"; expected one of ${Object.keys(STROKE_TYPES).join(', ')}.`);
+  }
+  if (typeof data.units !== 'string') {
+    return invalid('Missing units (the distance units the values were measured in).');
+  }
+  if (!Array.isArray(data.levels) || !data.levels.length) {
+    return invalid('Expected a non-empty levels array.');
+  }
+
+  const levels = data.levels.map(entry => {
+    const metrics = {};
+    Object.entries(entry?.metrics || {}).forEach(([key, values]) => {
+      if (!SUMMARY_STAT_KEYS.includes(key) || !Array.isArray(values)) return;
+      const finite = values.filter(Number.isFinite).sort((a, b) => a - b);
+      if (finite.length >= MIN_BENCHMARK_VALUES) metrics[key] = finite;
+    });
+    return { level: String(entry?.level ?? ''), metrics };
+  }).filter(entry => entry.level && Object.keys(entry.metrics).length);
+
+  if (!levels.length) {
+    return invalid(`No level has ${MIN_BENCHMARK_VALUES} or more values for any of: ${SUMMARY_STAT_KEYS.join(', ')}.`);
+  }
+  return {
+    benchmark: {
+      name: typeof data.name === 'string' && data.name ? data.name : 'Benchmark',
+      strokeType: data.strokeType,
+      units: data.units,
+      levels
+    },
+    error: null
+  };
+};
+
+// Value at a fraction of a sorted array, interpolated
+const quantile = (sorted, fraction) => {
+  const position = (sorted.length - 1) * fraction;
+  const below = Math.floor(position);
+  const above = Math.min(sorted.length - 1, below + 1);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+};
+
+// Share of the values below `value` (ties count half), 0-100
+const percentileOf = (sorted, value) => {
+  const below = sorted.filter(v => v < value).length;
+  const equal = sorted.filter(v => v === value).length;
+  return Math.round(((below + equal / 2) / sorted.length) * 100);
+};
+
+// Stats with their placement in the benchmark added as stats.benchmark:
+//   {name, targetLevel, metrics: {<key>: {level, percentile, targetPercentile}}}
+// With a target level, each stat it has values for is judged against that
+// level's median ± half its interquartile range. Distances are skipped when
+// the benchmark was measured in other units.
+export const applyBenchmark = (stats, benchmark, targetLevel = null) => {
+  const target = benchmark.levels.find(entry => entry.level === targetLevel) || null;
+  const metrics = {};
+  let result = stats;
+
+  SUMMARY_STATS.forEach(entry => {
+    const stat = readStat(stats, entry);
+    if (!stat || (entry.distance && benchmark.units !== stats.units.distance)) return;
+    const trainee = parseFloat(stat.trainee);
+    const levels = benchmark.levels.filter(level => level.metrics[entry.key]);
+    if (!levels.length || !Number.isFinite(trainee)) return;
+
+    const band = levels.reduce((closest, level) => (
+      Math.abs(quantile(level.metrics[entry.key], 0.5) - trainee) <
+      Math.abs(quantile(closest.metrics[entry.key], 0.5) - trainee) ? level : closest
+    ));
+    const targetValues = target?.metrics[entry.key];
+    metrics[entry.key] = {
+      level: band.level,
+      percentile: percentileOf(band.metrics[entry.key], trainee),
+      targetPercentile: targetValues ? percentileOf(targetValues, trainee) : null
+    };
+
+    if (targetValues) {
+      const spread = (quantile(targetValues, 0.75) - quantile(targetValues, 0.25)) / 2;
+      result = judgeAgainstRange(result, entry, quantile(targetValues, 0.5), spread, `Level ${target.level}`);
+    }
+  });
+
+  return {
+    ...result,
+    benchmark: {
+      name: benchmark.name,
+      targetLevel: target ? target.level : null,
+      metrics
+    }
+  };
+};
@@ -0,0 +1,87 @@
+import { parseBenchmark, applyBenchmark, MIN_BENCHMARK_VALUES } from './benchmarks';
+
+// Medians 30, 50 and 70; tempo only measured at 3.0
+const { benchmark } = parseBenchmark({
+  name: 'Club',
+  strokeType: 'backhand-drive',
+  units: 'cm',
+  levels: [
+    { level: '3.0', metrics: { peakRotation: [40, 20, 30, 25, 35], tempo: [0.7, 0.8, 0.9, 1.0, 1.1] } },
+    { level: '3.5', metrics: { peakRotation: [40, 45, 50, 55, 60], peakExtension: [50, 55, 60, 65, 70] } },
+    { level: '4.0', metrics: { peakRotation: [60, 65, 70, 75, 80] } }
+  ]
+});
+
+const stat = (trainee, pro) => ({ pro: pro.toFixed(1), trainee: trainee.toFixed(1), difference: (trainee - pro).toFixed(1) });
+
+const statsWith = (rotation, distance = 'cm') => ({
+  units: { distance },
+  peakRotation: stat(rotation, 65),
+  peakExtension: stat(58, 60),
+  tempo: { pro: '0.82', trainee: '0.90', difference: '0.08' }
+});
+
+test('keeps only levels and stats with enough values', () => {
+  const { benchmark: parsed } = parseBenchmark({
+    strokeType: 'dink',
+    units: 'px',
+    levels: [
+      { level: '3.0', metrics: { peakRotation: [3, 1, 2, 5, 4], tempo: [1, 2], unknown: [1, 2, 3, 4, 5] } },
+      { level: '3.5', metrics: { tempo: [1, 2, 3] } }
+    ]
+  });
+  expect(parsed.name).toBe('Benchmark');
+  expect(parsed.levels).toEqual([{ level: '3.0', metrics: { peakRotation: [1, 2, 3, 4, 5] } }]);
+  expect(benchmark.levels.map(level => level.level)).toEqual(['3.0', '3.5', '4.0']);
+});
+
+test('rejects benchmarks it cannot use', () => {
+  expect(parseBenchmark([]).error).toBe('Expected a JSON object with name, strokeType, units and levels.');
+  expect(parseBenchmark({ strokeType: 'lob', units: 'px', levels: [] }).error).toMatch(/Unknown stroke type "lob"/);
+  expect(parseBenchmark({ strokeType: 'dink', levels: [] }).error).toMatch(/Missing units/);
+  expect(parseBenchmark({ strokeType: 'dink', units: 'px', levels: [] }).error).toBe('Expected a non-empty levels array.');
+  expect(parseBenchmark({ strokeType: 'dink', units: 'px', levels: [{ level: '3.0', metrics: { tempo: [1] } }] }).error)
+    .toMatch(new RegExp(`No level has ${MIN_BENCHMARK_VALUES} or more values`));
+});
+
+test('places a stat in the level with the closest median, the lower one on a tie', () => {
+  const level = (rotation) => applyBenchmark(statsWith(rotation), benchmark).benchmark.metrics.peakRotation.level;
+  expect(level(40)).toBe('3.0');
+  expect(level(40.1)).toBe('3.5');
+  expect(level(60)).toBe('3.5');
+  expect(level(60.1)).toBe('4.0');
+});
+
+test('gives the percentile within the level, clamped to its ends', () => {
+  const percentile = (rotation) => applyBenchmark(statsWith(rotation), benchmark).benchmark.metrics.peakRotation.percentile;
+  expect(percentile(40)).toBe(90);
+  expect(percentile(50)).toBe(50);
+  expect(percentile(5)).toBe(0);
+  expect(percentile(120)).toBe(100);
+});
+
+test('judges stats against the middle half of the target level', () => {
+  const result = applyBenchmark(statsWith(40), benchmark, '3.5');
+  expect(result.benchmark.targetLevel).toBe('3.5');
+  expect(result.peakRotation).toEqual({ pro: '50.0', trainee: '40.0', difference: '-5.0', tolerance: '5.0', reference: 'Level 3.5' });
+  expect(result.peakExtension).toMatchObject({ pro: '60.0', difference: '0.0', tolerance: '5.0' });
+  expect(result.benchmark.metrics.peakRotation.targetPercentile).toBe(10);
+
+  // The target level has no tempo values, so tempo stays against the pro
+  expect(result.tempo).toEqual(statsWith(40).tempo);
+  expect(result.benchmark.metrics.tempo).toEqual({ level: '3.0', percentile: 50, targetPercentile: null });
+});
+
+test('leaves the scoring to the pro when the target level is missing', () => {
+  const stats = statsWith(40);
+  const result = applyBenchmark(stats, benchmark, '5.0');
+  expect(result.benchmark.targetLevel).toBeNull();
+  expect(result.peakRotation).toBe(stats.peakRotation);
+  expect(result.benchmark.metrics.peakRotation.targetPercentile).toBeNull();
+});
+
+test('skips distances measured in other units', () => {
+  const result = applyBenchmark(statsWith(40, 'px'), benchmark, '3.5');
+  expect(result.benchmark.metrics.peakExtension).toBeUndefined();
+  expect(result.peakExtension).toEqual(stat(58, 60));
+});
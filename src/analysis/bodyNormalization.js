@@ -0,0 +1,67 @@
+// Body-size normalization for distance metrics. A tall and a short player
+// produce very different pixel (or even centimeter) wrist-hip and extension
+// values for the same technique, so distances can instead be expressed as a
+// percentage of one of the player's own body segments.
+
+import { isKeypointPresent } from './frameValidation';
+import { getPersonForFrame } from './playerTracking';
+import { median } from './mathUtils';
+
+export const NORMALIZATION_NONE = 'none';
+export const NORMALIZATION_TORSO = 'torso';
+export const NORMALIZATION_LEG = 'leg';
+export const NORMALIZATION_HEIGHT = 'height';
+
+export const NORMALIZATION_LABELS = {
+  [NORMALIZATION_TORSO]: 'torso length',
+  [NORMALIZATION_LEG]: 'leg length',
+  [NORMALIZATION_HEIGHT]: 'body height'
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Shoulder-centre to hip-centre
+const measureTorso = (pose) => {
+  if (![pose.leftShoulder, pose.rightShoulder, pose.leftHip, pose.rightHip].every(isKeypointPresent)) return null;
+  return distance(midpoint(pose.leftShoulder, pose.rightShoulder), midpoint(pose.leftHip, pose.rightHip));
+};
+
+// Hip-knee-ankle path, averaged over the legs that are fully visible
+const measureLeg = (pose) => {
+  const legs = ['left', 'right']
+    .map(side => [pose[`${side}Hip`], pose[`${side}Knee`], pose[`${side}Ankle`]])
+    .filter(points => points.every(isKeypointPresent))
+    .map(([hip, knee, ankle]) => distance(hip, knee) + distance(knee, ankle));
+  return legs.length ? legs.reduce((sum, v) => sum + v, 0) / legs.length : null;
+};
+
+// Clip medians of each segment in pixels. Medians keep a crouch, a lean or
+// a few bad detections from skewing the reference length.
+export const measureBodySegments = (frames, personId = null) => {
+  const torso = [];
+  const leg = [];
+  const height = [];
+
+  (frames || []).forEach(frame => {
+    const person = getPersonForFrame(frame, personId);
+    if (!person) return;
+
+    if (person.pose) {
+      const torsoLength = measureTorso(person.pose);
+      if (torsoLength) torso.push(torsoLength);
+      const legLength = measureLeg(person.pose);
+      if (legLength) leg.push(legLength);
+    }
+    if (person.bboxImage?.height > 0) {
+      height.push(person.bboxImage.height);
+    }
+  });
+
+  return {
+    [NORMALIZATION_TORSO]: median(torso),
+    [NORMALIZATION_LEG]: median(leg),
+    [NORMALIZATION_HEIGHT]: median(height)
+  };
+};
@@ -0,0 +1,83 @@
+// Optional projection layer turning pixel distances into approximate
+// centimeters. Sources of scale, in order of preference:
+//
+//   camera - distance from `cameraPosition` to `person.location` divided by
+//            the focal length from `intrinsics` (pinhole model)
+//   court  - the known court width between `courtCornersImageSpace` corners,
+//            interpolated to the row of the player's feet
+//   height - the player's height from their profile over their height in
+//            pixels, for clips without either of the above
+//
+// All assume the player's limbs are roughly parallel to the image plane,
+// so values are approximate and best used for comparisons.
+
+export const UNITS_PIXELS = 'px';
+export const UNITS_CENTIMETERS = 'cm';
+
+// Pickleball court width (20 ft)
+const COURT_WIDTH_CM = 609.6;
+
+// Height of the torso centre above the ground, where most keypoints are
+const TORSO_HEIGHT_M = 1.0;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const scaleFromCamera = (frame, person) => {
+  const { intrinsics, cameraPosition } = frame;
+  const location = person?.location;
+  if (!intrinsics || !cameraPosition || !location) return null;
+  if (!(intrinsics.fx > 0) || !(intrinsics.fy > 0)) return null;
+  if (![cameraPosition.x, cameraPosition.y, cameraPosition.z, location.x, location.y].every(isFiniteNumber)) return null;
+
+  const dz = (isFiniteNumber(location.z) ? location.z : 0) + TORSO_HEIGHT_M - cameraPosition.z;
+  const distance = Math.hypot(location.x - cameraPosition.x, location.y - cameraPosition.y, dz);
+  if (!(distance > 0)) return null;
+
+  const focal = (intrinsics.fx + intrinsics.fy) / 2;
+  return (distance * 100) / focal;
+};
+
+// On a flat court seen by a level camera, the pixel width of a fixed-width
+// line is linear in its image row, so the width at the player's feet can be
+// interpolated (or extrapolated) from the two baselines.
+const scaleFromCourt = (frame, person) => {
+  const corners = frame.courtCornersImageSpace;
+  const box = person?.bboxImage;
+  if (!corners || !box) return null;
+
+  const { point1, point2, point3, point4 } = corners;
+  if (![point1, point2, point3, point4].every(p => p && isFiniteNumber(p.x) && isFiniteNumber(p.y))) return null;
+
+  const nearRow = (point1.y + point3.y) / 2;
+  const farRow = (point2.y + point4.y) / 2;
+  if (Math.abs(nearRow - farRow) < 1) return null;
+
+  const nearWidth = Math.abs(point3.x - point1.x);
+  const farWidth = Math.abs(point4.x - point2.x);
+  const footRow = box.ymin + box.height;
+  const width = farWidth + ((footRow - farRow) / (nearRow - farRow)) * (nearWidth - farWidth);
+
+  return width > 0 ? COURT_WIDTH_CM / width : null;
+};
+
+// Centimeters per pixel from the player's known height and their median
+// bounding-box height in the clip, or null without both. Strokes are hit
+// crouched, so the box is shorter than the player and distances read a
+// little long; only used when the frames carry no calibration.
+export const getHeightScale = (heightCm, heightPixels) => (
+  heightCm > 0 && heightPixels > 0 ? { cmPerPixel: heightCm / heightPixels, method: 'player height' } : null
+);
+
+// Centimeters per pixel at the player's position, or null when the frame
+// carries no usable calibration
+export const getFrameScale = (frame, person) => {
+  if (!frame || !person) return null;
+
+  const camera = scaleFromCamera(frame, person);
+  if (camera) return { cmPerPixel: camera, method: 'camera' };
+
+  const court = scaleFromCourt(frame, person);
+  if (court) return { cmPerPixel: court, method: 'court' };
+
+  return null;
+};
@@ -0,0 +1,21 @@
+// Composite pro reference: several pros averaged into one mean stroke with a
+// tolerance band, so a trainee is judged against a range of good technique
+// rather than one player's habits. The curves are averaged in App (they
+// need the anchor mapping); this module holds the statistics.
+
+import { SUMMARY_STATS, readStat, judgeAgainstRange } from './summaryStats';
+import { mean, standardDeviation } from './mathUtils';
+
+// Stats against the composite, with each summary stat's pro value replaced
+// by the mean over the references and a tolerance (their standard
+// deviation) added, so anything inside mean ± tolerance is a difference of
+// zero. memberStats are the same stats computed against each reference on
+// its own.
+export const applyReferenceTolerance = (stats, memberStats) => SUMMARY_STATS.reduce((result, entry) => {
+  const values = memberStats
+    .map(member => readStat(member, entry))
+    .filter(Boolean)
+    .map(stat => parseFloat(stat.pro));
+  if (values.length < 2) return result;
+  return judgeAgainstRange(result, entry, mean(values), standardDeviation(values));
+}, stats);
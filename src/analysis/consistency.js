@@ -0,0 +1,149 @@
+// Stroke-to-stroke consistency for a session. Every analyzed stroke has
+// already been resampled onto the pro's stroke percent axis, so the
+// strokes can be stacked point by point: the spread across strokes at each
+// percent, relative to how far the metric moves over the stroke, is what
+// makes a swing repeatable or not.
+//
+// Input is the normalizeAndAlign result of each successfully analyzed
+// stroke ({comparison, phases, traineePhases, stats}).
+
+import { contactPercent } from './strokeEvents';
+import { mean, standardDeviation } from './mathUtils';
+
+export const CONSISTENCY_METRICS = [
+  'wristHip',
+  'armExtension',
+  'shoulderRotation',
+  'hipRotation',
+  'xFactor',
+  'elbowFlexion',
+  'hittingKneeFlexion',
+  'trunkLean',
+  'wristSpeed'
+];
+
+// A spread of half the metric's range (or more) scores zero
+const MAX_SPREAD = 0.5;
+
+// Consistency needs at least this many strokes to mean anything
+export const MIN_CONSISTENCY_STROKES = 3;
+
+// Stroke-to-stroke variation of a key event worth coaching, and worth
+// making a priority
+export const VARIATION_MEDIUM = 0.15;
+export const VARIATION_HIGH = 0.25;
+
+const spreadScore = (spread) => Math.round(100 * Math.max(0, 1 - spread / MAX_SPREAD));
+
+// Trainee value at a stroke percent, interpolated between samples
+const traineeValueAt = (series, percent) => {
+  const after = series.findIndex(point => point.strokePercent >= percent);
+  if (after <= 0) return after === 0 ? series[0].traineeValue : series[series.length - 1].traineeValue;
+  const before = series[after - 1];
+  const next = series[after];
+  if (before.traineeValue === null || next.traineeValue === null) return before.traineeValue ?? next.traineeValue;
+  const fraction = (percent - before.strokePercent) / (next.strokePercent - before.strokePercent);
+  return before.traineeValue + (next.traineeValue - before.traineeValue) * fraction;
+};
+
+// Chart rows for one metric: every stroke (s0, s1, ...), their mean, the
+// mean ± one standard deviation band and the pro curve
+export const buildStrokeEnvelope = (strokes, key) => strokes[0].comparison[key].map((point, index) => {
+  const values = strokes.map(stroke => stroke.comparison[key][index].traineeValue);
+  const row = { strokePercent: point.strokePercent, pro: point.proValue };
+  values.forEach((value, strokeIndex) => {
+    row[`s${strokeIndex}`] = value;
+  });
+  if (values.every(value => value !== null)) {
+    const average = mean(values);
+    const std = standardDeviation(values);
+    row.mean = average;
+    row.std = std;
+    row.band = [average - std, average + std];
+  }
+  return row;
+});
+
+// Spread of one value per stroke; relative to `scale` when given (for
+// values whose zero is arbitrary), otherwise to the mean
+const describeVariation = (key, label, values, scale = null) => {
+  const present = values.filter(value => value !== null && Number.isFinite(value));
+  if (present.length < MIN_CONSISTENCY_STROKES) return null;
+  const average = mean(present);
+  const std = standardDeviation(present);
+  const reference = scale ?? Math.abs(average);
+  return {
+    key,
+    label,
+    mean: average,
+    std,
+    variation: reference > 0 ? std / reference : 0
+  };
+};
+
+// {strokeCount, score, phases, metrics, keyEvents}, or null with fewer than
+// MIN_CONSISTENCY_STROKES strokes.
+//   metrics   - [{key, amplitude, score, phaseScores: [{phase, label, score}], envelope}]
+//   keyEvents - [{key, label, mean, std, variation}] for single moments of
+//               the stroke (contact height, peak speed, duration, ...)
+export const analyzeConsistency = (strokes) => {
+  if (strokes.length < MIN_CONSISTENCY_STROKES) return null;
+
+  // The pro is the same for every stroke, and so are its phases
+  const { phases } = strokes[0];
+
+  const metrics = CONSISTENCY_METRICS.map(key => {
+    const envelope = buildStrokeEnvelope(strokes, key);
+    const rows = envelope.filter(row => row.std !== undefined);
+    if (rows.length < envelope.length / 2) return null;
+
+    const means = rows.map(row => row.mean);
+    const amplitude = Math.max(...means) - Math.min(...means);
+    if (!(amplitude > 0)) return null;
+
+    const phaseScores = phases.map(phase => {
+      const inPhase = rows.filter(row => row.strokePercent >= phase.start && row.strokePercent <= phase.end);
+      return {
+        phase: phase.phase,
+        label: phase.label,
+        score: inPhase.length ? spreadScore(mean(inPhase.map(row => row.std)) / amplitude) : null
+      };
+    });
+
+    return {
+      key,
+      amplitude,
+      score: spreadScore(mean(rows.map(row => row.std)) / amplitude),
+      phaseScores,
+      envelope
+    };
+  }).filter(Boolean);
+
+  const atContact = (key) => strokes.map(stroke => {
+    const percent = contactPercent(stroke.traineePhases);
+    return percent === null ? null : traineeValueAt(stroke.comparison[key], percent);
+  });
+  const wristHip = metrics.find(metric => metric.key === 'wristHip');
+  const stat = (read) => strokes.map(stroke => {
+    const value = read(stroke.stats);
+    return value === undefined || value === null ? null : parseFloat(value);
+  });
+
+  const keyEvents = [
+    // Height is relative to the hip, so its spread is measured against the
+    // wrist's travel rather than its mean
+    wristHip && describeVariation('contactHeight', 'Contact height', atContact('wristHip'), wristHip.amplitude),
+    describeVariation('contactExtension', 'Arm extension at contact', atContact('armExtension')),
+    describeVariation('peakWristSpeed', 'Peak wrist speed', stat(stats => stats.wristSpeed?.peak.trainee)),
+    describeVariation('strokeDuration', 'Stroke duration', stat(stats => stats.strokeDuration.trainee)),
+    describeVariation('tempo', 'Tempo', stat(stats => stats.tempo.trainee))
+  ].filter(Boolean);
+
+  return {
+    strokeCount: strokes.length,
+    score: metrics.length ? Math.round(mean(metrics.map(metric => metric.score))) : null,
+    phases,
+    metrics,
+    keyEvents
+  };
+};
@@ -0,0 +1,105 @@
+// Whole-curve similarity between the trainee and the reference, per metric,
+// from the aligned comparison series. Peak values alone miss a stroke that
+// gets to the right value at the wrong moment; these measures don't:
+//
+//   rmse        - root mean square gap, in the metric's units
+//   correlation - Pearson correlation of the two curves (1 = same shape)
+//   area        - area between the curves over the stroke, as a share of
+//                 the reference's range over the whole stroke (0 = on top)
+//   peakOffset  - when the curve peaks, in ms from each player's own
+//                 contact on their own clip, minus the same for the
+//                 reference; as peakOffsetMs and as % of the reference's
+//                 stroke (+ = late). Read off the raw series, since
+//                 alignment would have warped the gap away.
+
+import { mean } from './mathUtils';
+
+// Which extreme is the metric's peak; null for curves without a meaningful
+// one (weight moves from foot to foot, the forearm just rises)
+export const CURVE_METRICS = {
+  wristHip: { peak: 'min' },
+  shoulderRotation: { peak: 'max' },
+  hipRotation: { peak: 'max' },
+  xFactor: { peak: 'max' },
+  weightTransfer: { peak: null },
+  armExtension: { peak: 'max' },
+  wristSpeed: { peak: 'max' },
+  elbowFlexion: { peak: 'max' },
+  hittingKneeFlexion: { peak: 'max' },
+  trunkLean: { peak: 'max' },
+  forearmAngle: { peak: null }
+};
+
+const correlate = (xs, ys) => {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) * (x - meanX);
+    varianceY += (ys[index] - meanY) * (ys[index] - meanY);
+  });
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+};
+
+// Trapezoid area of |trainee - reference| over stroke percent
+const areaBetween = (points) => points.slice(1).reduce((area, point, index) => {
+  const previous = points[index];
+  const width = point.strokePercent - previous.strokePercent;
+  const gapBefore = Math.abs(previous.traineeValue - previous.proValue);
+  const gapAfter = Math.abs(point.traineeValue - point.proValue);
+  return area + width * (gapBefore + gapAfter) / 2;
+}, 0);
+
+// Time of the metric's peak from contact within the stroke, or null
+const peakFromContact = ({ metrics, events }, key, direction) => {
+  if (events?.contact === null || events?.contact === undefined) return null;
+  const points = (metrics[key] || []).filter(point => (
+    point.value !== null && point.timestamp >= events.start && point.timestamp <= events.end
+  ));
+  if (!points.length) return null;
+  const peak = points.reduce((best, point) => {
+    const better = direction === 'min' ? point.value < best.value : point.value > best.value;
+    return better ? point : best;
+  });
+  return peak.timestamp - events.contact;
+};
+
+// {<key>: {rmse, correlation, area, peakOffset, peakOffsetMs}} for the
+// metrics with enough samples on both sides. `timing` holds each player's
+// own series and stroke events: {pro: {metrics, events}, trainee: {...}}.
+export const measureCurveSimilarity = (comparison, timing, metricKeys) => {
+  const strokeDurationMs = timing.pro.events.end - timing.pro.events.start;
+  const similarity = {};
+
+  Object.keys(CURVE_METRICS).forEach(key => {
+    const series = comparison[key];
+    if (!metricKeys.includes(key) || !series?.length) return;
+    const points = series.filter(point => point.proValue !== null && point.traineeValue !== null);
+    if (points.length < Math.max(3, series.length / 2)) return;
+
+    const proValues = points.map(point => point.proValue);
+    const amplitude = Math.max(...proValues) - Math.min(...proValues);
+    const span = points[points.length - 1].strokePercent - points[0].strokePercent;
+
+    let peakOffsetMs = null;
+    const { peak } = CURVE_METRICS[key];
+    if (peak) {
+      const proPeak = peakFromContact(timing.pro, key, peak);
+      const traineePeak = peakFromContact(timing.trainee, key, peak);
+      if (proPeak !== null && traineePeak !== null) peakOffsetMs = traineePeak - proPeak;
+    }
+
+    similarity[key] = {
+      rmse: Math.sqrt(mean(points.map(point => (point.traineeValue - point.proValue) ** 2))),
+      correlation: correlate(proValues, points.map(point => point.traineeValue)),
+      area: amplitude > 0 && span > 0 ? areaBetween(points) / (span * amplitude) : null,
+      peakOffset: peakOffsetMs !== null && strokeDurationMs > 0 ? (peakOffsetMs / strokeDurationMs) * 100 : null,
+      peakOffsetMs
+    };
+  });
+
+  return similarity;
+};
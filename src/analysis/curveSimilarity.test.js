@@ -0,0 +1,83 @@
+import { measureCurveSimilarity } from './curveSimilarity';
+import { buildAlignment, warpPercent, ALIGNMENT_DTW, ALIGNMENT_SAMPLES } from './timeWarping';
+
+const events = { start: 0, contact: 500, end: 1000 };
+
+// Each player's own series, every 10 ms over a one-second stroke
+const raw = (fn) => Array.from({ length: 101 }, (_, index) => ({ timestamp: index * 10, value: fn(index * 10) }));
+
+const timing = (key, pro, trainee, traineeEvents = events) => ({
+  pro: { metrics: { [key]: raw(pro) }, events },
+  trainee: { metrics: { [key]: raw(trainee) }, events: traineeEvents }
+});
+
+// Aligned comparison on the stroke percent axis
+const series = (pro, trainee) => Array.from({ length: 101 }, (_, percent) => ({
+  strokePercent: percent,
+  proValue: pro(percent),
+  traineeValue: trainee(percent)
+}));
+
+// Rotation peaking at `peakMs`
+const rotation = (peakMs) => (t) => 90 * Math.exp(-Math.pow((t - peakMs) / 100, 2));
+
+const flat = timing('wristHip', () => 0, () => 0);
+
+test('measures the gap between aligned curves', () => {
+  const result = measureCurveSimilarity({ wristHip: series(p => p, p => p + 10) }, flat, ['wristHip']);
+  expect(result.wristHip.rmse).toBeCloseTo(10);
+  expect(result.wristHip.correlation).toBeCloseTo(1);
+  expect(result.wristHip.area).toBeCloseTo(0.1);
+});
+
+test('correlates the shapes regardless of scale', () => {
+  const measure = (trainee) => measureCurveSimilarity({ wristHip: series(p => p, trainee) }, flat, ['wristHip']).wristHip;
+  expect(measure(p => 2 * p + 5).correlation).toBeCloseTo(1);
+  expect(measure(p => 100 - p).correlation).toBeCloseTo(-1);
+  expect(measure(() => 50).correlation).toBeNull();
+});
+
+test("normalizes the area by the reference's range", () => {
+  const measure = (pro) => measureCurveSimilarity({ wristHip: series(pro, p => pro(p) + 10) }, flat, ['wristHip']).wristHip;
+  expect(measure(p => p / 2).area).toBeCloseTo(0.2);
+  expect(measure(() => 50).area).toBeNull();
+});
+
+test("times peaks from each player's own contact, + = late", () => {
+  const comparison = { shoulderRotation: series(p => p, p => p) };
+  const measure = (pro, trainee, traineeEvents) => (
+    measureCurveSimilarity(comparison, timing('shoulderRotation', pro, trainee, traineeEvents), ['shoulderRotation']).shoulderRotation
+  );
+
+  expect(measure(rotation(400), rotation(550))).toMatchObject({ peakOffsetMs: 150, peakOffset: 15 });
+  expect(measure(rotation(400), rotation(300)).peakOffsetMs).toBe(-100);
+  expect(measure(rotation(400), rotation(550), { ...events, contact: 650 }).peakOffsetMs).toBe(0);
+  expect(measure(rotation(400), rotation(550), { ...events, contact: null }).peakOffsetMs).toBeNull();
+});
+
+test('keeps a late peak that time warping lined up', () => {
+  const pro = rotation(400);
+  const trainee = rotation(550);
+  const features = (fn) => Array.from({ length: ALIGNMENT_SAMPLES }, (_, index) => fn(index * 10));
+  const alignment = buildAlignment(ALIGNMENT_DTW, { shoulderRotation: features(pro) }, { shoulderRotation: features(trainee) });
+  const comparison = { shoulderRotation: series(p => pro(p * 10), p => trainee(warpPercent(alignment, p) * 10)) };
+
+  // The aligned curves peak together...
+  const peakAt = (key) => comparison.shoulderRotation.reduce((best, point) => (point[key] > best[key] ? point : best)).strokePercent;
+  expect(Math.abs(peakAt('traineeValue') - peakAt('proValue'))).toBeLessThanOrEqual(2);
+
+  // ...but the trainee's own peak is still 150 ms later from contact
+  const result = measureCurveSimilarity(comparison, timing('shoulderRotation', pro, trainee), ['shoulderRotation']);
+  expect(result.shoulderRotation.peakOffsetMs).toBe(150);
+});
+
+test('leaves out metrics that are not asked for, have too little data or have no peak', () => {
+  const comparison = {
+    wristHip: series(p => p, p => p),
+    armExtension: series(p => p, p => (p < 80 ? null : p)),
+    weightTransfer: series(p => p, p => p)
+  };
+  const result = measureCurveSimilarity(comparison, timing('weightTransfer', p => p, p => p), ['armExtension', 'weightTransfer']);
+  expect(Object.keys(result)).toEqual(['weightTransfer']);
+  expect(result.weightTransfer).toMatchObject({ peakOffset: null, peakOffsetMs: null });
+});
@@ -0,0 +1,105 @@
+// Drill selection from the bundled catalog (data/drill_catalog.json).
+// Drills come in progressions, easiest step first; each step is tagged with
+// the scoring rules (rule ids, see analysis/scoringRules) and phases it works
+// on, the severities and skill level it suits, the equipment it needs and
+// whether it takes a partner. Progressions with `strokeTypes` are variants
+// for those types only.
+//
+// For each of the top priorities the best fitting drill is picked: one the
+// trainee hasn't been assigned yet, at their level, for the fault's
+// severity and phase, the stroke type's own variant over the generic one,
+// and the step after the last one assigned in a progression they've started.
+
+import drillCatalog from '../data/drill_catalog.json';
+
+export const DRILL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+export const DRILL_LEVEL_LABELS = {
+  beginner: 'Beginner',
+  intermediate: 'Intermediate',
+  advanced: 'Advanced'
+};
+
+export const DRILL_EQUIPMENT = ['balls', 'cones', 'wall', 'mirror', 'towel', 'chair', 'band'];
+
+export const DRILL_EQUIPMENT_LABELS = {
+  balls: 'Balls',
+  cones: 'Cones',
+  wall: 'Wall',
+  mirror: 'Mirror',
+  towel: 'Towel',
+  chair: 'Chair',
+  band: 'Resistance band'
+};
+
+// Rule id the session consistency priorities carry, so consistency drills
+// are tagged like any other
+export const CONSISTENCY_RULE_ID = 'consistency';
+
+// Every step, flattened with its progression's tags and its place in it
+export const DRILL_CATALOG = drillCatalog.progressions.flatMap(progression => (
+  progression.steps.map((step, index) => ({
+    ...step,
+    rules: progression.rules,
+    phases: progression.phases,
+    strokeTypes: progression.strokeTypes || null,
+    progression: { id: progression.id, label: progression.label },
+    stepIndex: index,
+    stepCount: progression.steps.length
+  }))
+));
+
+const DRILLS_PER_PLAN = 3;
+
+// Lower fits better
+const drillFit = (drill, priority, { strokeTypeId, level, assignedIds }) => {
+  let fit = 2 * Math.abs(DRILL_LEVELS.indexOf(drill.level) - DRILL_LEVELS.indexOf(level));
+  if (!drill.severities.includes(priority.severity)) fit += 1;
+  if (priority.phase && drill.phases.length && !drill.phases.includes(priority.phase.phase)) fit += 1;
+  if (!drill.strokeTypes?.includes(strokeTypeId)) fit += 1;
+
+  // Next step of a progression the trainee has started
+  const reached = DRILL_CATALOG
+    .filter(entry => entry.progression.id === drill.progression.id && assignedIds.includes(entry.id))
+    .reduce((highest, entry) => Math.max(highest, entry.stepIndex), -1);
+  if (reached >= 0 && drill.stepIndex === reached + 1) fit -= 3;
+  return fit;
+};
+
+// [{...drill, metric, repeat}] for the top priorities. A drill linked to the
+// scoring rule wins over the catalog ({name, description, reps} with
+// `linked`). Drills in assignedIds are only picked again (`repeat`) when
+// nothing else fits; a priority with no drill that fits the equipment and
+// partner settings gets none.
+//   options - {strokeTypeId, level, equipment, partner, assignedIds}
+export const selectDrills = (priorities, options) => {
+  const { strokeTypeId, level, equipment, partner, assignedIds = [] } = options;
+  const context = { strokeTypeId, level, assignedIds };
+  const drills = [];
+  const taken = (name) => drills.some(existing => existing.name === name);
+
+  priorities.slice(0, DRILLS_PER_PLAN).forEach(priority => {
+    if (priority.drill) {
+      if (!taken(priority.drill.name)) drills.push({ ...priority.drill, metric: priority.metric, linked: true });
+      return;
+    }
+
+    const candidates = DRILL_CATALOG.filter(drill => (
+      drill.rules.includes(priority.ruleId) &&
+      (!drill.strokeTypes || drill.strokeTypes.includes(strokeTypeId)) &&
+      drill.equipment.every(item => equipment.includes(item)) &&
+      (partner || drill.setup === 'solo') &&
+      !taken(drill.name)
+    ));
+    const fresh = candidates.filter(drill => !assignedIds.includes(drill.id));
+    const pool = fresh.length ? fresh : candidates;
+    if (!pool.length) return;
+
+    const best = pool.reduce((chosen, drill) => (
+      drillFit(drill, priority, context) < drillFit(chosen, priority, context) ? drill : chosen
+    ));
+    drills.push({ ...best, metric: priority.metric, repeat: !fresh.length });
+  });
+
+  return drills;
+};
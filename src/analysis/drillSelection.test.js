@@ -0,0 +1,73 @@
+import { selectDrills, DRILL_CATALOG, DRILL_EQUIPMENT, CONSISTENCY_RULE_ID } from './drillSelection';
+import { PHASE_BACKSWING } from './strokeEvents';
+
+const options = {
+  strokeTypeId: 'backhand-drive',
+  level: 'beginner',
+  equipment: DRILL_EQUIPMENT,
+  partner: true,
+  assignedIds: []
+};
+
+const priority = (ruleId, overrides = {}) => ({
+  ruleId,
+  metric: ruleId,
+  severity: 'high',
+  phase: { phase: PHASE_BACKSWING, label: PHASE_BACKSWING },
+  ...overrides
+});
+
+const ids = (drills) => drills.map(drill => drill.id);
+
+test('tags every catalog step with its progression', () => {
+  DRILL_CATALOG.forEach(drill => {
+    expect(drill.rules.length).toBeGreaterThan(0);
+    expect(drill.stepIndex).toBeLessThan(drill.stepCount);
+  });
+});
+
+test('picks the drill for the rule at the trainee level', () => {
+  const drills = selectDrills([priority('shoulderRotation')], options);
+  expect(ids(drills)).toEqual(['wall-rotation']);
+  expect(drills[0]).toMatchObject({ metric: 'shoulderRotation', repeat: false });
+});
+
+test("prefers the stroke type's own variant", () => {
+  expect(ids(selectDrills([priority('shoulderRotation')], { ...options, strokeTypeId: 'volley' })))
+    .toEqual(['wall-unit-turn-volleys']);
+});
+
+test('moves on to the next step of a started progression', () => {
+  expect(ids(selectDrills([priority('shoulderRotation')], { ...options, assignedIds: ['wall-rotation'] })))
+    .toEqual(['mirror-unit-turns']);
+});
+
+test('repeats an assigned drill only when nothing else fits', () => {
+  const assignedIds = ['wall-rotation', 'mirror-unit-turns', 'turn-and-hold-feeds', 'wall-unit-turn-volleys'];
+  const drills = selectDrills([priority('shoulderRotation')], { ...options, assignedIds });
+  expect(drills).toHaveLength(1);
+  expect(drills[0].repeat).toBe(true);
+});
+
+test('respects the equipment and partner settings', () => {
+  expect(selectDrills([priority('shoulderRotation')], { ...options, equipment: [], partner: false })).toEqual([]);
+  expect(ids(selectDrills([priority('shoulderRotation')], { ...options, equipment: ['mirror'], partner: false })))
+    .toEqual(['mirror-unit-turns']);
+});
+
+test('matches consistency priorities on their rule id', () => {
+  expect(ids(selectDrills([priority(CONSISTENCY_RULE_ID, { phase: null })], options))).toEqual(['same-spot-self-feeds']);
+});
+
+test('uses a drill linked to the rule and plans the top three priorities', () => {
+  const linked = { name: 'Academy Drill', description: 'Our own drill', reps: '10' };
+  const drills = selectDrills([
+    priority('shoulderRotation', { drill: linked }),
+    priority('wristDrop'),
+    priority('armExtension'),
+    priority('wristSpeed')
+  ], options);
+  expect(drills).toHaveLength(3);
+  expect(drills[0]).toEqual({ ...linked, metric: 'shoulderRotation', linked: true });
+  expect(ids(drills.slice(1))).toEqual(['paddle-drop', 'target-reach']);
+});
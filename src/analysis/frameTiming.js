@@ -0,0 +1,112 @@
+// Frame timing derived from the capture timestamps. The capture format stores
+// `timestampMs` and `steadyClockMs` as strings; frame rate is never assumed.
+
+// Used only when a file carries no usable timestamps at all
+export const FALLBACK_FPS = 30;
+
+// An interval this much longer than the median counts as dropped frames
+const DROP_FACTOR = 1.5;
+
+// Coefficient of variation of frame intervals above which the capture is
+// treated as variable frame rate
+const VFR_THRESHOLD = 0.15;
+
+const parseMs = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = Number(value);
+  return Number.isFinite(ms) ? ms : null;
+};
+
+export const getFrameTimestampMs = (frame) => {
+  const timestamp = parseMs(frame?.timestampMs);
+  return timestamp !== null ? timestamp : parseMs(frame?.steadyClockMs);
+};
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const analyzeFrameTiming = (frames) => {
+  const timing = {
+    hasTimestamps: false,
+    fps: FALLBACK_FPS,
+    medianIntervalMs: 1000 / FALLBACK_FPS,
+    jitterMs: 0,
+    durationMs: 0,
+    droppedFrames: 0,
+    gaps: [],
+    variableFrameRate: false
+  };
+
+  if (!Array.isArray(frames) || frames.length < 2) return timing;
+
+  const samples = frames
+    .map(frame => ({ frameId: frame?.frameId, timestamp: getFrameTimestampMs(frame) }))
+    .filter(sample => sample.timestamp !== null);
+
+  if (samples.length < 2) return timing;
+
+  const intervals = [];
+  for (let i = 1; i < samples.length; i++) {
+    intervals.push(samples[i].timestamp - samples[i - 1].timestamp);
+  }
+
+  const medianInterval = median(intervals.filter(interval => interval > 0));
+  if (!medianInterval) return timing;
+
+  timing.hasTimestamps = true;
+  timing.medianIntervalMs = medianInterval;
+  timing.fps = 1000 / medianInterval;
+  timing.durationMs = samples[samples.length - 1].timestamp - samples[0].timestamp;
+
+  // Gaps come from either the frame counter skipping ahead or the clock
+  // jumping by more than a frame; take whichever accounts for more frames.
+  const regularIntervals = [];
+  intervals.forEach((interval, i) => {
+    const prev = samples[i];
+    const next = samples[i + 1];
+    const idGap = Number.isInteger(prev.frameId) && Number.isInteger(next.frameId)
+      ? next.frameId - prev.frameId - 1
+      : 0;
+    const timeGap = interval > medianInterval * DROP_FACTOR
+      ? Math.round(interval / medianInterval) - 1
+      : 0;
+    const missing = Math.max(idGap, timeGap);
+
+    if (missing > 0) {
+      timing.droppedFrames += missing;
+      timing.gaps.push({ afterFrameId: prev.frameId, missing, intervalMs: interval });
+    } else {
+      regularIntervals.push(interval);
+    }
+  });
+
+  if (regularIntervals.length > 1) {
+    const mean = regularIntervals.reduce((sum, v) => sum + v, 0) / regularIntervals.length;
+    const variance = regularIntervals.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / regularIntervals.length;
+    timing.jitterMs = Math.sqrt(variance);
+    timing.variableFrameRate = timing.jitterMs / mean > VFR_THRESHOLD;
+  }
+
+  return timing;
+};
+
+// Per-frame times in ms relative to the first frame. Falls back to the frame
+// counter at FALLBACK_FPS when the file has no timestamps.
+export const getRelativeTimesMs = (frames) => {
+  const timestamps = frames.map(getFrameTimestampMs);
+  const hasAll = timestamps.every(timestamp => timestamp !== null);
+
+  if (hasAll && frames.length) {
+    return timestamps.map(timestamp => timestamp - timestamps[0]);
+  }
+
+  const firstId = Number.isInteger(frames[0]?.frameId) ? frames[0].frameId : 0;
+  return frames.map((frame, index) => {
+    const position = Number.isInteger(frame?.frameId) ? frame.frameId - firstId : index;
+    return (position * 1000) / FALLBACK_FPS;
+  });
+};
@@ -0,0 +1,45 @@
+import { analyzeFrameTiming, getFrameTimestampMs, getRelativeTimesMs, FALLBACK_FPS } from './frameTiming';
+
+const framesAt = (timestamps) => timestamps.map((timestamp, index) => ({ frameId: index, timestampMs: String(timestamp) }));
+
+test('reads string timestamps and falls back to the steady clock', () => {
+  expect(getFrameTimestampMs({ timestampMs: '1500.5' })).toBe(1500.5);
+  expect(getFrameTimestampMs({ timestampMs: '', steadyClockMs: '20' })).toBe(20);
+  expect(getFrameTimestampMs({})).toBeNull();
+});
+
+test('measures the frame rate from the timestamps', () => {
+  const timing = analyzeFrameTiming(framesAt([0, 8, 16, 24, 32, 40]));
+  expect(timing.hasTimestamps).toBe(true);
+  expect(timing.fps).toBe(125);
+  expect(timing.durationMs).toBe(40);
+  expect(timing.droppedFrames).toBe(0);
+  expect(timing.variableFrameRate).toBe(false);
+});
+
+test('counts dropped frames from clock jumps and frame id gaps', () => {
+  const frames = framesAt([0, 10, 20, 50, 60, 70]);
+  frames[5].frameId = 8;
+
+  const timing = analyzeFrameTiming(frames);
+  expect(timing.droppedFrames).toBe(2 + 3);
+  expect(timing.gaps).toEqual([
+    { afterFrameId: 2, missing: 2, intervalMs: 30 },
+    { afterFrameId: 4, missing: 3, intervalMs: 10 }
+  ]);
+});
+
+test('flags a variable frame rate', () => {
+  const timing = analyzeFrameTiming(framesAt([0, 10, 24, 32, 46, 54, 68]));
+  expect(timing.variableFrameRate).toBe(true);
+});
+
+test('falls back to the frame counter without timestamps', () => {
+  const frames = [{ frameId: 5 }, { frameId: 6 }, { frameId: 8 }];
+  expect(analyzeFrameTiming(frames).hasTimestamps).toBe(false);
+  expect(getRelativeTimesMs(frames)).toEqual([0, 1000 / FALLBACK_FPS, 3000 / FALLBACK_FPS]);
+});
+
+test('times frames relative to the first one', () => {
+  expect(getRelativeTimesMs(framesAt([1000, 1033, 1066]))).toEqual([0, 33, 66]);
+});
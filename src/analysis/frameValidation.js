@@ -0,0 +1,205 @@
+// Validation for the pose-primitives frame format produced by the capture app.
+// Produces a report that the upload panel can show instead of a generic alert,
+// so a coach can tell a bad capture apart from a bad stroke.
+
+import { analyzeFrameTiming } from './frameTiming';
+import { getPersonForFrame } from './playerTracking';
+
+export const KEYPOINT_NAMES = [
+  'nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar',
+  'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow',
+  'leftWrist', 'rightWrist', 'leftHip', 'rightHip',
+  'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'
+];
+
+// Face keypoints are usually missing for players seen from behind and are
+// not used by any metric, so they are reported but never counted as problems.
+const FACE_KEYPOINTS = ['nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar'];
+
+export const DEFAULT_REQUIRED_KEYPOINTS = ['rightWrist', 'rightHip'];
+export const MIN_USABLE_FRAMES = 30;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isNumeric = (value) => isNumber(value) || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+export const isKeypointPresent = (point) => !!point && isNumber(point.x) && isNumber(point.y) && point.x > 0 && point.y > 0;
+
+const checkFields = (value, fields) => {
+  if (!value || typeof value !== 'object') return fields;
+  return fields.filter(field => !isNumber(value[field]));
+};
+
+const validateFrame = (frame, requiredKeypoints, personId) => {
+  const warnings = [];
+
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    return { dropReason: 'Frame is not an object', warnings };
+  }
+
+  if (!Number.isInteger(frame.frameId)) {
+    return { dropReason: 'Missing or non-integer frameId', warnings };
+  }
+
+  if (!isNumeric(frame.timestampMs)) {
+    warnings.push('Missing or non-numeric timestampMs');
+  }
+
+  const intrinsicsMissing = checkFields(frame.intrinsics, ['fx', 'fy', 'cx', 'cy']);
+  if (intrinsicsMissing.length) {
+    warnings.push(`Incomplete intrinsics (${intrinsicsMissing.join(', ')})`);
+  }
+
+  const cameraMissing = checkFields(frame.cameraPosition, ['x', 'y', 'z', 'roll', 'pitch', 'yaw']);
+  if (cameraMissing.length) {
+    warnings.push(`Incomplete cameraPosition (${cameraMissing.join(', ')})`);
+  }
+
+  const people = frame.primitives?.people;
+  if (!Array.isArray(people)) {
+    return { dropReason: 'Missing primitives.people array', warnings };
+  }
+  if (people.length === 0) {
+    return { dropReason: 'No person detected', warnings };
+  }
+
+  const person = getPersonForFrame(frame, personId);
+  if (!person) {
+    return { dropReason: 'Selected player not in frame', warnings };
+  }
+  if (!person.pose || typeof person.pose !== 'object') {
+    return { dropReason: 'Person has no pose', warnings };
+  }
+
+  const bboxMissing = checkFields(person.bboxImage, ['xmin', 'ymin', 'width', 'height']);
+  if (bboxMissing.length) {
+    warnings.push(`Incomplete bboxImage (${bboxMissing.join(', ')})`);
+  }
+
+  if (!isNumber(person.confidence)) {
+    warnings.push('Missing person confidence');
+  }
+
+  const missingKeypoints = KEYPOINT_NAMES.filter(name => !isKeypointPresent(person.pose[name]));
+  const missingRequired = requiredKeypoints.filter(name => missingKeypoints.includes(name));
+
+  if (missingRequired.length) {
+    return {
+      dropReason: `Required keypoints missing (${missingRequired.join(', ')})`,
+      missingKeypoints,
+      warnings
+    };
+  }
+
+  return { dropReason: null, missingKeypoints, warnings };
+};
+
+export const validateFrames = (frames, options = {}) => {
+  const {
+    requiredKeypoints = DEFAULT_REQUIRED_KEYPOINTS,
+    minUsableFrames = MIN_USABLE_FRAMES,
+    personId = null
+  } = options;
+
+  const report = {
+    errors: [],
+    totalFrames: 0,
+    usableFrames: 0,
+    minUsableFrames,
+    hasEnoughFrames: false,
+    isValid: false,
+    droppedFrames: [],
+    frameWarnings: [],
+    missingKeypoints: [],
+    timing: null
+  };
+
+  if (!Array.isArray(frames)) {
+    report.errors.push('Expected a JSON array of frames at the top level.');
+    return report;
+  }
+
+  report.totalFrames = frames.length;
+  if (frames.length === 0) {
+    report.errors.push('The file contains no frames.');
+    return report;
+  }
+
+  const missingCounts = {};
+  const missingFrameIds = {};
+  let framesWithPose = 0;
+
+  frames.forEach((frame, index) => {
+    const result = validateFrame(frame, requiredKeypoints, personId);
+    const frameId = frame && Number.isInteger(frame.frameId) ? frame.frameId : null;
+
+    if (result.warnings.length) {
+      report.frameWarnings.push({ index, frameId, messages: result.warnings });
+    }
+
+    if (result.missingKeypoints) {
+      framesWithPose++;
+      result.missingKeypoints.forEach(name => {
+        missingCounts[name] = (missingCounts[name] || 0) + 1;
+        (missingFrameIds[name] = missingFrameIds[name] || []).push(frameId);
+      });
+    }
+
+    if (result.dropReason) {
+      report.droppedFrames.push({ index, frameId, reason: result.dropReason });
+    } else {
+      report.usableFrames++;
+    }
+  });
+
+  report.missingKeypoints = KEYPOINT_NAMES
+    .filter(name => missingCounts[name])
+    .map(name => ({
+      name,
+      count: missingCounts[name],
+      percent: (missingCounts[name] / framesWithPose) * 100,
+      frameIds: missingFrameIds[name],
+      isFace: FACE_KEYPOINTS.includes(name)
+    }));
+
+  report.timing = analyzeFrameTiming(frames);
+
+  report.hasEnoughFrames = report.usableFrames >= minUsableFrames;
+  if (!report.hasEnoughFrames) {
+    report.errors.push(
+      `Only ${report.usableFrames} usable frames (at least ${minUsableFrames} are needed to analyze a stroke).`
+    );
+  }
+
+  report.isValid = report.errors.length === 0;
+  return report;
+};
+
+// Groups dropped frames by reason, e.g. for a compact summary in the UI.
+export const summarizeDropReasons = (droppedFrames) => {
+  const groups = {};
+  droppedFrames.forEach(({ reason, frameId }) => {
+    (groups[reason] = groups[reason] || []).push(frameId);
+  });
+  return Object.entries(groups)
+    .map(([reason, frameIds]) => ({ reason, frameIds }))
+    .sort((a, b) => b.frameIds.length - a.frameIds.length);
+};
+
+// Collapses consecutive frame ids into ranges: [1, 2, 3, 7] -> "1–3, 7".
+export const formatFrameRanges = (frameIds, maxRanges = 6) => {
+  const ids = frameIds.filter(id => id !== null).sort((a, b) => a - b);
+  const ranges = [];
+  ids.forEach(id => {
+    const last = ranges[ranges.length - 1];
+    if (last && id === last[1] + 1) {
+      last[1] = id;
+    } else {
+      ranges.push([id, id]);
+    }
+  });
+
+  const parts = ranges.slice(0, maxRanges).map(([start, end]) => (start === end ? `${start}` : `${start}–${end}`));
+  if (ranges.length > maxRanges) parts.push(`+${ranges.length - maxRanges} more`);
+  return parts.join(', ');
+};
@@ -0,0 +1,87 @@
+import {
+  validateFrames,
+  isKeypointPresent,
+  summarizeDropReasons,
+  formatFrameRanges,
+  KEYPOINT_NAMES
+} from './frameValidation';
+
+const fullPose = () => Object.fromEntries(KEYPOINT_NAMES.map((name, index) => [name, { x: 100 + index, y: 200 + index }]));
+
+const makeFrame = (frameId, pose = fullPose()) => ({
+  frameId,
+  timestampMs: String(1000 + frameId * 33),
+  intrinsics: { fx: 1000, fy: 1000, cx: 640, cy: 360 },
+  cameraPosition: { x: 0, y: 0, z: 0, roll: 0, pitch: 0, yaw: 0 },
+  primitives: {
+    people: [{ confidence: 0.9, bboxImage: { xmin: 0, ymin: 0, width: 100, height: 300 }, pose }]
+  }
+});
+
+const makeFrames = (count) => Array.from({ length: count }, (_, index) => makeFrame(index));
+
+test('treats the {x: 0, y: 0} marker as a missing keypoint', () => {
+  expect(isKeypointPresent({ x: 10, y: 20 })).toBe(true);
+  expect(isKeypointPresent({ x: 0, y: 0 })).toBe(false);
+  expect(isKeypointPresent(undefined)).toBe(false);
+});
+
+test('rejects anything but an array of frames', () => {
+  const report = validateFrames({ frames: [] });
+  expect(report.isValid).toBe(false);
+  expect(report.errors).toEqual(['Expected a JSON array of frames at the top level.']);
+});
+
+test('accepts a complete capture', () => {
+  const report = validateFrames(makeFrames(40));
+  expect(report.isValid).toBe(true);
+  expect(report.usableFrames).toBe(40);
+  expect(report.droppedFrames).toEqual([]);
+  expect(report.frameWarnings).toEqual([]);
+});
+
+test('drops frames without the required keypoints and reports coverage', () => {
+  const frames = makeFrames(40);
+  frames.slice(0, 10).forEach(frame => {
+    frame.primitives.people[0].pose.rightWrist = { x: 0, y: 0 };
+  });
+
+  const report = validateFrames(frames);
+  expect(report.usableFrames).toBe(30);
+  expect(report.isValid).toBe(true);
+  expect(report.droppedFrames[0]).toEqual({ index: 0, frameId: 0, reason: 'Required keypoints missing (rightWrist)' });
+  expect(report.missingKeypoints).toEqual([
+    expect.objectContaining({ name: 'rightWrist', count: 10, percent: 25, isFace: false })
+  ]);
+});
+
+test('fails when too few frames are usable', () => {
+  const frames = makeFrames(35);
+  frames.slice(0, 10).forEach(frame => {
+    frame.primitives.people = [];
+  });
+
+  const report = validateFrames(frames);
+  expect(report.hasEnoughFrames).toBe(false);
+  expect(report.isValid).toBe(false);
+  expect(summarizeDropReasons(report.droppedFrames)).toEqual([
+    { reason: 'No person detected', frameIds: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] }
+  ]);
+});
+
+test('warns about incomplete frames without dropping them', () => {
+  const frames = makeFrames(30);
+  delete frames[3].timestampMs;
+  delete frames[3].intrinsics.cy;
+
+  const report = validateFrames(frames);
+  expect(report.usableFrames).toBe(30);
+  expect(report.frameWarnings).toEqual([
+    { index: 3, frameId: 3, messages: ['Missing or non-numeric timestampMs', 'Incomplete intrinsics (cy)'] }
+  ]);
+});
+
+test('collapses frame ids into ranges', () => {
+  expect(formatFrameRanges([7, 1, 2, 3, null])).toBe('1–3, 7');
+  expect(formatFrameRanges([1, 3, 5, 7], 2)).toBe('1, 3, +2 more');
+});
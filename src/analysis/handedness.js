@@ -0,0 +1,98 @@
+// Handedness support. Rather than duplicating every metric for the left
+// side, a left-handed player's pose is mirrored into a right-handed one:
+// left/right keypoints are swapped and x is reflected about the image
+// centre. All metrics then compare fairly against the right-handed pro.
+
+import { isKeypointPresent } from './frameValidation';
+import { getPersonForFrame } from './playerTracking';
+
+export const HANDEDNESS_AUTO = 'auto';
+export const HANDEDNESS_RIGHT = 'right';
+export const HANDEDNESS_LEFT = 'left';
+
+// Used when a frame carries neither intrinsics nor a person AOI
+const DEFAULT_IMAGE_WIDTH = 1920;
+
+// Minimum ratio between the two wrists' travel before auto-detection
+// trusts itself over the right-handed default
+const DETECTION_RATIO = 1.2;
+
+// 'leftWrist' <-> 'rightWrist'; names without a side are returned unchanged
+export const mirrorKeypointName = (name) => {
+  if (name.startsWith('left')) return `right${name.slice(4)}`;
+  if (name.startsWith('right')) return `left${name.slice(5)}`;
+  return name;
+};
+
+export const keypointsForHandedness = (names, handedness) => {
+  return handedness === HANDEDNESS_LEFT ? names.map(mirrorKeypointName) : names;
+};
+
+export const getImageWidth = (frame) => {
+  if (frame?.intrinsics?.cx > 0) return frame.intrinsics.cx * 2;
+  if (frame?.personAoi?.width > 0) return frame.personAoi.xmin + frame.personAoi.width;
+  return DEFAULT_IMAGE_WIDTH;
+};
+
+export const mirrorPose = (pose, imageWidth) => {
+  const mirrored = {};
+  Object.entries(pose).forEach(([name, point]) => {
+    const target = mirrorKeypointName(name);
+    if (point && typeof point === 'object' && 'x' in point && 'y' in point) {
+      // Keep missing keypoints at {0, 0} so they stay detectably missing
+      mirrored[target] = isKeypointPresent(point)
+        ? { ...point, x: imageWidth - point.x }
+        : point;
+    } else {
+      mirrored[target] = point;
+    }
+  });
+  return mirrored;
+};
+
+// Pose as seen by the metrics: mirrored for left-handed players
+export const getOrientedPose = (pose, frame, handedness) => {
+  return handedness === HANDEDNESS_LEFT ? mirrorPose(pose, getImageWidth(frame)) : pose;
+};
+
+// Sums how far each wrist travels relative to the hip centre, so walking
+// or drifting across the frame doesn't count as swinging.
+export const detectHandedness = (frames, personId = null) => {
+  let leftTravel = 0;
+  let rightTravel = 0;
+  let previous = null;
+
+  (frames || []).forEach(frame => {
+    const pose = getPersonForFrame(frame, personId)?.pose;
+    if (!pose || !isKeypointPresent(pose.leftHip) || !isKeypointPresent(pose.rightHip)) {
+      previous = null;
+      return;
+    }
+
+    const hipX = (pose.leftHip.x + pose.rightHip.x) / 2;
+    const hipY = (pose.leftHip.y + pose.rightHip.y) / 2;
+    const relative = (point) => (isKeypointPresent(point) ? { x: point.x - hipX, y: point.y - hipY } : null);
+    const current = { left: relative(pose.leftWrist), right: relative(pose.rightWrist) };
+
+    if (previous) {
+      if (current.left && previous.left) {
+        leftTravel += Math.hypot(current.left.x - previous.left.x, current.left.y - previous.left.y);
+      }
+      if (current.right && previous.right) {
+        rightTravel += Math.hypot(current.right.x - previous.right.x, current.right.y - previous.right.y);
+      }
+    }
+    previous = current;
+  });
+
+  let handedness = HANDEDNESS_RIGHT;
+  let confident = false;
+  if (leftTravel > rightTravel * DETECTION_RATIO) {
+    handedness = HANDEDNESS_LEFT;
+    confident = true;
+  } else if (rightTravel > leftTravel * DETECTION_RATIO) {
+    confident = true;
+  }
+
+  return { handedness, confident, leftTravel, rightTravel };
+};
@@ -0,0 +1,83 @@
+// Joint angles from 2D keypoints. Poses are expected in right-handed
+// orientation (see handedness.js), so "hitting side" is always right.
+// Angles are measured in the image plane and read best when the limb moves
+// roughly across the camera's view.
+
+import { isKeypointPresent } from './frameValidation';
+import { toDegrees, percentile } from './mathUtils';
+
+const REFERENCE_PERCENTILE = 0.95;
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Interior angle at b formed by a-b-c, in degrees (180 = straight)
+const interiorAngle = (a, b, c) => {
+  const v1 = { x: a.x - b.x, y: a.y - b.y };
+  const v2 = { x: c.x - b.x, y: c.y - b.y };
+  const lengths = Math.hypot(v1.x, v1.y) * Math.hypot(v2.x, v2.y);
+  if (lengths === 0) return null;
+  const cos = Math.max(-1, Math.min(1, (v1.x * v2.x + v1.y * v2.y) / lengths));
+  return toDegrees(Math.acos(cos));
+};
+
+// Flexion of a three-point joint: 0 = fully straight
+const flexion = (a, b, c) => {
+  if (![a, b, c].every(isKeypointPresent)) return null;
+  const angle = interiorAngle(a, b, c);
+  return angle === null ? null : 180 - angle;
+};
+
+const torsoPoints = (pose) => {
+  if (![pose.leftShoulder, pose.rightShoulder, pose.leftHip, pose.rightHip].every(isKeypointPresent)) return null;
+  return {
+    shoulders: midpoint(pose.leftShoulder, pose.rightShoulder),
+    hips: midpoint(pose.leftHip, pose.rightHip)
+  };
+};
+
+// Upright torso length for the clip: the longest the torso appears (95th
+// percentile). Taken from the clip itself rather than calibration because
+// torso length varies too much between players for a fixed value.
+export const measureTorsoReference = (poses) => {
+  const lengths = poses
+    .map(pose => (pose ? torsoPoints(pose) : null))
+    .filter(Boolean)
+    .map(({ shoulders, hips }) => Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y));
+  return percentile(lengths, REFERENCE_PERCENTILE);
+};
+
+// Trunk lean from vertical. Sideways lean shows as tilt; lean toward or away
+// from the camera shows as the torso's vertical extent shrinking, so both are
+// captured by comparing that extent with the upright length.
+const trunkLean = (pose, torsoReference) => {
+  const torso = torsoPoints(pose);
+  if (!torso || !(torsoReference > 0)) return null;
+
+  const vertical = torso.hips.y - torso.shoulders.y;
+  return toDegrees(Math.acos(Math.max(-1, Math.min(1, vertical / torsoReference))));
+};
+
+// Forearm angle above horizontal: positive when the wrist is above the elbow
+const forearmAngle = (elbow, wrist) => {
+  if (!isKeypointPresent(elbow) || !isKeypointPresent(wrist)) return null;
+  return toDegrees(Math.atan2(elbow.y - wrist.y, Math.abs(wrist.x - elbow.x)));
+};
+
+export const computeJointAngles = (pose, torsoReference) => ({
+  elbowFlexion: flexion(pose.rightShoulder, pose.rightElbow, pose.rightWrist),
+  hittingKneeFlexion: flexion(pose.rightHip, pose.rightKnee, pose.rightAnkle),
+  offKneeFlexion: flexion(pose.leftHip, pose.leftKnee, pose.leftAnkle),
+  trunkLean: trunkLean(pose, torsoReference),
+  forearmAngle: forearmAngle(pose.rightElbow, pose.rightWrist)
+});
+
+export const JOINT_ANGLE_METRICS = ['elbowFlexion', 'hittingKneeFlexion', 'offKneeFlexion', 'trunkLean', 'forearmAngle'];
+
+// Keypoints each angle is measured from (right-handed names)
+export const JOINT_ANGLE_KEYPOINTS = {
+  elbowFlexion: ['rightShoulder', 'rightElbow', 'rightWrist'],
+  hittingKneeFlexion: ['rightHip', 'rightKnee', 'rightAnkle'],
+  offKneeFlexion: ['leftHip', 'leftKnee', 'leftAnkle'],
+  trunkLean: ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'],
+  forearmAngle: ['rightElbow', 'rightWrist']
+};
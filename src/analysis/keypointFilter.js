@@ -0,0 +1,258 @@
+// Keypoint cleaning that runs before any metric or anchor detection. Each
+// keypoint is treated as a track over the clip's frames (one slot per frame,
+// timed by the capture clock) so every metric series stays aligned:
+//
+//   1. outlier rejection - a Hampel filter drops single-frame jumps away
+//      from the neighbouring detections
+//   2. gap filling       - missing or rejected samples are interpolated
+//      across gaps up to MAX_GAP_MS; longer gaps stay missing
+//   3. smoothing         - Savitzky-Golay (local quadratic fit) or a
+//      one-euro filter, weighted by `person.confidence`
+//
+// Missing keypoints keep the capture format's {x: 0, y: 0} marker.
+
+import { KEYPOINT_NAMES, isKeypointPresent } from './frameValidation';
+import { median } from './mathUtils';
+
+export const SMOOTHING_NONE = 'none';
+export const SMOOTHING_SAVITZKY_GOLAY = 'savitzky-golay';
+export const SMOOTHING_ONE_EURO = 'one-euro';
+
+export const SMOOTHING_LABELS = {
+  [SMOOTHING_NONE]: 'None',
+  [SMOOTHING_SAVITZKY_GOLAY]: 'Savitzky-Golay',
+  [SMOOTHING_ONE_EURO]: 'One-euro'
+};
+
+// About six frames at 30 fps
+const MAX_GAP_MS = 200;
+
+// Hampel window (samples each side) and threshold in robust deviations
+const HAMPEL_RADIUS = 3;
+const HAMPEL_THRESHOLD = 3;
+
+// Deviations below this fraction of the player's height are normal jitter,
+// never outliers (and the fallback when no box height is known, in px)
+const OUTLIER_FLOOR_FRACTION = 0.08;
+const OUTLIER_FLOOR_PX = 12;
+
+// Filled samples are guesses, so they count less in the smoothing fit
+const FILLED_WEIGHT = 0.3;
+const MIN_WEIGHT = 0.05;
+
+// Savitzky-Golay half window (about three frames each side at 30 fps)
+const SG_HALF_WINDOW_MS = 100;
+
+// One-euro parameters: cutoff in Hz and speed coefficient (per px/s)
+const ONE_EURO_MIN_CUTOFF = 1.5;
+const ONE_EURO_BETA = 0.01;
+const ONE_EURO_DERIVATIVE_CUTOFF = 1.0;
+
+// Capture confidence arrives as 0-100 or 0-1; missing means fully trusted
+const normalizeConfidence = (confidence) => {
+  const value = Number(confidence);
+  if (!Number.isFinite(value)) return 1;
+  const scaled = value > 1 ? value / 100 : value;
+  return Math.max(MIN_WEIGHT, Math.min(1, scaled));
+};
+
+// Marks samples that sit far from the median of their neighbours
+const rejectOutliers = (track, floor) => {
+  const present = track.map((sample, index) => (sample ? index : null)).filter(index => index !== null);
+  let rejected = 0;
+
+  present.forEach((index, position) => {
+    const window = present
+      .slice(Math.max(0, position - HAMPEL_RADIUS), position + HAMPEL_RADIUS + 1)
+      .map(i => track[i]);
+    if (window.length < 3) return;
+
+    const center = { x: median(window.map(s => s.x)), y: median(window.map(s => s.y)) };
+    const spread = median(window.map(s => Math.hypot(s.x - center.x, s.y - center.y)));
+    const sample = track[index];
+    const deviation = Math.hypot(sample.x - center.x, sample.y - center.y);
+
+    if (deviation > Math.max(floor, HAMPEL_THRESHOLD * 1.4826 * spread)) {
+      sample.rejected = true;
+      rejected++;
+    }
+  });
+
+  present.forEach(index => {
+    if (track[index].rejected) track[index] = null;
+  });
+  return rejected;
+};
+
+// Linear interpolation in time across short gaps
+const fillGaps = (track, times) => {
+  let filled = 0;
+  let previous = -1;
+
+  track.forEach((sample, index) => {
+    if (!sample) return;
+    if (previous >= 0 && index - previous > 1 && times[index] - times[previous] <= MAX_GAP_MS) {
+      const before = track[previous];
+      for (let i = previous + 1; i < index; i++) {
+        const fraction = (times[i] - times[previous]) / (times[index] - times[previous]);
+        track[i] = {
+          x: before.x + (sample.x - before.x) * fraction,
+          y: before.y + (sample.y - before.y) * fraction,
+          weight: FILLED_WEIGHT * Math.min(before.weight, sample.weight),
+          filled: true
+        };
+        filled++;
+      }
+    }
+    previous = index;
+  });
+  return filled;
+};
+
+// Contiguous runs of samples; smoothing never bridges a remaining gap
+const splitRuns = (track) => {
+  const runs = [];
+  let current = [];
+  track.forEach((sample, index) => {
+    if (sample) {
+      current.push(index);
+    } else if (current.length) {
+      runs.push(current);
+      current = [];
+    }
+  });
+  if (current.length) runs.push(current);
+  return runs;
+};
+
+// Solves the 3x3 system a·c = b (Cramer's rule); null when singular
+const solve3 = (a, b) => {
+  const det = (m) => (
+    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0])
+  );
+  const d = det(a);
+  if (Math.abs(d) < 1e-12) return null;
+  return [0, 1, 2].map(column => det(a.map((row, i) => row.map((value, j) => (j === column ? b[i] : value)))) / d);
+};
+
+// Weighted local quadratic fit around each sample, evaluated at the sample.
+// Fitting against real timestamps keeps it correct when frames are dropped.
+// The window slides along the run, which is in time order.
+const smoothSavitzkyGolay = (track, times, run) => {
+  let from = 0;
+  let to = 0;
+  const smoothed = run.map(index => {
+    while (times[run[from]] < times[index] - SG_HALF_WINDOW_MS) from++;
+    while (to + 1 < run.length && times[run[to + 1]] <= times[index] + SG_HALF_WINDOW_MS) to++;
+    const neighbours = run.slice(from, to + 1);
+    if (neighbours.length < 4) return { x: track[index].x, y: track[index].y };
+
+    const sums = [0, 0, 0, 0, 0];
+    const sumX = [0, 0, 0];
+    const sumY = [0, 0, 0];
+    neighbours.forEach(i => {
+      const t = (times[i] - times[index]) / SG_HALF_WINDOW_MS;
+      // w·t^p for p = 0..4
+      let weighted = track[i].weight;
+      for (let p = 0; p < 5; p++) {
+        sums[p] += weighted;
+        if (p < 3) {
+          sumX[p] += weighted * track[i].x;
+          sumY[p] += weighted * track[i].y;
+        }
+        weighted *= t;
+      }
+    });
+
+    const matrix = [
+      [sums[0], sums[1], sums[2]],
+      [sums[1], sums[2], sums[3]],
+      [sums[2], sums[3], sums[4]]
+    ];
+    const cx = solve3(matrix, sumX);
+    const cy = solve3(matrix, sumY);
+    return cx && cy ? { x: cx[0], y: cy[0] } : { x: track[index].x, y: track[index].y };
+  });
+
+  run.forEach((index, position) => {
+    track[index] = { ...track[index], ...smoothed[position] };
+  });
+};
+
+const smoothingFactor = (seconds, cutoff) => {
+  const r = 2 * Math.PI * cutoff * seconds;
+  return r / (r + 1);
+};
+
+// One-euro filter: low lag when the keypoint moves fast, strong smoothing
+// when it is still. Low-confidence samples move the estimate less.
+const smoothOneEuro = (track, times, run) => {
+  let previous = null;
+
+  run.forEach(index => {
+    const sample = track[index];
+    if (!previous) {
+      previous = { x: sample.x, y: sample.y, dx: 0, dy: 0, time: times[index] };
+      return;
+    }
+
+    const seconds = Math.max(1e-3, (times[index] - previous.time) / 1000);
+    const derivativeAlpha = smoothingFactor(seconds, ONE_EURO_DERIVATIVE_CUTOFF);
+    const dx = previous.dx + derivativeAlpha * ((sample.x - previous.x) / seconds - previous.dx);
+    const dy = previous.dy + derivativeAlpha * ((sample.y - previous.y) / seconds - previous.dy);
+
+    const cutoff = ONE_EURO_MIN_CUTOFF + ONE_EURO_BETA * Math.hypot(dx, dy);
+    const alpha = smoothingFactor(seconds, cutoff) * sample.weight;
+    const x = previous.x + alpha * (sample.x - previous.x);
+    const y = previous.y + alpha * (sample.y - previous.y);
+
+    track[index] = { ...sample, x, y };
+    previous = { x, y, dx, dy, time: times[index] };
+  });
+};
+
+// Cleans the poses of one player. `people` holds the tracked person for each
+// frame (or null) and `times` the frame times in ms. Returns a pose per frame
+// (null when the frame has nothing left) plus counts for the capture report.
+export const preprocessPoses = (people, times, smoothing = SMOOTHING_SAVITZKY_GOLAY) => {
+  const boxHeights = people.filter(person => person?.bboxImage?.height > 0).map(person => person.bboxImage.height);
+  const floor = boxHeights.length ? OUTLIER_FLOOR_FRACTION * median(boxHeights) : OUTLIER_FLOOR_PX;
+
+  const summary = { rejected: 0, filled: 0, smoothing };
+  const tracks = {};
+
+  KEYPOINT_NAMES.forEach(name => {
+    const track = people.map(person => {
+      const point = person?.pose?.[name];
+      if (!isKeypointPresent(point)) return null;
+      return { x: point.x, y: point.y, weight: normalizeConfidence(person.confidence) };
+    });
+    if (!track.some(Boolean)) return;
+
+    summary.rejected += rejectOutliers(track, floor);
+    summary.filled += fillGaps(track, times);
+
+    splitRuns(track).forEach(run => {
+      if (smoothing === SMOOTHING_SAVITZKY_GOLAY) smoothSavitzkyGolay(track, times, run);
+      if (smoothing === SMOOTHING_ONE_EURO) smoothOneEuro(track, times, run);
+    });
+
+    tracks[name] = track;
+  });
+
+  const poses = people.map((person, frameIndex) => {
+    const names = Object.keys(tracks).filter(name => tracks[name][frameIndex]);
+    if (!names.length) return null;
+
+    const pose = { ...(person?.pose || {}) };
+    KEYPOINT_NAMES.forEach(name => {
+      const sample = tracks[name]?.[frameIndex];
+      pose[name] = sample ? { x: sample.x, y: sample.y } : { x: 0, y: 0 };
+    });
+    return pose;
+  });
+
+  return { poses, summary };
+};
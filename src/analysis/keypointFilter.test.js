@@ -0,0 +1,66 @@
+import { preprocessPoses, SMOOTHING_NONE, SMOOTHING_SAVITZKY_GOLAY, SMOOTHING_ONE_EURO } from './keypointFilter';
+
+const FRAME_MS = 1000 / 30;
+
+const times = (count) => Array.from({ length: count }, (_, index) => index * FRAME_MS);
+
+// One person per frame with only the right wrist detected
+const wristPeople = (points) => points.map(point => (
+  point ? { confidence: 0.9, bboxImage: { height: 400 }, pose: { rightWrist: point } } : null
+));
+
+const wristTrack = (poses) => poses.map(pose => pose?.rightWrist ?? null);
+
+test('leaves the keypoints alone without smoothing or faults', () => {
+  const points = Array.from({ length: 10 }, (_, index) => ({ x: 100 + index, y: 200 }));
+  const { poses, summary } = preprocessPoses(wristPeople(points), times(10), SMOOTHING_NONE);
+  expect(wristTrack(poses)).toEqual(points);
+  expect(summary).toEqual({ rejected: 0, filled: 0, smoothing: SMOOTHING_NONE });
+});
+
+test('marks keypoints the frame never had as missing', () => {
+  const { poses } = preprocessPoses(wristPeople([{ x: 10, y: 10 }, { x: 11, y: 10 }]), times(2), SMOOTHING_NONE);
+  expect(poses[0].leftWrist).toEqual({ x: 0, y: 0 });
+});
+
+test('rejects a single-frame jump and fills it back in', () => {
+  const points = Array.from({ length: 11 }, (_, index) => ({ x: 100 + 2 * index, y: 200 }));
+  points[5] = { x: 400, y: 50 };
+
+  const { poses, summary } = preprocessPoses(wristPeople(points), times(11), SMOOTHING_NONE);
+  expect(summary.rejected).toBe(1);
+  expect(summary.filled).toBe(1);
+  expect(poses[5].rightWrist.x).toBeCloseTo(110);
+  expect(poses[5].rightWrist.y).toBeCloseTo(200);
+});
+
+test('fills short gaps but leaves long ones missing', () => {
+  const points = Array.from({ length: 20 }, (_, index) => ({ x: 100 + index, y: 200 }));
+  points[3] = null;
+  points[4] = null;
+  [10, 11, 12, 13, 14, 15, 16].forEach(index => {
+    points[index] = null;
+  });
+
+  const { poses, summary } = preprocessPoses(wristPeople(points), times(20), SMOOTHING_NONE);
+  expect(summary.filled).toBe(2);
+  expect(poses[4].rightWrist.x).toBeCloseTo(104);
+  expect(poses[12]).toBeNull();
+});
+
+test('keeps quadratic motion through Savitzky-Golay smoothing', () => {
+  const points = Array.from({ length: 15 }, (_, index) => ({ x: 100 + index * index, y: 300 - 4 * index }));
+  const { poses } = preprocessPoses(wristPeople(points), times(15), SMOOTHING_SAVITZKY_GOLAY);
+  wristTrack(poses).forEach((point, index) => {
+    expect(point.x).toBeCloseTo(points[index].x, 6);
+    expect(point.y).toBeCloseTo(points[index].y, 6);
+  });
+});
+
+test('damps jitter with the one-euro filter', () => {
+  const points = Array.from({ length: 30 }, (_, index) => ({ x: 200 + (index % 2 ? 3 : -3), y: 200 }));
+  const { poses } = preprocessPoses(wristPeople(points), times(30), SMOOTHING_ONE_EURO);
+  const late = wristTrack(poses).slice(10);
+  const swing = Math.max(...late.map(point => point.x)) - Math.min(...late.map(point => point.x));
+  expect(swing).toBeLessThan(6);
+});
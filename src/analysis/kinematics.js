@@ -0,0 +1,111 @@
+// Speeds and accelerations from keypoint tracks. Derivatives use the capture
+// timestamps (see frameTiming.js), so dropped frames and variable frame rates
+// don't distort them. Positions are smoothed before differentiating because
+// every derivative amplifies pose jitter.
+
+import { smoothValues } from './mathUtils';
+
+// Each side of the centered moving average, in ms: two frames at 30 fps,
+// and the same stretch of motion at any other frame rate
+const SMOOTHING_HALF_WINDOW_MS = 70;
+
+// Segment peaks closer together than about one frame count as simultaneous
+const CHAIN_TOLERANCE_MS = 35;
+
+// The chain is read over the forward swing up to just after contact; later
+// peaks belong to the follow-through or the recovery, not the hit
+const CHAIN_AFTER_CONTACT_MS = 100;
+
+// Proximal to distal: each segment should peak after the one before it
+export const KINETIC_CHAIN_SEGMENTS = ['hip', 'shoulder', 'elbow', 'wrist'];
+
+export const KINETIC_CHAIN_LABELS = {
+  hip: 'Hips',
+  shoulder: 'Shoulders',
+  elbow: 'Elbow',
+  wrist: 'Wrist'
+};
+
+const smooth = (values, times) => smoothValues(values, times, SMOOTHING_HALF_WINDOW_MS);
+
+// Central-difference rate of change per second; times are in milliseconds
+const differentiate = (values, times) => values.map((_, index) => {
+  const before = Math.max(0, index - 1);
+  const after = Math.min(values.length - 1, index + 1);
+  const seconds = (times[after] - times[before]) / 1000;
+  return seconds > 0 ? (values[after] - values[before]) / seconds : 0;
+});
+
+const toSeries = (samples, values) => samples.map((sample, index) => ({
+  frameId: sample.frameId,
+  timestamp: sample.timestamp,
+  value: values[index],
+  playerType: sample.playerType
+}));
+
+// Wrist linear speed and acceleration. Samples are
+// {frameId, timestamp, x, y, playerType} already in the metric distance
+// units, so speeds come out in units per second.
+export const computeWristKinematics = (samples) => {
+  if (samples.length < 3) return { speed: [], acceleration: [] };
+
+  const times = samples.map(sample => sample.timestamp);
+  const vx = differentiate(smooth(samples.map(sample => sample.x), times), times);
+  const vy = differentiate(smooth(samples.map(sample => sample.y), times), times);
+  const speed = vx.map((v, index) => Math.hypot(v, vy[index]));
+  const acceleration = smooth(differentiate(speed, times), times);
+
+  return {
+    speed: toSeries(samples, speed),
+    acceleration: toSeries(samples, acceleration)
+  };
+};
+
+// Absolute angular speed (degrees per second) of an angle series. Direction
+// is dropped because rotation and flexion signs depend on camera position.
+export const computeAngularSpeed = (series) => {
+  if (series.length < 3) return [];
+  const times = series.map(point => point.timestamp);
+  const rates = differentiate(smooth(series.map(point => point.value), times), times);
+  return toSeries(series, rates.map(Math.abs));
+};
+
+// Highest value within [fromMs, toMs], or null when the window is empty
+export const findPeak = (series, fromMs = -Infinity, toMs = Infinity) => {
+  let peak = null;
+  series.forEach(point => {
+    if (point.timestamp < fromMs || point.timestamp > toMs) return;
+    if (!peak || point.value > peak.value) {
+      peak = { value: point.value, timestamp: point.timestamp };
+    }
+  });
+  return peak;
+};
+
+// Order of the segment speed peaks from the start of the forward swing to
+// just after contact. Peak times are reported relative to `contactMs`.
+// `outOfOrder` lists every pair where the more distal segment peaked first.
+export const checkKineticChain = (segmentSpeeds, forwardSwingMs, contactMs) => {
+  const toMs = contactMs + CHAIN_AFTER_CONTACT_MS;
+  const peaks = KINETIC_CHAIN_SEGMENTS
+    .map(segment => ({ segment, peak: findPeak(segmentSpeeds[segment] || [], forwardSwingMs, toMs) }))
+    .filter(({ peak }) => peak)
+    .map(({ segment, peak }) => ({ segment, relativeMs: peak.timestamp - contactMs, value: peak.value }));
+
+  const outOfOrder = [];
+  peaks.forEach((earlier, i) => {
+    peaks.slice(i + 1).forEach(later => {
+      if (later.relativeMs < earlier.relativeMs - CHAIN_TOLERANCE_MS) {
+        outOfOrder.push(`${KINETIC_CHAIN_LABELS[later.segment]} before ${KINETIC_CHAIN_LABELS[earlier.segment].toLowerCase()}`);
+      }
+    });
+  });
+
+  const complete = peaks.length === KINETIC_CHAIN_SEGMENTS.length;
+  return {
+    peaks,
+    complete,
+    inOrder: complete && outOfOrder.length === 0,
+    outOfOrder
+  };
+};
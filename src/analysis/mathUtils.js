@@ -0,0 +1,33 @@
+// Small numeric helpers shared by the analysis modules.
+
+export const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+export const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+export const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - average) * (v - average))));
+};
+
+// Value at fraction p (0-1) of the sorted values, or null when there are none
+export const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// Middle value (the upper one for an even count), or null when there are none
+export const median = (values) => percentile(values, 0.5);
+
+// Centered moving average over the samples within halfWindowMs; times are
+// in milliseconds and in order
+export const smoothValues = (values, times, halfWindowMs) => {
+  let from = 0;
+  let to = -1;
+  let sum = 0;
+  return values.map((_, index) => {
+    while (to + 1 < values.length && times[to + 1] <= times[index] + halfWindowMs) sum += values[++to];
+    while (times[from] < times[index] - halfWindowMs) sum -= values[from++];
+    return sum / (to - from + 1);
+  });
+};
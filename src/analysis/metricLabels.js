@@ -0,0 +1,17 @@
+// Display names of the per-frame metric series, shared by every card and
+// status message that names a metric.
+
+export const METRIC_LABELS = {
+  wristHip: 'Wrist-Hip Height',
+  shoulderRotation: 'Shoulder Rotation',
+  hipRotation: 'Hip Rotation',
+  xFactor: 'Hip-Shoulder Separation',
+  weightTransfer: 'Weight Transfer',
+  armExtension: 'Arm Extension',
+  wristSpeed: 'Wrist Speed',
+  elbowFlexion: 'Elbow Flexion',
+  hittingKneeFlexion: 'Hitting-Side Knee Flexion',
+  offKneeFlexion: 'Off-Side Knee Flexion',
+  trunkLean: 'Trunk Lean',
+  forearmAngle: 'Forearm Angle'
+};
@@ -0,0 +1,114 @@
+// Per-phase scores: how closely the trainee's curve follows the reference
+// within each phase of the stroke, metric by metric. The comparison is
+// already resampled onto the reference's stroke percent axis, so the gap at
+// each point compares matching moments; its mean over a phase, relative to
+// how far the reference moves over the whole stroke, is the phase score.
+// Angles the reference barely moves (trunk lean, knee bend) are measured
+// against at least MIN_ANGLE_SCALE so a few degrees don't cost everything.
+// Against a composite reference only what lies outside its band counts.
+
+import { mean } from './mathUtils';
+import { METRIC_LABELS } from './metricLabels';
+
+export const PHASE_SCORE_METRICS = [
+  'wristHip',
+  'shoulderRotation',
+  'hipRotation',
+  'xFactor',
+  'weightTransfer',
+  'armExtension',
+  'wristSpeed',
+  'elbowFlexion',
+  'hittingKneeFlexion',
+  'trunkLean',
+  'forearmAngle'
+];
+
+// Metrics in degrees
+const ANGLE_METRICS = [
+  'shoulderRotation',
+  'hipRotation',
+  'xFactor',
+  'elbowFlexion',
+  'hittingKneeFlexion',
+  'trunkLean',
+  'forearmAngle'
+];
+
+const MIN_ANGLE_SCALE = 30;
+
+// A mean gap as large as the scale (or more) scores zero
+const gapScore = (gap, scale) => Math.round(100 * Math.max(0, 1 - gap / scale));
+
+// Signed distance from the reference, or from its band when it has one
+const pointGap = (point) => {
+  if (point.proBand) {
+    const [low, high] = point.proBand;
+    if (point.traineeValue < low) return point.traineeValue - low;
+    if (point.traineeValue > high) return point.traineeValue - high;
+    return 0;
+  }
+  return point.traineeValue - point.proValue;
+};
+
+// {phases, metrics, phaseTotals}, or null when no metric can be scored.
+//   metrics     - [{key, label, score, cells: [{phase, label, score, gap}]}]
+//                 where gap is the mean signed gap in the metric's units
+//   phaseTotals - [{phase, label, score}], the mean over the metrics
+// `phases` are the reference's phases in stroke percent; cells of a phase
+// without samples score null.
+export const scorePhases = (comparison, phases, metricKeys = PHASE_SCORE_METRICS) => {
+  const keys = PHASE_SCORE_METRICS.filter(key => metricKeys.includes(key) && comparison[key]?.length);
+
+  const metrics = keys.map(key => {
+    const series = comparison[key];
+    const proValues = series.map(point => point.proValue).filter(value => value !== null);
+    const amplitude = proValues.length ? Math.max(...proValues) - Math.min(...proValues) : 0;
+    const points = series.filter(point => point.proValue !== null && point.traineeValue !== null);
+    if (!(amplitude > 0) || points.length < series.length / 2) return null;
+    const scale = ANGLE_METRICS.includes(key) ? Math.max(amplitude, MIN_ANGLE_SCALE) : amplitude;
+
+    const cells = phases.map(phase => {
+      const inPhase = points.filter(point => point.strokePercent >= phase.start && point.strokePercent <= phase.end);
+      if (!inPhase.length) return { phase: phase.phase, label: phase.label, score: null, gap: null };
+      const gaps = inPhase.map(pointGap);
+      return {
+        phase: phase.phase,
+        label: phase.label,
+        score: gapScore(mean(gaps.map(Math.abs)), scale),
+        gap: mean(gaps)
+      };
+    });
+    const scored = cells.filter(cell => cell.score !== null);
+    return {
+      key,
+      label: METRIC_LABELS[key],
+      score: scored.length ? Math.round(mean(scored.map(cell => cell.score))) : null,
+      cells
+    };
+  }).filter(Boolean);
+
+  if (!metrics.length) return null;
+
+  const phaseTotals = phases.map((phase, index) => {
+    const scores = metrics.map(metric => metric.cells[index].score).filter(score => score !== null);
+    return { phase: phase.phase, label: phase.label, score: scores.length ? Math.round(mean(scores)) : null };
+  });
+
+  return {
+    phases: phases.map(phase => ({ phase: phase.phase, label: phase.label })),
+    metrics,
+    phaseTotals
+  };
+};
+
+// Phase cell where a metric loses the most points, or null when it isn't
+// scored or loses none
+export const findWorstPhase = (phaseScores, key) => {
+  const metric = phaseScores?.metrics.find(entry => entry.key === key);
+  if (!metric) return null;
+  const worst = metric.cells
+    .filter(cell => cell.score !== null)
+    .reduce((lowest, cell) => (!lowest || cell.score < lowest.score ? cell : lowest), null);
+  return worst && worst.score < 100 ? worst : null;
+};
@@ -0,0 +1,67 @@
+import { scorePhases, findWorstPhase } from './phaseScores';
+
+const phases = [
+  { phase: 'Early', label: 'Early', start: 0, end: 50 },
+  { phase: 'Late', label: 'Late', start: 50, end: 100 }
+];
+
+const series = (pro, trainee) => Array.from({ length: 101 }, (_, percent) => ({
+  strokePercent: percent,
+  proValue: pro(percent),
+  traineeValue: trainee(percent)
+}));
+
+test('scores each phase by the mean gap relative to the reference range', () => {
+  const comparison = { wristHip: series(p => p, p => (p > 50 ? p + 20 : p)) };
+  const { metrics, phaseTotals } = scorePhases(comparison, phases);
+
+  expect(metrics).toHaveLength(1);
+  expect(metrics[0].label).toBe('Wrist-Hip Height');
+  expect(metrics[0].cells.map(cell => cell.score)).toEqual([100, 80]);
+  expect(metrics[0].cells[1].gap).toBeCloseTo(1000 / 51);
+  expect(metrics[0].score).toBe(90);
+  expect(phaseTotals).toEqual([
+    { phase: 'Early', label: 'Early', score: 100 },
+    { phase: 'Late', label: 'Late', score: 80 }
+  ]);
+});
+
+test('judges angles the reference barely moves against a minimum scale', () => {
+  const comparison = { trunkLean: series(p => p / 10, p => p / 10 + 3) };
+  expect(scorePhases(comparison, phases).metrics[0].cells.map(cell => cell.score)).toEqual([90, 90]);
+});
+
+test('only counts what lies outside a composite reference band', () => {
+  const comparison = {
+    wristHip: series(p => p, p => p + 5).map(point => ({ ...point, proBand: [point.proValue - 10, point.proValue + 10] }))
+  };
+  expect(scorePhases(comparison, phases).metrics[0].score).toBe(100);
+});
+
+test('leaves out metrics that are not asked for or have too little data', () => {
+  const comparison = {
+    wristHip: series(p => p, p => p),
+    armExtension: series(p => p, p => (p < 80 ? null : p)),
+    weightTransfer: series(() => 50, () => 60)
+  };
+  expect(scorePhases(comparison, phases, ['armExtension', 'weightTransfer'])).toBeNull();
+  expect(scorePhases(comparison, phases).metrics.map(metric => metric.key)).toEqual(['wristHip']);
+});
+
+test('scores a phase without samples as null', () => {
+  const comparison = { wristHip: series(p => p, p => p) };
+  const result = scorePhases(comparison, [...phases, { phase: 'After', label: 'After', start: 120, end: 150 }]);
+  expect(result.metrics[0].cells[2].score).toBeNull();
+  expect(result.phaseTotals[2].score).toBeNull();
+});
+
+test('finds the phase where a metric loses the most', () => {
+  const scores = scorePhases({
+    wristHip: series(p => p, p => (p > 50 ? p + 20 : p)),
+    armExtension: series(p => p, p => p)
+  }, phases);
+  expect(findWorstPhase(scores, 'wristHip')).toMatchObject({ phase: 'Late', score: 80 });
+  expect(findWorstPhase(scores, 'armExtension')).toBeNull();
+  expect(findWorstPhase(scores, 'hipRotation')).toBeNull();
+  expect(findWorstPhase(null, 'wristHip')).toBeNull();
+});
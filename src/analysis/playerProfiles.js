@@ -0,0 +1,51 @@
+// Player profiles, so a coach's uploads belong to someone and the analysis
+// starts from what is known about them:
+//   {id, name, handedness, heightCm, level, notes}
+// handedness is a HANDEDNESS_* value (auto: detect it in each clip);
+// heightCm and level may be null. Levels are the usual rating steps, which
+// is also how skill-level benchmarks name theirs.
+
+import { HANDEDNESS_AUTO, HANDEDNESS_RIGHT, HANDEDNESS_LEFT } from './handedness';
+import { DRILL_LEVELS } from './drillSelection';
+
+export const PLAYER_LEVELS = ['2.0', '2.5', '3.0', '3.5', '4.0', '4.5', '5.0', '5.5', 'pro'];
+
+const HANDEDNESS_VALUES = [HANDEDNESS_AUTO, HANDEDNESS_RIGHT, HANDEDNESS_LEFT];
+
+// Height range (cm) a profile accepts
+export const MIN_PLAYER_HEIGHT_CM = 100;
+export const MAX_PLAYER_HEIGHT_CM = 230;
+
+// Highest rating of each drill level: up to 3.0 beginner, up to 4.0
+// intermediate, advanced above
+const DRILL_LEVEL_CEILINGS = ['3.0', '4.0', 'pro'];
+
+// The profile with its fields checked and defaulted, or null without an id
+// and a name
+export const parsePlayer = (data) => {
+  if (typeof data?.id !== 'string' || typeof data.name !== 'string' || !data.name.trim()) return null;
+  const heightCm = Number(data.heightCm);
+  return {
+    id: data.id,
+    name: data.name.trim(),
+    handedness: HANDEDNESS_VALUES.includes(data.handedness) ? data.handedness : HANDEDNESS_AUTO,
+    heightCm: heightCm >= MIN_PLAYER_HEIGHT_CM && heightCm <= MAX_PLAYER_HEIGHT_CM ? heightCm : null,
+    level: PLAYER_LEVELS.includes(data.level) ? data.level : null,
+    notes: typeof data.notes === 'string' ? data.notes : ''
+  };
+};
+
+// Drill level for a rating, or null without one
+export const drillLevelForPlayer = (level) => {
+  const index = PLAYER_LEVELS.indexOf(level);
+  if (index < 0) return null;
+  return DRILL_LEVELS[DRILL_LEVEL_CEILINGS.findIndex(ceiling => index <= PLAYER_LEVELS.indexOf(ceiling))];
+};
+
+// Analysis settings a profile implies. Their level becomes the benchmark's
+// target level when the benchmark has it; otherwise the target is left alone.
+export const profileSettings = (profile, benchmark) => ({
+  handedness: profile.handedness,
+  playerHeightCm: profile.heightCm,
+  ...(benchmark?.levels.some(entry => entry.level === profile.level) && { targetLevel: profile.level })
+});
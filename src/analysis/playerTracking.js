@@ -0,0 +1,116 @@
+// Follows one person across a clip by `person.id`. The order of
+// `primitives.people` is not stable between frames, so people[0] can be a
+// different player from one frame to the next in doubles or drill footage.
+
+// People without an id fall back to their slot in people[] - the best we can
+// do for captures that predate track ids.
+export const getTrackKey = (person, index) => person?.id ?? `slot-${index}`;
+
+export const getPersonForFrame = (frame, personId) => {
+  const people = frame?.primitives?.people;
+  if (!Array.isArray(people) || people.length === 0) return undefined;
+  if (personId === null || personId === undefined) return people[0];
+  return people.find((person, index) => getTrackKey(person, index) === personId);
+};
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+export const listTrackedPeople = (frames) => {
+  if (!Array.isArray(frames)) return [];
+
+  const tracks = {};
+  frames.forEach((frame) => {
+    const people = frame?.primitives?.people;
+    if (!Array.isArray(people)) return;
+
+    people.forEach((person, index) => {
+      const key = getTrackKey(person, index);
+      const track = tracks[key] || (tracks[key] = {
+        id: key,
+        frameCount: 0,
+        boxes: [],
+        locations: [],
+        confidences: [],
+        distances: [],
+        firstFrameId: frame.frameId,
+        lastFrameId: frame.frameId
+      });
+
+      track.frameCount++;
+      track.lastFrameId = frame.frameId;
+
+      const box = person.bboxImage;
+      if (box && box.width > 0 && box.height > 0) {
+        track.boxes.push(box);
+      }
+      if (person.location && Number.isFinite(person.location.x) && Number.isFinite(person.location.y)) {
+        track.locations.push(person.location);
+        const camera = frame.cameraPosition;
+        if (camera && Number.isFinite(camera.x) && Number.isFinite(camera.y)) {
+          track.distances.push(Math.hypot(person.location.x - camera.x, person.location.y - camera.y));
+        }
+      }
+      if (Number.isFinite(person.confidence)) {
+        track.confidences.push(person.confidence);
+      }
+    });
+  });
+
+  const totalFrames = frames.length;
+
+  return Object.values(tracks).map(track => {
+    const averageBox = track.boxes.length ? {
+      xmin: average(track.boxes.map(b => b.xmin)),
+      ymin: average(track.boxes.map(b => b.ymin)),
+      width: average(track.boxes.map(b => b.width)),
+      height: average(track.boxes.map(b => b.height))
+    } : null;
+
+    return {
+      id: track.id,
+      frameCount: track.frameCount,
+      coverage: totalFrames ? track.frameCount / totalFrames : 0,
+      firstFrameId: track.firstFrameId,
+      lastFrameId: track.lastFrameId,
+      averageBox,
+      averageArea: averageBox ? averageBox.width * averageBox.height : 0,
+      path: track.boxes.map(b => ({ x: b.xmin + b.width / 2, y: b.ymin + b.height })),
+      location: track.locations.length ? {
+        x: average(track.locations.map(l => l.x)),
+        y: average(track.locations.map(l => l.y))
+      } : null,
+      distance: average(track.distances),
+      confidence: average(track.confidences)
+    };
+  }).sort((a, b) => b.frameCount - a.frameCount);
+};
+
+// Default trainee: among people tracked through most of the clip, the one
+// with the largest bounding box, with distance to the camera breaking ties.
+export const pickDefaultPerson = (tracks) => {
+  if (!tracks.length) return null;
+
+  const maxCount = Math.max(...tracks.map(track => track.frameCount));
+  const candidates = tracks.filter(track => track.frameCount >= maxCount * 0.5);
+
+  return [...candidates].sort((a, b) => {
+    const areaDiff = b.averageArea - a.averageArea;
+    if (Math.abs(areaDiff) > 0.05 * Math.max(a.averageArea, b.averageArea)) return areaDiff;
+    return (a.distance ?? Infinity) - (b.distance ?? Infinity);
+  })[0];
+};
+
+// Image size for drawing the picker, from the camera principal point when
+// available, otherwise from the extent of the tracked boxes.
+export const estimateImageSize = (frames, tracks) => {
+  const intrinsics = frames?.find(frame => frame?.intrinsics)?.intrinsics;
+  if (intrinsics && intrinsics.cx > 0 && intrinsics.cy > 0) {
+    return { width: Math.round(intrinsics.cx * 2), height: Math.round(intrinsics.cy * 2) };
+  }
+
+  const boxes = tracks.map(track => track.averageBox).filter(Boolean);
+  return {
+    width: Math.max(1, ...boxes.map(b => b.xmin + b.width)),
+    height: Math.max(1, ...boxes.map(b => b.ymin + b.height))
+  };
+};
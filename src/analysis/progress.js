@@ -0,0 +1,61 @@
+// Progress over time from saved analyses (see storage/analysisHistory):
+// the overall score and the trainee's value of each headline stat, with the
+// reference value it was compared against. Distances are only comparable in
+// one unit, so a distance series keeps the analyses in the latest one's.
+
+import { JOINT_ANGLE_METRICS } from './jointAngles';
+
+const JOINT_ANGLE_TITLES = {
+  elbowFlexion: 'Elbow flexion at contact',
+  hittingKneeFlexion: 'Hitting-side knee flexion at contact',
+  offKneeFlexion: 'Off-side knee flexion at contact',
+  trunkLean: 'Trunk lean at contact',
+  forearmAngle: 'Forearm angle at contact'
+};
+
+// read(stats) -> {pro, trainee} or nothing; unit(distanceUnit) -> label
+export const PROGRESS_METRICS = [
+  { key: 'peakRotation', label: 'Peak shoulder rotation', read: stats => stats.peakRotation, unit: () => '°' },
+  { key: 'peakXFactor', label: 'Peak hip-shoulder separation', read: stats => stats.peakXFactor, unit: () => '°' },
+  { key: 'peakExtension', label: 'Peak arm extension', read: stats => stats.peakExtension, unit: unit => unit, distance: true },
+  { key: 'wristDrop', label: 'Lowest wrist position', read: stats => stats.wristDrop, unit: unit => unit, distance: true },
+  { key: 'peakWristSpeed', label: 'Peak wrist speed', read: stats => stats.wristSpeed?.peak, unit: unit => `${unit}/s`, distance: true },
+  { key: 'speedTiming', label: 'Wrist speed peak vs contact', read: stats => stats.wristSpeed?.peakTiming, unit: () => 'ms' },
+  { key: 'strokeDuration', label: 'Stroke duration', read: stats => stats.strokeDuration, unit: () => 's' },
+  { key: 'tempo', label: 'Tempo (backswing / forward swing)', read: stats => stats.tempo, unit: () => '' },
+  ...JOINT_ANGLE_METRICS.map(key => ({
+    key,
+    label: JOINT_ANGLE_TITLES[key],
+    read: stats => stats.jointAngles?.[key]?.atContact,
+    unit: () => '°'
+  }))
+];
+
+// [{analyzedAt, score}] in time order
+export const buildScoreSeries = (entries) => entries
+  .filter(entry => Number.isFinite(entry.recommendations?.overallScore))
+  .map(entry => ({ analyzedAt: entry.analyzedAt, score: entry.recommendations.overallScore }))
+  .sort((a, b) => a.analyzedAt - b.analyzedAt);
+
+// {points: [{analyzedAt, trainee, pro}], units, skipped} in time order,
+// where skipped counts the analyses left out for being in another unit
+export const buildMetricSeries = (entries, metric) => {
+  const readings = entries
+    .map(entry => {
+      const stat = metric.read(entry.stats);
+      const trainee = parseFloat(stat?.trainee);
+      return Number.isFinite(trainee)
+        ? { analyzedAt: entry.analyzedAt, trainee, pro: parseFloat(stat.pro), units: entry.stats.units?.distance }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.analyzedAt - b.analyzedAt);
+  const units = readings.length ? readings[readings.length - 1].units : null;
+  const kept = metric.distance ? readings.filter(reading => reading.units === units) : readings;
+
+  return {
+    points: kept.map(({ analyzedAt, trainee, pro }) => ({ analyzedAt, trainee, pro: Number.isFinite(pro) ? pro : null })),
+    units,
+    skipped: readings.length - kept.length
+  };
+};
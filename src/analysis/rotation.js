@@ -0,0 +1,79 @@
+// Torso rotation from foreshortening. A shoulder (or hip) line seen square
+// to the camera spans its full width; turned by an angle θ it spans
+// width·cos(θ). Once the line turns past side-on, the left and right
+// keypoints swap sides in the image, which extends the range to 180°.
+//
+// The square-on width comes from calibration when the frame has it, and
+// otherwise from the widest the line gets during the clip (players are
+// square to the camera in the ready position).
+
+import { isKeypointPresent } from './frameValidation';
+import { toDegrees, percentile } from './mathUtils';
+
+// Typical keypoint-to-keypoint widths; pose models place shoulder and hip
+// keypoints at the joints, inside the body outline
+export const SHOULDER_WIDTH_CM = 36;
+export const HIP_WIDTH_CM = 25;
+
+// Percentile of observed widths used as the uncalibrated square-on width,
+// high enough to ignore the odd wide outlier detection
+const REFERENCE_PERCENTILE = 0.95;
+
+const signedWidth = (pose, side) => {
+  const left = pose[`left${side}`];
+  const right = pose[`right${side}`];
+  if (!isKeypointPresent(left) || !isKeypointPresent(right)) return null;
+  return left.x - right.x;
+};
+
+// Clip-level references: which way the player faces the camera (the sign of
+// left.x - right.x when square) and the uncalibrated square-on widths.
+export const measureRotationReferences = (poses) => {
+  const shoulderWidths = [];
+  const hipWidths = [];
+
+  poses.forEach(pose => {
+    if (!pose) return;
+    const shoulder = signedWidth(pose, 'Shoulder');
+    const hip = signedWidth(pose, 'Hip');
+    if (shoulder !== null) shoulderWidths.push(shoulder);
+    if (hip !== null) hipWidths.push(hip);
+  });
+
+  // Facing is decided by the hips, which turn less than the shoulders
+  const facingSamples = hipWidths.length ? hipWidths : shoulderWidths;
+  const facingSum = facingSamples.reduce((sum, width) => sum + width, 0);
+  const facing = facingSum < 0 ? -1 : 1;
+
+  return {
+    facing,
+    shoulderWidth: percentile(shoulderWidths.map(width => width * facing), REFERENCE_PERCENTILE),
+    hipWidth: percentile(hipWidths.map(width => width * facing), REFERENCE_PERCENTILE)
+  };
+};
+
+const estimateAngle = (width, referenceWidth) => {
+  if (width === null || !(referenceWidth > 0)) return null;
+  const ratio = Math.max(-1, Math.min(1, width / referenceWidth));
+  return toDegrees(Math.acos(ratio));
+};
+
+// Shoulder and hip rotation in degrees away from square (0 = square to the
+// camera, 90 = side-on, up to 180 = turned past side-on), plus their
+// difference, the hip-shoulder separation or "X-factor".
+export const estimateRotation = (pose, references, cmPerPixel = null) => {
+  const shoulderReference = cmPerPixel ? SHOULDER_WIDTH_CM / cmPerPixel : references.shoulderWidth;
+  const hipReference = cmPerPixel ? HIP_WIDTH_CM / cmPerPixel : references.hipWidth;
+
+  const shoulderWidth = signedWidth(pose, 'Shoulder');
+  const hipWidth = signedWidth(pose, 'Hip');
+
+  const shoulder = estimateAngle(shoulderWidth === null ? null : shoulderWidth * references.facing, shoulderReference);
+  const hip = estimateAngle(hipWidth === null ? null : hipWidth * references.facing, hipReference);
+
+  return {
+    shoulder,
+    hip,
+    separation: shoulder !== null && hip !== null ? shoulder - hip : null
+  };
+};
@@ -0,0 +1,349 @@
+// Scoring rules as data: each rule reads one value from the comparison (a
+// difference to the reference, mostly), checks it against thresholds from
+// worst to mildest and adds a priority, a strength or just a score. The
+// default set (data/default_scoring_rules.json) is what the app shipped with
+// as code; coaches can edit it or import their own academy's set.
+//
+// Rule set files:
+//   {format, version, name, rules: [{
+//     id, label, metric, value, comparison: 'below' | 'above', enabled,
+//     phase?, series?, category?,
+//     thresholds: [{limit, severity, score, issue, detail, improvement,
+//                   also?: {value, comparison, limit}}],
+//     strength: {limit?, score, metric?, achievement, detail} | null,
+//     otherwiseScore, drill?: {name, description, reps}
+//   }]}
+// `value` is a VALUE_SOURCES key; curve sources read the comparison series
+// named by `series` (see curveSimilarity). A limit is a number, or per distance unit
+// ({px, cm, torso, leg, height}) for distances; a threshold without a limit
+// for the current unit is skipped. The first threshold the value is beyond
+// wins; otherwise the strength applies when the value is on the good side
+// of its limit (always, without one) and otherwiseScore when not. Messages
+// can use {abs}, {value}, {unit}, {trainee}, {pro}, {list} and
+// {direction}. `category` (e.g. 'timing') is passed on to the priority.
+// A priority names the phase the fault happens in: the rule's fixed `phase`
+// (a PHASE_* id), or the phase where the comparison `series` loses the most
+// points (see phaseScores); rules with neither cover the whole stroke.
+
+import defaultRuleSet from '../data/default_scoring_rules.json';
+import { SCORING_RULES } from './strokeTypes';
+import { PHASE_BACKSWING, PHASE_FORWARD_SWING, PHASE_CONTACT, PHASE_FOLLOW_THROUGH } from './strokeEvents';
+import { findWorstPhase } from './phaseScores';
+
+export const RULE_SET_FORMAT = 'volley-shot-analysis/scoring-rules';
+export const RULE_SET_VERSION = 1;
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+export const COMPARISONS = ['below', 'above'];
+export const DISTANCE_LIMIT_UNITS = ['px', 'cm', 'torso', 'leg', 'height'];
+export const RULE_PHASES = [PHASE_BACKSWING, PHASE_FORWARD_SWING, PHASE_CONTACT, PHASE_FOLLOW_THROUGH];
+
+const statValue = (stat) => stat && {
+  value: parseFloat(stat.difference),
+  trainee: stat.trainee,
+  pro: stat.pro
+};
+
+const valueRange = (series, key) => Math.max(...series.map(d => d[key])) - Math.min(...series.map(d => d[key]));
+
+const curveValue = (stats, rule, read) => {
+  const similarity = stats.curveSimilarity?.[rule.series];
+  return similarity ? read(similarity) ?? null : null;
+};
+
+// What a rule can be judged on. read(stats, comparison, rule) gives
+// {value, trainee, pro, list, direction}, or null when the clip has no
+// data for it (the rule is then left out of the score). Sources with
+// `series` need the rule to name a comparison series.
+export const VALUE_SOURCES = {
+  peakRotation: {
+    label: 'Peak shoulder rotation difference (°)',
+    read: (stats) => statValue(stats.peakRotation)
+  },
+  peakXFactor: {
+    label: 'Peak hip-shoulder separation difference (°)',
+    read: (stats) => statValue(stats.peakXFactor)
+  },
+  wristDrop: {
+    label: 'Wrist drop difference (distance)',
+    read: (stats) => statValue(stats.wristDrop)
+  },
+  weightTransferRatio: {
+    label: 'Weight shift as a share of the reference (1 = same)',
+    read: (stats, comparison) => {
+      const series = comparison.weightTransfer;
+      if (!series?.length) return null;
+      const range = valueRange(series, 'traineeValue');
+      const optimalRange = valueRange(series, 'proValue');
+      return { value: optimalRange > 0 ? range / optimalRange : 1, trainee: range.toFixed(1), pro: optimalRange.toFixed(1) };
+    }
+  },
+  peakExtension: {
+    label: 'Max arm extension difference (distance)',
+    read: (stats) => statValue(stats.peakExtension)
+  },
+  strokeDuration: {
+    label: 'Stroke duration difference (ms)',
+    read: (stats) => statValue(stats.strokeDuration)
+  },
+  wristSpeedPercent: {
+    label: 'Peak wrist speed difference (% of reference)',
+    read: (stats) => {
+      const peak = stats.wristSpeed?.peak;
+      if (!peak) return null;
+      const proSpeed = parseFloat(peak.pro);
+      return { ...statValue(peak), value: proSpeed > 0 ? (parseFloat(peak.difference) / proSpeed) * 100 : 0 };
+    }
+  },
+  speedTiming: {
+    label: 'Wrist speed peak timing difference (ms)',
+    read: (stats) => statValue(stats.wristSpeed?.peakTiming)
+  },
+  kineticChainOutOfOrder: {
+    label: 'Kinetic-chain segments out of order where the reference is not (count)',
+    read: (stats) => {
+      const { pro, trainee } = stats.kineticChain || {};
+      if (!pro?.complete || !trainee?.complete) return null;
+      const extra = trainee.outOfOrder.filter(pair => !pro.outOfOrder.includes(pair));
+      return { value: extra.length, list: extra.join(', ').toLowerCase() };
+    }
+  },
+  elbowAtContact: {
+    label: 'Elbow flexion at contact difference (°)',
+    read: (stats) => statValue(stats.jointAngles?.elbowFlexion?.atContact)
+  },
+  kneeAtContact: {
+    label: 'Hitting-side knee flexion at contact difference (°)',
+    read: (stats) => statValue(stats.jointAngles?.hittingKneeFlexion?.atContact)
+  },
+  trunkLeanPeak: {
+    label: 'Peak trunk lean difference (°)',
+    read: (stats) => statValue(stats.jointAngles?.trunkLean?.peak)
+  },
+  forearmAtContact: {
+    label: 'Forearm angle at contact difference (°)',
+    read: (stats) => statValue(stats.jointAngles?.forearmAngle?.atContact)
+  },
+  forearmAtContactTrainee: {
+    label: 'Trainee forearm angle at contact (°)',
+    read: (stats) => {
+      const stat = stats.jointAngles?.forearmAngle?.atContact;
+      return stat ? { value: parseFloat(stat.trainee), trainee: stat.trainee, pro: stat.pro } : null;
+    }
+  },
+  curveMatch: {
+    label: 'Curve shape match (correlation, %)',
+    series: true,
+    read: (stats, comparison, rule) => {
+      const correlation = curveValue(stats, rule, similarity => similarity.correlation);
+      return correlation === null ? null : { value: correlation * 100 };
+    }
+  },
+  curveArea: {
+    label: 'Area between the curves (% of the reference range)',
+    series: true,
+    read: (stats, comparison, rule) => {
+      const area = curveValue(stats, rule, similarity => similarity.area);
+      return area === null ? null : { value: area * 100 };
+    }
+  },
+  curveError: {
+    label: 'Curve RMSE (metric units)',
+    series: true,
+    read: (stats, comparison, rule) => {
+      const rmse = curveValue(stats, rule, similarity => similarity.rmse);
+      return rmse === null ? null : { value: rmse };
+    }
+  },
+  peakTimingGap: {
+    label: 'Peak timing gap relative to contact (ms)',
+    series: true,
+    read: (stats, comparison, rule) => {
+      const offset = curveValue(stats, rule, similarity => similarity.peakOffsetMs);
+      return offset === null ? null : { value: Math.abs(offset), direction: offset > 0 ? 'late' : 'early' };
+    }
+  }
+};
+
+const isText = (value) => typeof value === 'string';
+const isScore = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+
+const isLimit = (limit) => Number.isFinite(limit) || (
+  limit && typeof limit === 'object' && !Array.isArray(limit) &&
+  Object.values(limit).length > 0 && Object.values(limit).every(Number.isFinite)
+);
+
+// Why a rule can't be used, or null when it can
+const checkRule = (rule, index) => {
+  const name = `Rule ${index + 1}${isText(rule?.id) ? ` (${rule.id})` : ''}`;
+  if (!rule || typeof rule !== 'object') return `${name} is not an object.`;
+  if (!isText(rule.id) || !rule.id) return `${name} has no id.`;
+  if (!isText(rule.metric) || !rule.metric) return `${name} has no metric name.`;
+  if (!VALUE_SOURCES[rule.value]) {
+    return `${name} reads unknown value "${rule.value}"; expected one of ${Object.keys(VALUE_SOURCES).join(', ')}.`;
+  }
+  if (!COMPARISONS.includes(rule.comparison)) return `${name} needs comparison "below" or "above".`;
+  if (!Array.isArray(rule.thresholds)) return `${name} has no thresholds array.`;
+  if (rule.phase !== undefined && !RULE_PHASES.includes(rule.phase)) {
+    return `${name} has unknown phase "${rule.phase}"; expected one of ${RULE_PHASES.join(', ')}.`;
+  }
+  if (rule.series !== undefined && (!isText(rule.series) || !rule.series)) return `${name} has an empty series.`;
+  const needsSeries = [rule, ...rule.thresholds.map(threshold => threshold?.also).filter(Boolean)]
+    .some(entry => VALUE_SOURCES[entry.value]?.series);
+  if (needsSeries && !rule.series) return `${name} reads a curve measure but names no series.`;
+  if (rule.category !== undefined && !isText(rule.category)) return `${name} has a category that is not text.`;
+  const badThreshold = rule.thresholds.findIndex(threshold => (
+    !threshold || !isLimit(threshold.limit) || !SEVERITIES.includes(threshold.severity) || !isScore(threshold.score) ||
+    !isText(threshold.issue) || !isText(threshold.detail) || !isText(threshold.improvement) ||
+    (threshold.also && (!VALUE_SOURCES[threshold.also.value] || !COMPARISONS.includes(threshold.also.comparison) || !isLimit(threshold.also.limit)))
+  ));
+  if (badThreshold >= 0) {
+    return `${name}, threshold ${badThreshold + 1} needs a limit, a severity (${SEVERITIES.join(', ')}), a score from 0 to 100 and issue, detail and improvement texts.`;
+  }
+  const { strength } = rule;
+  if (strength && (!isScore(strength.score) || (strength.limit !== undefined && !isLimit(strength.limit)) ||
+    !isText(strength.achievement) || !isText(strength.detail))) {
+    return `${name} has a strength without a score from 0 to 100 or without achievement and detail texts.`;
+  }
+  if (!isScore(rule.otherwiseScore)) return `${name} needs an otherwiseScore from 0 to 100.`;
+  if (rule.drill && (!isText(rule.drill.name) || !isText(rule.drill.description) || !isText(rule.drill.reps))) {
+    return `${name} links a drill without name, description and reps.`;
+  }
+  return null;
+};
+
+// {ruleSet, error}: the rule set with defaults filled in, or an error
+// saying why the file can't be used. A whole set is rejected for one bad
+// rule, since silently dropping a rule would change every score.
+export const parseRuleSet = (data) => {
+  const invalid = (error) => ({ ruleSet: null, error });
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return invalid('Expected a JSON object with version, name and rules.');
+  }
+  if (data.format !== undefined && data.format !== RULE_SET_FORMAT) {
+    return invalid(`Not a scoring rule set (format "${data.format}").`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > RULE_SET_VERSION) {
+    return invalid(`Unsupported rule set version ${data.version}; this app reads version ${RULE_SET_VERSION}.`);
+  }
+  if (!Array.isArray(data.rules) || !data.rules.length) return invalid('Expected a non-empty rules array.');
+
+  for (let index = 0; index < data.rules.length; index++) {
+    const error = checkRule(data.rules[index], index);
+    if (error) return invalid(error);
+  }
+  const ids = data.rules.map(rule => rule.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) return invalid(`Rule id "${duplicate}" is used more than once.`);
+
+  return {
+    ruleSet: {
+      format: RULE_SET_FORMAT,
+      version: RULE_SET_VERSION,
+      name: isText(data.name) && data.name ? data.name : 'Scoring rules',
+      rules: data.rules.map(rule => ({
+        ...rule,
+        label: isText(rule.label) && rule.label ? rule.label : rule.id,
+        enabled: rule.enabled !== false,
+        strength: rule.strength || null
+      }))
+    },
+    error: null
+  };
+};
+
+export const DEFAULT_RULE_SET = parseRuleSet(defaultRuleSet).ruleSet;
+
+// Built-in rules follow the stroke type's rule list; a set's own rules
+// apply to every stroke type
+export const ruleApplies = (rule, strokeType) => (
+  rule.enabled && (!SCORING_RULES[rule.id] || strokeType.rules.includes(rule.id))
+);
+
+// Limit for the comparison's distance unit, or undefined when the rule has
+// none for it
+export const resolveLimit = (limit, distanceUnit) => (Number.isFinite(limit) ? limit : limit?.[distanceUnit]);
+
+const isBeyond = (value, comparison, limit) => (
+  Number.isFinite(limit) && (comparison === 'below' ? value < limit : value > limit)
+);
+
+const fillMessage = (template, reading, unitLabel) => template.replace(
+  /\{(abs|value|unit|trainee|pro|list|direction)\}/g,
+  (match, key) => {
+    if (key === 'abs') return Math.abs(reading.value).toFixed(0);
+    if (key === 'value') return reading.value.toFixed(0);
+    if (key === 'unit') return unitLabel;
+    return reading[key] ?? '';
+  }
+);
+
+// Phase a rule's fault happens in ({phase, label}), or null for the whole
+// stroke
+const findRulePhase = (rule, stats, strokeType) => {
+  if (rule.phase) return { phase: rule.phase, label: strokeType.phases.labels[rule.phase] || rule.phase };
+  const worst = rule.series ? findWorstPhase(stats.phaseScores, rule.series) : null;
+  return worst && { phase: worst.phase, label: worst.label };
+};
+
+// {priorities, strengths, scores} for the rules that apply and that the
+// clip has data for. Priorities carry the rule's id, the phase of the fault
+// and the rule's linked drill, if any.
+export const evaluateRules = (ruleSet, { stats, comparison, strokeType, unitLabel }) => {
+  const distanceUnit = stats.units.distance;
+  const priorities = [];
+  const strengths = [];
+  const scores = [];
+
+  ruleSet.rules.filter(rule => ruleApplies(rule, strokeType)).forEach(rule => {
+    const reading = VALUE_SOURCES[rule.value].read(stats, comparison, rule);
+    if (!reading || !Number.isFinite(reading.value)) return;
+
+    const threshold = rule.thresholds.find(entry => {
+      if (!isBeyond(reading.value, rule.comparison, resolveLimit(entry.limit, distanceUnit))) return false;
+      if (!entry.also) return true;
+      const other = VALUE_SOURCES[entry.also.value].read(stats, comparison, rule);
+      return Boolean(other) && isBeyond(other.value, entry.also.comparison, resolveLimit(entry.also.limit, distanceUnit));
+    });
+
+    if (threshold) {
+      priorities.push({
+        ruleId: rule.id,
+        severity: threshold.severity,
+        metric: rule.metric,
+        issue: fillMessage(threshold.issue, reading, unitLabel),
+        detail: fillMessage(threshold.detail, reading, unitLabel),
+        improvement: fillMessage(threshold.improvement, reading, unitLabel),
+        phase: findRulePhase(rule, stats, strokeType),
+        ...(rule.category && { category: rule.category }),
+        ...(rule.drill && { drill: rule.drill })
+      });
+      scores.push(threshold.score);
+      return;
+    }
+
+    const { strength } = rule;
+    const strengthLimit = strength && resolveLimit(strength.limit, distanceUnit);
+    const opposite = rule.comparison === 'below' ? 'above' : 'below';
+    if (strength && (strength.limit === undefined || isBeyond(reading.value, opposite, strengthLimit))) {
+      strengths.push({
+        metric: strength.metric || rule.metric,
+        achievement: fillMessage(strength.achievement, reading, unitLabel),
+        detail: fillMessage(strength.detail, reading, unitLabel)
+      });
+      scores.push(strength.score);
+      return;
+    }
+    scores.push(rule.otherwiseScore);
+  });
+
+  return { priorities, strengths, scores };
+};
+
+// Limit of a rule's mildest threshold for the distance unit (what it takes
+// to be flagged at all), or undefined when the set has no such rule
+export const mildestLimit = (ruleSet, ruleId, distanceUnit) => {
+  const rule = ruleSet.rules.find(entry => entry.id === ruleId && entry.enabled);
+  const threshold = rule?.thresholds[rule.thresholds.length - 1];
+  return threshold && resolveLimit(threshold.limit, distanceUnit);
+};
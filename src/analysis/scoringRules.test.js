@@ -0,0 +1,119 @@
+import { parseRuleSet, evaluateRules, mildestLimit, DEFAULT_RULE_SET, RULE_SET_VERSION } from './scoringRules';
+import { PHASE_BACKSWING } from './strokeEvents';
+
+const strokeType = { rules: [], phases: { labels: { [PHASE_BACKSWING]: 'Take-back' } } };
+
+const rotationRule = {
+  id: 'turn',
+  metric: 'Shoulder Turn',
+  value: 'peakRotation',
+  comparison: 'below',
+  phase: PHASE_BACKSWING,
+  thresholds: [
+    { limit: -20, severity: 'high', score: 40, issue: 'Turn {abs}° short', detail: '{trainee} vs {pro}', improvement: 'Turn more' },
+    { limit: -10, severity: 'medium', score: 70, issue: 'Turn a bit short', detail: '', improvement: 'Turn more' }
+  ],
+  strength: { limit: -5, score: 95, achievement: 'Full turn', detail: 'Within {abs}°' },
+  otherwiseScore: 85
+};
+
+const extensionRule = {
+  id: 'reach',
+  metric: 'Arm Extension',
+  value: 'peakExtension',
+  comparison: 'below',
+  thresholds: [
+    { limit: { cm: -10 }, severity: 'low', score: 60, issue: 'Short by {abs} {unit}', detail: '', improvement: 'Reach' }
+  ],
+  strength: null,
+  otherwiseScore: 90
+};
+
+const ruleSet = parseRuleSet({ version: RULE_SET_VERSION, name: 'Test', rules: [rotationRule, extensionRule] }).ruleSet;
+
+const evaluate = (stats, set = ruleSet) => evaluateRules(set, { stats, comparison: {}, strokeType, unitLabel: 'cm' });
+
+const stat = (trainee, pro) => ({ trainee: String(trainee), pro: String(pro), difference: String(trainee - pro) });
+
+test('parses the default rule set', () => {
+  expect(DEFAULT_RULE_SET.rules.length).toBeGreaterThan(0);
+  expect(DEFAULT_RULE_SET.rules.every(rule => rule.enabled)).toBe(true);
+});
+
+test('rejects rule sets it cannot use', () => {
+  expect(parseRuleSet([]).error).toBe('Expected a JSON object with version, name and rules.');
+  expect(parseRuleSet({ version: RULE_SET_VERSION + 1, rules: [rotationRule] }).error).toMatch(/Unsupported rule set version/);
+  expect(parseRuleSet({ version: 1, rules: [{ ...rotationRule, value: 'nope' }] }).error).toMatch(/reads unknown value "nope"/);
+  expect(parseRuleSet({ version: 1, rules: [rotationRule, rotationRule] }).error).toBe('Rule id "turn" is used more than once.');
+});
+
+test('fills in defaults', () => {
+  expect(ruleSet.name).toBe('Test');
+  expect(ruleSet.rules[0]).toMatchObject({ label: 'turn', enabled: true });
+});
+
+test('reports the worst threshold crossed as a priority', () => {
+  const { priorities, scores } = evaluate({ units: { distance: 'px' }, peakRotation: stat(40, 65) });
+  expect(priorities).toEqual([{
+    ruleId: 'turn',
+    severity: 'high',
+    metric: 'Shoulder Turn',
+    issue: 'Turn 25° short',
+    detail: '40 vs 65',
+    improvement: 'Turn more',
+    phase: { phase: PHASE_BACKSWING, label: 'Take-back' }
+  }]);
+  expect(scores).toEqual([40]);
+});
+
+test('reports a strength on the good side of its limit', () => {
+  const { priorities, strengths, scores } = evaluate({ units: { distance: 'px' }, peakRotation: stat(62, 65) });
+  expect(priorities).toEqual([]);
+  expect(strengths).toEqual([{ metric: 'Shoulder Turn', achievement: 'Full turn', detail: 'Within 3°' }]);
+  expect(scores).toEqual([95]);
+});
+
+test('scores between the thresholds and the strength with otherwiseScore', () => {
+  expect(evaluate({ units: { distance: 'px' }, peakRotation: stat(58, 65) }).scores).toEqual([85]);
+});
+
+test('uses the limit for the distance unit and skips rules without one', () => {
+  const stats = { peakExtension: stat(40, 55) };
+  expect(evaluate({ ...stats, units: { distance: 'cm' } }).priorities[0].issue).toBe('Short by 15 cm');
+  expect(evaluate({ ...stats, units: { distance: 'px' } })).toEqual({ priorities: [], strengths: [], scores: [90] });
+});
+
+test('leaves out rules the clip has no data for and disabled rules', () => {
+  const disabled = { ...ruleSet, rules: ruleSet.rules.map(rule => ({ ...rule, enabled: false })) };
+  expect(evaluate({ units: { distance: 'cm' } }).scores).toEqual([]);
+  expect(evaluate({ units: { distance: 'cm' }, peakRotation: stat(0, 65) }, disabled).scores).toEqual([]);
+});
+
+test('counts only kinetic-chain faults the reference does not share', () => {
+  const chainRule = {
+    id: 'chain',
+    metric: 'Kinetic Chain',
+    value: 'kineticChainOutOfOrder',
+    comparison: 'above',
+    thresholds: [{ limit: 0, severity: 'medium', score: 60, issue: 'Out of order: {list}', detail: '', improvement: '' }],
+    otherwiseScore: 90
+  };
+  const set = parseRuleSet({ version: 1, rules: [chainRule] }).ruleSet;
+  const chain = (outOfOrder) => ({ complete: true, outOfOrder });
+
+  const { priorities } = evaluate({
+    units: { distance: 'px' },
+    kineticChain: { pro: chain(['Shoulders before hips']), trainee: chain(['Shoulders before hips', 'Wrist before elbow']) }
+  }, set);
+  expect(priorities[0].issue).toBe('Out of order: wrist before elbow');
+
+  const incomplete = { pro: { complete: false, outOfOrder: [] }, trainee: chain(['Wrist before elbow']) };
+  expect(evaluate({ units: { distance: 'px' }, kineticChain: incomplete }, set).scores).toEqual([]);
+});
+
+test('finds the mildest limit of a rule', () => {
+  expect(mildestLimit(ruleSet, 'turn', 'px')).toBe(-10);
+  expect(mildestLimit(ruleSet, 'reach', 'cm')).toBe(-10);
+  expect(mildestLimit(ruleSet, 'reach', 'px')).toBeUndefined();
+  expect(mildestLimit(ruleSet, 'missing', 'px')).toBeUndefined();
+});
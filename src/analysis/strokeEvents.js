@@ -0,0 +1,116 @@
+// Stroke events and the phases between them. The anchors from the wrist-hip
+// curve bound the stroke; the events inside it come from the wrist itself:
+//
+//   forward swing - the last moment before the speed peak that the wrist is
+//                   still slow, i.e. where it starts accelerating at the ball
+//   contact       - the wrist passing the hitting-side (front) hip
+//                   horizontally during the forward swing ("hip-crossing"),
+//                   or the wrist speed peak when there is no crossing or it
+//                   is too far from the peak to be the hit ("speed-peak")
+//
+// Times are in whatever unit the series timestamps use (ms for captures,
+// stroke percent for the demo curves).
+
+import { findPeak } from './kinematics';
+
+export const PHASE_BACKSWING = 'Backswing';
+export const PHASE_FORWARD_SWING = 'Forward Swing';
+export const PHASE_CONTACT = 'Contact';
+export const PHASE_FOLLOW_THROUGH = 'Follow-through';
+
+export const PHASE_COLORS = {
+  [PHASE_BACKSWING]: '#82ca9d',
+  [PHASE_FORWARD_SWING]: '#ff7300',
+  [PHASE_CONTACT]: '#ff0000',
+  [PHASE_FOLLOW_THROUGH]: '#0088fe'
+};
+
+export const CONTACT_SPEED_PEAK = 'speed-peak';
+export const CONTACT_HIP_CROSSING = 'hip-crossing';
+// Set by a coach in the anchor editor
+export const CONTACT_MANUAL = 'manual';
+
+// The contact phase spans this long either side of the contact moment
+export const CONTACT_HALF_WINDOW_MS = 50;
+
+// A hip crossing further than this from the speed peak is not the hit
+const MAX_CROSSING_OFFSET_MS = 200;
+
+// The forward swing starts once the wrist is faster than this fraction of
+// its peak speed for good
+const FORWARD_SWING_SPEED_FRACTION = 0.25;
+
+// First time within [fromTime, toTime] that the signed wrist-minus-hip
+// horizontal offset changes sign, interpolated between samples
+const findHipCrossing = (offsets, fromTime, toTime) => {
+  const window = offsets.filter(point => point.timestamp >= fromTime && point.timestamp <= toTime);
+  for (let i = 1; i < window.length; i++) {
+    const before = window[i - 1];
+    const after = window[i];
+    if (before.value !== 0 && Math.sign(after.value) !== Math.sign(before.value)) {
+      const fraction = before.value / (before.value - after.value);
+      return before.timestamp + (after.timestamp - before.timestamp) * fraction;
+    }
+  }
+  return null;
+};
+
+// Contact moment within the forward swing, or null when the wrist speed
+// has no samples there
+export const detectContact = (wristSpeed, wristHipOffsets, fromTime, toTime) => {
+  const peak = findPeak(wristSpeed || [], fromTime, toTime);
+  if (!peak) return null;
+
+  const crossing = findHipCrossing(wristHipOffsets || [], fromTime, toTime);
+  if (crossing !== null && Math.abs(crossing - peak.timestamp) <= MAX_CROSSING_OFFSET_MS) {
+    return { time: crossing, method: CONTACT_HIP_CROSSING };
+  }
+  return { time: peak.timestamp, method: CONTACT_SPEED_PEAK };
+};
+
+// Events {start, forwardSwing, contact, contactMethod, end} within the
+// stroke bounds. forwardSwing and contact are null when the wrist speed has
+// no samples in the stroke.
+export const detectStrokeEvents = (wristSpeed, wristHipOffsets, start, end) => {
+  const events = { start, forwardSwing: null, contact: null, contactMethod: null, end };
+  const peak = findPeak(wristSpeed || [], start, end);
+  if (!peak) return events;
+
+  const slow = wristSpeed.filter(point => (
+    point.timestamp >= start &&
+    point.timestamp < peak.timestamp &&
+    point.value < FORWARD_SWING_SPEED_FRACTION * peak.value
+  ));
+  events.forwardSwing = slow.length ? slow[slow.length - 1].timestamp : start;
+
+  const contact = detectContact(wristSpeed, wristHipOffsets, events.forwardSwing, end);
+  events.contact = contact.time;
+  events.contactMethod = contact.method;
+  return events;
+};
+
+// Middle of the contact phase, as a stroke percentage (or in the phases'
+// own units), or null when there is no contact phase
+export const contactPercent = (phases) => {
+  const contact = phases.find(phase => phase.phase === PHASE_CONTACT);
+  return contact ? (contact.start + contact.end) / 2 : null;
+};
+
+// Phases from events {start, forwardSwing, contact, end}. Boundaries are
+// clamped so every phase keeps a non-negative length even when events
+// crowd together. `labels` renames phases for display (see strokeTypes.js).
+export const buildPhases = (events, contactHalfWindow = CONTACT_HALF_WINDOW_MS, labels = {}) => {
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+  const forwardSwing = clamp(events.forwardSwing, events.start, events.end);
+  const contact = clamp(events.contact, forwardSwing, events.end);
+  const contactStart = clamp(contact - contactHalfWindow, forwardSwing, contact);
+  const contactEnd = clamp(contact + contactHalfWindow, contact, events.end);
+
+  return [
+    { phase: PHASE_BACKSWING, start: events.start, end: forwardSwing },
+    { phase: PHASE_FORWARD_SWING, start: forwardSwing, end: contactStart },
+    { phase: PHASE_CONTACT, start: contactStart, end: contactEnd },
+    { phase: PHASE_FOLLOW_THROUGH, start: contactEnd, end: events.end }
+  ].map(phase => ({ ...phase, label: labels[phase.phase] || phase.phase, color: PHASE_COLORS[phase.phase] }));
+};
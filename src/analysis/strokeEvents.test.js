@@ -0,0 +1,59 @@
+import {
+  detectStrokeEvents,
+  detectContact,
+  buildPhases,
+  contactPercent,
+  PHASE_BACKSWING,
+  PHASE_FORWARD_SWING,
+  PHASE_CONTACT,
+  PHASE_FOLLOW_THROUGH,
+  CONTACT_HIP_CROSSING,
+  CONTACT_SPEED_PEAK
+} from './strokeEvents';
+
+// Every 10 ms from 0 to 1000 ms
+const series = (fn) => Array.from({ length: 101 }, (_, index) => ({ timestamp: index * 10, value: fn(index * 10) }));
+
+// Wrist speed peaking at 600 ms
+const wristSpeed = series(t => 100 * Math.exp(-Math.pow((t - 600) / 120, 2)));
+
+test('finds the forward swing and contact at the hip crossing', () => {
+  const offsets = series(t => t - 580);
+  const events = detectStrokeEvents(wristSpeed, offsets, 0, 1000);
+  expect(events.forwardSwing).toBe(450);
+  expect(events.contact).toBeCloseTo(580);
+  expect(events.contactMethod).toBe(CONTACT_HIP_CROSSING);
+});
+
+test('falls back to the speed peak when the crossing is far from it', () => {
+  const offsets = series(t => t - 150);
+  expect(detectContact(wristSpeed, offsets, 0, 1000)).toEqual({ time: 600, method: CONTACT_SPEED_PEAK });
+  expect(detectContact(wristSpeed, [], 0, 1000)).toEqual({ time: 600, method: CONTACT_SPEED_PEAK });
+});
+
+test('leaves the events empty without wrist speed in the stroke', () => {
+  expect(detectStrokeEvents([], [], 0, 1000)).toEqual({
+    start: 0,
+    forwardSwing: null,
+    contact: null,
+    contactMethod: null,
+    end: 1000
+  });
+});
+
+test('builds the four phases around the contact window', () => {
+  const phases = buildPhases({ start: 0, forwardSwing: 400, contact: 600, end: 1000 }, 50, { [PHASE_BACKSWING]: 'Take-back' });
+  expect(phases.map(({ phase, label, start, end }) => ({ phase, label, start, end }))).toEqual([
+    { phase: PHASE_BACKSWING, label: 'Take-back', start: 0, end: 400 },
+    { phase: PHASE_FORWARD_SWING, label: PHASE_FORWARD_SWING, start: 400, end: 550 },
+    { phase: PHASE_CONTACT, label: PHASE_CONTACT, start: 550, end: 650 },
+    { phase: PHASE_FOLLOW_THROUGH, label: PHASE_FOLLOW_THROUGH, start: 650, end: 1000 }
+  ]);
+  expect(contactPercent(phases)).toBe(600);
+});
+
+test('keeps every phase non-negative when events crowd together', () => {
+  const phases = buildPhases({ start: 0, forwardSwing: 980, contact: 990, end: 1000 }, 50);
+  phases.forEach(phase => expect(phase.end).toBeGreaterThanOrEqual(phase.start));
+  expect(contactPercent([])).toBeNull();
+});
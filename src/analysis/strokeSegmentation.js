@@ -0,0 +1,157 @@
+// Splits a long recording (a drill session) into single strokes. Strokes
+// are found from the wrist's speed relative to the hitting-side hip, in arm
+// lengths per second: walking and ready-position bouncing move the wrist
+// and hip together, so they barely register, while a swing whips the wrist
+// past the hip. Each fast burst becomes a candidate; it is kept as a stroke
+// only if the wrist also travels far enough sideways to be a swing.
+//
+// Works on the metric series from extractMetrics (wristHip, wristHipOffset,
+// armExtension) and the relative capture times of every frame. The speed and
+// travel thresholds default to a drive; slower strokes pass their own.
+
+import { computeWristKinematics } from './kinematics';
+import { median } from './mathUtils';
+
+// Captures shorter than this are single-stroke clips and analyzed whole
+export const MIN_SESSION_MS = 10000;
+
+export const SEGMENT_TRUNCATED = 'truncated';
+export const SEGMENT_CROWDED = 'crowded';
+export const SEGMENT_GAPS = 'gaps';
+export const SEGMENT_NO_CROSSING = 'no-crossing';
+export const SEGMENT_WEAK = 'weak';
+
+export const SEGMENT_FLAG_LABELS = {
+  [SEGMENT_TRUNCATED]: 'Cut off by the start or end of the recording',
+  [SEGMENT_CROWDED]: 'Runs into the next stroke',
+  [SEGMENT_GAPS]: 'Wrist or hip missing in many frames',
+  [SEGMENT_NO_CROSSING]: 'Wrist never passes the hip',
+  [SEGMENT_WEAK]: 'Much slower than the other strokes'
+};
+
+// A burst faster than this (arm lengths per second) may be a stroke
+const DEFAULT_STROKE_SPEED = 4;
+
+// Bursts closer together than this are one stroke
+const MIN_STROKE_GAP_MS = 800;
+
+// Horizontal wrist travel (arm lengths) around the burst that makes a swing
+const DEFAULT_MIN_TRAVEL = 1;
+const TRAVEL_BEFORE_MS = 500;
+const TRAVEL_AFTER_MS = 300;
+
+// Window kept around the speed peak: the backswing before it is long and
+// slow, the follow-through after it short
+const LEAD_MS = 1200;
+const LAG_MS = 800;
+
+// Pose coverage below this fraction of the frames in a window is flagged
+const MIN_COVERAGE = 0.8;
+
+// A stroke slower than this fraction of the session's median peak is flagged
+const WEAK_FRACTION = 0.6;
+
+// Points in each wrist-hip thumbnail
+const THUMBNAIL_POINTS = 40;
+
+// Runs of samples above the stroke speed, each reduced to its fastest
+// sample; runs separated by less than the stroke gap are merged
+const findBursts = (speed, strokeSpeed) => {
+  const bursts = [];
+  speed.forEach(point => {
+    if (point.value < strokeSpeed) return;
+    const last = bursts[bursts.length - 1];
+    if (last && point.timestamp - last.lastMs < MIN_STROKE_GAP_MS) {
+      last.lastMs = point.timestamp;
+      if (point.value > last.peak.value) last.peak = point;
+    } else {
+      bursts.push({ peak: point, lastMs: point.timestamp });
+    }
+  });
+  return bursts.map(burst => burst.peak);
+};
+
+const within = (series, fromMs, toMs) => series.filter(point => point.timestamp >= fromMs && point.timestamp <= toMs);
+
+const downsample = (values, count) => {
+  if (values.length <= count) return values;
+  return Array.from({ length: count }, (_, index) => values[Math.round((index * (values.length - 1)) / (count - 1))]);
+};
+
+// Returns {strokes, discarded}. Strokes are in time order:
+// {index, startMs, endMs, peakMs, peakSpeed, thumbnail, flags}, with times
+// relative to the first frame. Returns null when the arm length can't be
+// measured, since every threshold is in arm lengths.
+export const segmentStrokes = (metrics, times, options = {}) => {
+  const { strokeSpeed = DEFAULT_STROKE_SPEED, minTravel = DEFAULT_MIN_TRAVEL } = options;
+  if (!metrics.armExtension.length || metrics.wristHip.length < 3) return null;
+  const armLength = median(metrics.armExtension.map(point => point.value));
+  if (!(armLength > 0)) return null;
+
+  // wristHip and wristHipOffset are recorded for the same frames
+  const samples = metrics.wristHip.map((point, index) => ({
+    frameId: point.frameId,
+    timestamp: point.timestamp,
+    x: metrics.wristHipOffset[index].value / armLength,
+    y: point.value / armLength,
+    playerType: point.playerType
+  }));
+  const { speed } = computeWristKinematics(samples);
+  const offsets = samples.map(sample => ({ timestamp: sample.timestamp, value: sample.x }));
+
+  const bursts = findBursts(speed, strokeSpeed);
+  const swings = bursts.filter(peak => {
+    const travel = within(offsets, peak.timestamp - TRAVEL_BEFORE_MS, peak.timestamp + TRAVEL_AFTER_MS)
+      .map(point => point.value);
+    return travel.length > 1 && Math.max(...travel) - Math.min(...travel) >= minTravel;
+  });
+
+  const recordingEnd = times[times.length - 1];
+  const frameInterval = recordingEnd / Math.max(1, times.length - 1);
+  const typicalPeak = swings.length ? median(swings.map(peak => peak.value)) : 0;
+
+  const strokes = swings.map((peak, index) => {
+    const flags = [];
+
+    // Windows never overlap: a close neighbour cuts at the midpoint
+    let startMs = peak.timestamp - LEAD_MS;
+    let endMs = peak.timestamp + LAG_MS;
+    const previous = swings[index - 1];
+    const next = swings[index + 1];
+    if (previous && startMs < (previous.timestamp + peak.timestamp) / 2) {
+      startMs = (previous.timestamp + peak.timestamp) / 2;
+      flags.push(SEGMENT_CROWDED);
+    }
+    if (next && endMs > (peak.timestamp + next.timestamp) / 2) {
+      endMs = (peak.timestamp + next.timestamp) / 2;
+      if (!flags.includes(SEGMENT_CROWDED)) flags.push(SEGMENT_CROWDED);
+    }
+    if (startMs < 0 || endMs > recordingEnd) {
+      startMs = Math.max(0, startMs);
+      endMs = Math.min(recordingEnd, endMs);
+      flags.push(SEGMENT_TRUNCATED);
+    }
+
+    const wristHip = within(metrics.wristHip, startMs, endMs);
+    const expectedFrames = (endMs - startMs) / frameInterval + 1;
+    if (wristHip.length < MIN_COVERAGE * expectedFrames) flags.push(SEGMENT_GAPS);
+
+    const windowOffsets = within(offsets, startMs, endMs);
+    const crosses = windowOffsets.some((point, i) => i > 0 && Math.sign(point.value) !== Math.sign(windowOffsets[i - 1].value));
+    if (!crosses) flags.push(SEGMENT_NO_CROSSING);
+
+    if (peak.value < WEAK_FRACTION * typicalPeak) flags.push(SEGMENT_WEAK);
+
+    return {
+      index,
+      startMs,
+      endMs,
+      peakMs: peak.timestamp,
+      peakSpeed: peak.value,
+      thumbnail: downsample(wristHip.map(point => point.value), THUMBNAIL_POINTS),
+      flags
+    };
+  });
+
+  return { strokes, discarded: bursts.length - swings.length };
+};
@@ -0,0 +1,82 @@
+import { segmentStrokes, SEGMENT_TRUNCATED, SEGMENT_WEAK, SEGMENT_NO_CROSSING } from './strokeSegmentation';
+
+const FRAME_MS = 1000 / 30;
+const ARM_PX = 100;
+
+// Wrist-minus-hip offset (arm lengths) added by a swing: a quick sweep of
+// `span` in `sweepMs` centred on `atMs`, then a slow recovery
+const swingOffset = (t, { atMs, span, sweepMs }) => {
+  const sweepStart = atMs - sweepMs / 2;
+  const sweepEnd = atMs + sweepMs / 2;
+  if (t < sweepStart || t > sweepEnd + 2000) return 0;
+  if (t <= sweepEnd) return span * (1 - Math.cos((Math.PI * (t - sweepStart)) / sweepMs)) / 2;
+  return span - span * (t - sweepEnd) / 2000;
+};
+
+// A session of `durationMs` with the given swings from a resting offset of
+// `baseline` and, optionally, a fast vertical flick of the wrist that
+// doesn't travel sideways
+const session = (durationMs, swings, { baseline = -0.5, flickMs = null } = {}) => {
+  const times = [];
+  for (let t = 0; t <= durationMs; t += FRAME_MS) times.push(t);
+
+  const point = (timestamp, value) => ({ frameId: times.indexOf(timestamp), timestamp, value, playerType: 'trainee' });
+  const offsetAt = (t) => swings.reduce((offset, swing) => offset + swingOffset(t, swing), baseline);
+  const heightAt = (t) => (flickMs !== null && Math.abs(t - flickMs) < 150 ? 0.6 * Math.sin((Math.PI * (t - flickMs + 150)) / 150) : 0);
+
+  return {
+    times,
+    metrics: {
+      armExtension: times.map(t => point(t, ARM_PX)),
+      wristHip: times.map(t => point(t, 50 + ARM_PX * heightAt(t))),
+      wristHipOffset: times.map(t => point(t, ARM_PX * offsetAt(t)))
+    }
+  };
+};
+
+test('returns null without an arm length', () => {
+  expect(segmentStrokes({ armExtension: [], wristHip: [], wristHipOffset: [] }, [])).toBeNull();
+});
+
+test('finds each swing and discards a burst that does not travel', () => {
+  const { metrics, times } = session(18000, [
+    { atMs: 6000, span: 2.5, sweepMs: 250 },
+    { atMs: 12000, span: 2.5, sweepMs: 250 }
+  ], { flickMs: 9000 });
+
+  const { strokes, discarded } = segmentStrokes(metrics, times);
+  expect(discarded).toBe(1);
+  expect(strokes.map(stroke => Math.round(stroke.peakMs / 100) * 100)).toEqual([6000, 12000]);
+  strokes.forEach(stroke => {
+    expect(stroke.endMs - stroke.startMs).toBeCloseTo(2000, -1);
+    expect(stroke.flags).toEqual([]);
+    expect(stroke.thumbnail).toHaveLength(40);
+  });
+});
+
+test('flags a stroke cut off by the start of the recording', () => {
+  const { metrics, times } = session(12000, [
+    { atMs: 700, span: 2.5, sweepMs: 250 },
+    { atMs: 6000, span: 2.5, sweepMs: 250 }
+  ]);
+
+  const { strokes } = segmentStrokes(metrics, times);
+  expect(strokes[0].flags).toEqual([SEGMENT_TRUNCATED]);
+  expect(strokes[0].startMs).toBe(0);
+  expect(strokes[1].flags).toEqual([]);
+});
+
+test('flags weak strokes and strokes that never cross the hip', () => {
+  const { metrics, times } = session(18000, [
+    { atMs: 3000, span: 2.5, sweepMs: 250 },
+    { atMs: 9000, span: 2.5, sweepMs: 250 },
+    { atMs: 15000, span: 1.2, sweepMs: 250 }
+  ], { baseline: 0.2 });
+
+  const { strokes } = segmentStrokes(metrics, times);
+  expect(strokes.map(stroke => stroke.flags)).toEqual([
+    [SEGMENT_NO_CROSSING],
+    [SEGMENT_NO_CROSSING],
+    [SEGMENT_NO_CROSSING, SEGMENT_WEAK]
+  ]);
+});
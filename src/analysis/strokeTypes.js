@@ -0,0 +1,180 @@
+// Stroke-type registry. Each type says what it is compared against and how:
+//
+//   reference    - bundled pro recording ({player, frames}), or null when
+//                  there is none for the type yet
+//   metrics      - comparison series worth charting and aligning on
+//   phases       - display names for the four event-bounded phases, plus
+//                  the contact window half-width
+//   rules        - ids of the built-in scoring rules (see SCORING_RULES and
+//                  analysis/scoringRules) that apply
+//   segmentation - how fast and far the wrist must move to count as one of
+//                  these strokes in a session recording
+//
+// Phases keep their canonical ids (PHASE_*) everywhere; only the labels
+// change, so timing, consistency and scoring code work for every type.
+
+import backhandDriveReference from '../data/pickle_backhand_baseline_drive_pro.json';
+import {
+  PHASE_BACKSWING,
+  PHASE_FORWARD_SWING,
+  PHASE_CONTACT,
+  PHASE_FOLLOW_THROUGH,
+  CONTACT_HALF_WINDOW_MS
+} from './strokeEvents';
+
+export const STROKE_FOREHAND_DRIVE = 'forehand-drive';
+export const STROKE_BACKHAND_DRIVE = 'backhand-drive';
+export const STROKE_DINK = 'dink';
+export const STROKE_VOLLEY = 'volley';
+export const STROKE_SERVE = 'serve';
+export const STROKE_THIRD_SHOT_DROP = 'third-shot-drop';
+
+export const DEFAULT_STROKE_TYPE = STROKE_BACKHAND_DRIVE;
+
+export const SCORING_RULES = {
+  shoulderRotation: 'Shoulder rotation',
+  xFactor: 'Hip-shoulder separation',
+  wristDrop: 'Wrist drop',
+  weightTransfer: 'Weight transfer',
+  armExtension: 'Arm extension',
+  strokeTiming: 'Stroke timing',
+  wristSpeed: 'Wrist speed',
+  speedTiming: 'Speed peak timing',
+  kineticChain: 'Kinetic chain',
+  elbow: 'Elbow at contact',
+  kneeBend: 'Knee bend',
+  trunkLean: 'Trunk lean',
+  forearmAngle: 'Forearm angle',
+  rotationTiming: 'Shoulder turn timing',
+  extensionTiming: 'Extension timing',
+  weightTransferTiming: 'Weight transfer timing',
+  swingPath: 'Swing path'
+};
+
+const ALL_METRICS = [
+  'wristHip',
+  'shoulderRotation',
+  'hipRotation',
+  'xFactor',
+  'weightTransfer',
+  'armExtension',
+  'wristSpeed',
+  'wristAcceleration',
+  'elbowFlexion',
+  'hittingKneeFlexion',
+  'offKneeFlexion',
+  'trunkLean',
+  'forearmAngle'
+];
+
+const STANDARD_PHASES = {
+  labels: {
+    [PHASE_BACKSWING]: 'Backswing',
+    [PHASE_FORWARD_SWING]: 'Forward Swing',
+    [PHASE_CONTACT]: 'Contact',
+    [PHASE_FOLLOW_THROUGH]: 'Follow-through'
+  },
+  contactHalfWindowMs: CONTACT_HALF_WINDOW_MS
+};
+
+const DRIVE_SEGMENTATION = { strokeSpeed: 4, minTravel: 1 };
+
+export const STROKE_TYPES = {
+  [STROKE_FOREHAND_DRIVE]: {
+    label: 'Forehand drive',
+    reference: null,
+    metrics: ALL_METRICS,
+    phases: STANDARD_PHASES,
+    rules: Object.keys(SCORING_RULES),
+    segmentation: DRIVE_SEGMENTATION
+  },
+  [STROKE_BACKHAND_DRIVE]: {
+    label: 'Backhand drive',
+    reference: { player: 'Marek', frames: backhandDriveReference },
+    metrics: ALL_METRICS,
+    phases: STANDARD_PHASES,
+    rules: Object.keys(SCORING_RULES),
+    segmentation: DRIVE_SEGMENTATION
+  },
+  [STROKE_DINK]: {
+    label: 'Dink',
+    reference: null,
+    metrics: ['wristHip', 'weightTransfer', 'armExtension', 'wristSpeed', 'elbowFlexion', 'hittingKneeFlexion', 'offKneeFlexion', 'trunkLean', 'forearmAngle'],
+    phases: {
+      ...STANDARD_PHASES,
+      labels: { ...STANDARD_PHASES.labels, [PHASE_BACKSWING]: 'Set', [PHASE_FORWARD_SWING]: 'Push', [PHASE_FOLLOW_THROUGH]: 'Lift' }
+    },
+    rules: ['armExtension', 'strokeTiming', 'elbow', 'kneeBend', 'trunkLean', 'forearmAngle', 'extensionTiming', 'swingPath'],
+    segmentation: { strokeSpeed: 2, minTravel: 0.5 }
+  },
+  [STROKE_VOLLEY]: {
+    label: 'Volley',
+    reference: null,
+    metrics: ['wristHip', 'shoulderRotation', 'armExtension', 'wristSpeed', 'wristAcceleration', 'elbowFlexion', 'hittingKneeFlexion', 'trunkLean', 'forearmAngle'],
+    phases: {
+      ...STANDARD_PHASES,
+      labels: { ...STANDARD_PHASES.labels, [PHASE_BACKSWING]: 'Set', [PHASE_FORWARD_SWING]: 'Punch', [PHASE_FOLLOW_THROUGH]: 'Recover' }
+    },
+    rules: [
+      'shoulderRotation',
+      'armExtension',
+      'strokeTiming',
+      'elbow',
+      'kneeBend',
+      'trunkLean',
+      'forearmAngle',
+      'rotationTiming',
+      'extensionTiming',
+      'swingPath'
+    ],
+    segmentation: { strokeSpeed: 3, minTravel: 0.6 }
+  },
+  [STROKE_SERVE]: {
+    label: 'Serve',
+    reference: null,
+    metrics: ['wristHip', 'shoulderRotation', 'hipRotation', 'xFactor', 'weightTransfer', 'armExtension', 'wristSpeed', 'wristAcceleration', 'elbowFlexion', 'hittingKneeFlexion', 'offKneeFlexion', 'trunkLean'],
+    phases: STANDARD_PHASES,
+    rules: [
+      'shoulderRotation',
+      'xFactor',
+      'weightTransfer',
+      'armExtension',
+      'strokeTiming',
+      'wristSpeed',
+      'speedTiming',
+      'kineticChain',
+      'kneeBend',
+      'trunkLean',
+      'rotationTiming',
+      'extensionTiming',
+      'weightTransferTiming',
+      'swingPath'
+    ],
+    segmentation: DRIVE_SEGMENTATION
+  },
+  [STROKE_THIRD_SHOT_DROP]: {
+    label: 'Third-shot drop',
+    reference: null,
+    metrics: ['wristHip', 'shoulderRotation', 'weightTransfer', 'armExtension', 'wristSpeed', 'elbowFlexion', 'hittingKneeFlexion', 'offKneeFlexion', 'trunkLean', 'forearmAngle'],
+    phases: {
+      ...STANDARD_PHASES,
+      labels: { ...STANDARD_PHASES.labels, [PHASE_FOLLOW_THROUGH]: 'Lift' }
+    },
+    rules: [
+      'wristDrop',
+      'weightTransfer',
+      'armExtension',
+      'strokeTiming',
+      'elbow',
+      'kneeBend',
+      'trunkLean',
+      'forearmAngle',
+      'extensionTiming',
+      'weightTransferTiming',
+      'swingPath'
+    ],
+    segmentation: { strokeSpeed: 2.5, minTravel: 0.8 }
+  }
+};
+
+export const getStrokeType = (id) => STROKE_TYPES[id] || STROKE_TYPES[DEFAULT_STROKE_TYPE];
@@ -0,0 +1,43 @@
+// The single-number stats of statsComparison ({pro, trainee, difference}),
+// where they live and how they are shown, plus re-judging one of them
+// against a range of good values instead of a single pro value. Composite
+// references and skill-level benchmarks both judge stats this way.
+
+// Stroke duration is in seconds but its difference in ms; distances are in
+// the comparison's distance units
+export const SUMMARY_STATS = [
+  { key: 'strokeDuration', label: 'Stroke duration', path: ['strokeDuration'], digits: 2, differenceScale: 1000, differenceDigits: 0 },
+  { key: 'tempo', label: 'Tempo', path: ['tempo'], digits: 2 },
+  { key: 'peakRotation', label: 'Peak rotation', path: ['peakRotation'], digits: 1 },
+  { key: 'peakXFactor', label: 'Peak X-factor', path: ['peakXFactor'], digits: 1 },
+  { key: 'peakExtension', label: 'Max extension', path: ['peakExtension'], digits: 1, distance: true },
+  { key: 'wristDrop', label: 'Wrist drop', path: ['wristDrop'], digits: 1, distance: true },
+  { key: 'peakWristSpeed', label: 'Peak wrist speed', path: ['wristSpeed', 'peak'], digits: 1, distance: true },
+  { key: 'speedTiming', label: 'Speed peak vs contact', path: ['wristSpeed', 'peakTiming'], digits: 0 }
+];
+
+export const readStat = (stats, entry) => entry.path.reduce((value, key) => value?.[key], stats);
+
+// Copy of stats with one stat judged against center ± tolerance: only what
+// lies outside the range counts as a difference. `reference` names what the
+// center is when it isn't the pro reference (a skill level, say).
+export const judgeAgainstRange = (stats, entry, center, tolerance, reference = null) => {
+  const stat = readStat(stats, entry);
+  if (!stat) return stats;
+
+  const { digits, differenceScale = 1, differenceDigits = digits } = entry;
+  const gap = parseFloat(stat.trainee) - center;
+  const beyond = Math.abs(gap) > tolerance ? gap - Math.sign(gap) * tolerance : 0;
+  const judged = {
+    pro: center.toFixed(digits),
+    trainee: stat.trainee,
+    difference: (beyond * differenceScale).toFixed(differenceDigits),
+    tolerance: tolerance.toFixed(digits)
+  };
+  if (reference) judged.reference = reference;
+
+  const [first, second] = entry.path;
+  return second
+    ? { ...stats, [first]: { ...stats[first], [second]: judged } }
+    : { ...stats, [first]: judged };
+};
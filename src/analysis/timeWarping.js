@@ -0,0 +1,148 @@
+// Stroke alignment between the trainee and the pro. Both strokes are first
+// resampled to the same number of points between their anchors; then either
+//
+//   linear - trainee percent = pro percent (the original behaviour)
+//   dtw    - dynamic time warping over several metrics at once, so a short
+//            backswing followed by a long forward swing still lines up
+//            phase against phase
+//
+// The result is a warping path of {proPercent, traineePercent} pairs that
+// maps any point of the pro stroke to the matching point of the trainee's.
+
+export const ALIGNMENT_LINEAR = 'linear';
+export const ALIGNMENT_DTW = 'dtw';
+
+export const ALIGNMENT_LABELS = {
+  [ALIGNMENT_DTW]: 'Dynamic time warping',
+  [ALIGNMENT_LINEAR]: 'Linear (anchor to anchor)'
+};
+
+// Points per resampled stroke (one per percent)
+export const ALIGNMENT_SAMPLES = 101;
+
+// Sakoe-Chiba band: the path may not stray more than this fraction of the
+// stroke from the diagonal, which stops it folding a whole phase into a point
+const BAND_FRACTION = 0.2;
+
+// Per-sequence z-score so metrics in px, degrees and px/s weigh the same
+// and body size or camera distance doesn't matter
+const zNormalize = (values) => {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+  return values.map(v => (std > 0 ? (v - mean) / std : 0));
+};
+
+// features: { metricKey: [value per sample] } for each player. Only metrics
+// both players have are used.
+const toVectors = (proFeatures, traineeFeatures) => {
+  const keys = Object.keys(proFeatures).filter(key => (
+    traineeFeatures[key] &&
+    proFeatures[key].every(v => v !== null) &&
+    traineeFeatures[key].every(v => v !== null)
+  ));
+  const pro = keys.map(key => zNormalize(proFeatures[key]));
+  const trainee = keys.map(key => zNormalize(traineeFeatures[key]));
+  return { keys, pro, trainee };
+};
+
+// Classic DTW with a symmetric step pattern inside the band. Returns the
+// path as [proIndex, traineeIndex] pairs from start to end.
+const dynamicTimeWarp = (pro, trainee, length) => {
+  const band = Math.max(1, Math.round(BAND_FRACTION * length));
+  const cost = Array.from({ length }, () => new Array(length).fill(Infinity));
+
+  const distance = (i, j) => {
+    let sum = 0;
+    for (let k = 0; k < pro.length; k++) {
+      const d = pro[k][i] - trainee[k][j];
+      sum += d * d;
+    }
+    return Math.sqrt(sum);
+  };
+
+  for (let i = 0; i < length; i++) {
+    for (let j = Math.max(0, i - band); j <= Math.min(length - 1, i + band); j++) {
+      const previous = i === 0 && j === 0 ? 0 : Math.min(
+        i > 0 ? cost[i - 1][j] : Infinity,
+        j > 0 ? cost[i][j - 1] : Infinity,
+        i > 0 && j > 0 ? cost[i - 1][j - 1] : Infinity
+      );
+      cost[i][j] = distance(i, j) + previous;
+    }
+  }
+
+  const path = [[length - 1, length - 1]];
+  let i = length - 1;
+  let j = length - 1;
+  while (i > 0 || j > 0) {
+    const options = [
+      i > 0 && j > 0 ? [cost[i - 1][j - 1], i - 1, j - 1] : null,
+      i > 0 ? [cost[i - 1][j], i - 1, j] : null,
+      j > 0 ? [cost[i][j - 1], i, j - 1] : null
+    ].filter(Boolean);
+    const [, nextI, nextJ] = options.reduce((best, option) => (option[0] < best[0] ? option : best));
+    i = nextI;
+    j = nextJ;
+    path.unshift([i, j]);
+  }
+  return path;
+};
+
+const linearPath = (length) => Array.from({ length }, (_, index) => {
+  const percent = (index * 100) / (length - 1);
+  return { proPercent: percent, traineePercent: percent };
+});
+
+// Builds the warping path from features sampled at ALIGNMENT_SAMPLES evenly
+// spaced stroke percentages. Falls back to linear when DTW has nothing to
+// work with. Several trainee points matched to one pro point are averaged,
+// which keeps the mapping monotonic.
+export const buildAlignment = (mode, proFeatures, traineeFeatures) => {
+  const length = ALIGNMENT_SAMPLES;
+  if (mode !== ALIGNMENT_DTW) {
+    return { mode: ALIGNMENT_LINEAR, metrics: [], path: linearPath(length) };
+  }
+
+  const { keys, pro, trainee } = toVectors(proFeatures, traineeFeatures);
+  if (!keys.length) {
+    return { mode: ALIGNMENT_LINEAR, metrics: [], path: linearPath(length) };
+  }
+
+  const matches = Array.from({ length }, () => []);
+  dynamicTimeWarp(pro, trainee, length).forEach(([i, j]) => matches[i].push(j));
+
+  const path = matches.map((js, i) => ({
+    proPercent: (i * 100) / (length - 1),
+    traineePercent: (js.reduce((sum, j) => sum + j, 0) / js.length) * 100 / (length - 1)
+  }));
+  return { mode: ALIGNMENT_DTW, metrics: keys, path };
+};
+
+// Trainee stroke percent matching a pro stroke percent
+export const warpPercent = (alignment, proPercent) => {
+  const { path } = alignment;
+  const position = (proPercent / 100) * (path.length - 1);
+  const floorIndex = Math.max(0, Math.min(path.length - 1, Math.floor(position)));
+  const ceilIndex = Math.min(path.length - 1, floorIndex + 1);
+  const fraction = position - floorIndex;
+  return path[floorIndex].traineePercent +
+    (path[ceilIndex].traineePercent - path[floorIndex].traineePercent) * fraction;
+};
+
+// Pro stroke percent matching a trainee stroke percent (inverse of
+// warpPercent; the path never decreases, so the first crossing is used)
+export const unwarpPercent = (alignment, traineePercent) => {
+  const { path } = alignment;
+  if (traineePercent <= path[0].traineePercent) return path[0].proPercent;
+
+  for (let i = 1; i < path.length; i++) {
+    const before = path[i - 1];
+    const after = path[i];
+    if (after.traineePercent >= traineePercent) {
+      const span = after.traineePercent - before.traineePercent;
+      const fraction = span > 0 ? (traineePercent - before.traineePercent) / span : 0;
+      return before.proPercent + (after.proPercent - before.proPercent) * fraction;
+    }
+  }
+  return path[path.length - 1].proPercent;
+};
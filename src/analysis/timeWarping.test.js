@@ -0,0 +1,40 @@
+import { buildAlignment, warpPercent, unwarpPercent, ALIGNMENT_DTW, ALIGNMENT_LINEAR, ALIGNMENT_SAMPLES } from './timeWarping';
+
+const sample = (fn) => Array.from({ length: ALIGNMENT_SAMPLES }, (_, index) => fn(index / (ALIGNMENT_SAMPLES - 1)));
+
+// A bump peaking at `peak` (0-1)
+const bump = (peak) => sample(t => Math.exp(-Math.pow((t - peak) / 0.1, 2)));
+
+test('linear alignment maps each percent onto itself', () => {
+  const alignment = buildAlignment(ALIGNMENT_LINEAR, {}, {});
+  expect(alignment.mode).toBe(ALIGNMENT_LINEAR);
+  expect(warpPercent(alignment, 37.5)).toBeCloseTo(37.5);
+  expect(unwarpPercent(alignment, 80)).toBeCloseTo(80);
+});
+
+test('falls back to linear without shared complete features', () => {
+  const alignment = buildAlignment(ALIGNMENT_DTW, { wristSpeed: bump(0.5) }, { wristSpeed: [null, ...bump(0.5).slice(1)] });
+  expect(alignment.mode).toBe(ALIGNMENT_LINEAR);
+  expect(alignment.metrics).toEqual([]);
+});
+
+test('matches a late peak to the reference peak', () => {
+  const alignment = buildAlignment(
+    ALIGNMENT_DTW,
+    { wristSpeed: bump(0.5), armExtension: bump(0.5) },
+    { wristSpeed: bump(0.6), armExtension: bump(0.6), shoulderRotation: bump(0.6) }
+  );
+  expect(alignment.mode).toBe(ALIGNMENT_DTW);
+  expect(alignment.metrics).toEqual(['wristSpeed', 'armExtension']);
+  expect(warpPercent(alignment, 50)).toBeCloseTo(60, 0);
+  expect(unwarpPercent(alignment, 60)).toBeCloseTo(50, 0);
+});
+
+test('keeps the path monotonic', () => {
+  const alignment = buildAlignment(ALIGNMENT_DTW, { wristSpeed: bump(0.3) }, { wristSpeed: bump(0.45) });
+  const { path } = alignment;
+  expect(path).toHaveLength(ALIGNMENT_SAMPLES);
+  path.slice(1).forEach((point, index) => {
+    expect(point.traineePercent).toBeGreaterThanOrEqual(path[index].traineePercent);
+  });
+});
@@ -0,0 +1,72 @@
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { ALIGNMENT_LABELS } from '../analysis/timeWarping';
+
+// Phase-by-phase timing plus the warping path (pro stroke % against the
+// matching trainee stroke %). A path on the diagonal means identical timing;
+// above it the trainee reaches that point later in their stroke.
+const AlignmentCard = ({ alignment, phaseTiming, proLabel = 'Pro', traineeLabel = 'You' }) => {
+  const traineeAxisLabel = traineeLabel === 'You' ? 'Your stroke (%)' : `${traineeLabel}'s stroke (%)`;
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow mb-6">
+      <h2 className="text-xl font-semibold mb-1">Phase Timing</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Aligned with {ALIGNMENT_LABELS[alignment.mode].toLowerCase()}
+        {alignment.metrics.length > 0 && ` on ${alignment.metrics.length} metrics`}.
+      </p>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <table className="w-full text-sm self-start">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1">Phase</th>
+              <th className="py-1">{proLabel}</th>
+              <th className="py-1">{traineeLabel}</th>
+              <th className="py-1">Difference</th>
+            </tr>
+          </thead>
+          <tbody>
+            {phaseTiming.map(phase => (
+              <tr key={phase.phase} className="border-t">
+                <td className="py-1 font-medium">{phase.label || phase.phase}</td>
+                <td className="py-1">{phase.pro}ms</td>
+                <td className="py-1">{phase.trainee}ms</td>
+                <td className={`py-1 ${Math.abs(parseFloat(phase.difference)) > 100 ? 'text-red-600' : 'text-green-600'}`}>
+                  {parseFloat(phase.difference) > 0 ? '+' : ''}{phase.difference}ms
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="h-56">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={alignment.path} margin={{ top: 5, right: 20, left: 10, bottom: 15 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                dataKey="proPercent"
+                type="number"
+                domain={[0, 100]}
+                label={{ value: `${proLabel} stroke (%)`, position: 'insideBottom', offset: -10 }}
+              />
+              <YAxis
+                domain={[0, 100]}
+                label={{ value: traineeAxisLabel, angle: -90, position: 'insideLeft' }}
+              />
+              <Tooltip formatter={(value) => `${value.toFixed(1)}%`} labelFormatter={(value) => `${proLabel}: ${value.toFixed(0)}%`} />
+              <ReferenceLine segment={[{ x: 0, y: 0 }, { x: 100, y: 100 }]} stroke="#999" strokeDasharray="3 3" />
+              <Line
+                type="monotone"
+                dataKey="traineePercent"
+                stroke="#ff6b6b"
+                strokeWidth={2}
+                name={traineeLabel}
+                dot={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlignmentCard;
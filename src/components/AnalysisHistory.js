@@ -0,0 +1,204 @@
+import { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { STROKE_TYPES } from '../analysis/strokeTypes';
+import { PROGRESS_METRICS, buildScoreSeries, buildMetricSeries } from '../analysis/progress';
+
+const PLAYER_ALL = '';
+
+const formatDate = (time) => new Date(time).toLocaleDateString();
+const formatDateTime = (time) => new Date(time).toLocaleString();
+
+const formatChange = (points, key) => {
+  if (points.length < 2) return null;
+  const change = points[points.length - 1][key] - points[0][key];
+  return `${change > 0 ? '+' : ''}${Number.isInteger(change) ? change : change.toFixed(1)}`;
+};
+
+const ProgressChart = ({ data, lines, yDomain, yLabel }) => (
+  <div className="h-56">
+    <ResponsiveContainer width="100%" height="100%">
+      <LineChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis
+          dataKey="analyzedAt"
+          type="number"
+          scale="time"
+          domain={['dataMin', 'dataMax']}
+          tickFormatter={formatDate}
+        />
+        <YAxis domain={yDomain} label={{ value: yLabel, angle: -90, position: 'insideLeft' }} />
+        <Tooltip labelFormatter={formatDateTime} formatter={(value) => (Number.isInteger(value) ? value : value.toFixed(1))} />
+        <Legend />
+        {lines.map(line => (
+          <Line
+            key={line.dataKey}
+            type="monotone"
+            dataKey={line.dataKey}
+            name={line.name}
+            stroke={line.color}
+            strokeDasharray={line.dashed ? '5 5' : undefined}
+            dot
+            connectNulls
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+// Saved analyses for one stroke type: score and metric trends for a player,
+// and the list to reopen, reassign or delete them from
+const AnalysisHistory = ({
+  entries,
+  available,
+  strokeType,
+  players,
+  playerId,
+  unitLabels,
+  openId,
+  error,
+  onFilterPlayer,
+  onOpen,
+  onAssignPlayer,
+  onDelete
+}) => {
+  const [metricKey, setMetricKey] = useState(PROGRESS_METRICS[0].key);
+
+  if (!available) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow mb-6">
+        <h2 className="text-xl font-semibold mb-1">History & Progress</h2>
+        <p className="text-sm text-gray-500">This browser has no IndexedDB, so analyses can't be kept between visits.</p>
+      </div>
+    );
+  }
+
+  const player = players.find(entry => entry.id === playerId) || null;
+  const shown = entries.filter(entry => (
+    entry.strokeType === strokeType && (!player || entry.playerId === player.id)
+  ));
+  const metric = PROGRESS_METRICS.find(entry => entry.key === metricKey);
+  const scores = buildScoreSeries(shown);
+  const metricSeries = buildMetricSeries(shown, metric);
+  const metricUnit = metric.unit(unitLabels[metricSeries.units] || '');
+  const scoreChange = formatChange(scores, 'score');
+  const metricChange = formatChange(metricSeries.points, 'trainee');
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <h2 className="text-xl font-semibold mb-1">History & Progress</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Every analyzed upload is kept in this browser. Follow a player's {STROKE_TYPES[strokeType].label.toLowerCase()} over time or reopen a past analysis.
+      </p>
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      <div className="flex flex-wrap items-center gap-4 text-sm mb-4">
+        <label className="flex items-center gap-2">
+          <span className="font-medium">Player</span>
+          <select
+            value={player ? player.id : PLAYER_ALL}
+            onChange={(e) => onFilterPlayer(e.target.value || null)}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            <option value={PLAYER_ALL}>All players</option>
+            {players.map(entry => <option key={entry.id} value={entry.id}>{entry.name}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="font-medium">Metric</span>
+          <select
+            value={metricKey}
+            onChange={(e) => setMetricKey(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {PROGRESS_METRICS.map(entry => <option key={entry.key} value={entry.key}>{entry.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-500">No saved {STROKE_TYPES[strokeType].label.toLowerCase()} analyses{player ? ` for ${player.name}` : ''} yet.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-4">
+            <div>
+              <h3 className="font-semibold mb-1">
+                Overall score{scoreChange && <span className="font-normal text-sm text-gray-600"> ({scoreChange} since the first)</span>}
+              </h3>
+              <ProgressChart
+                data={scores}
+                lines={[{ dataKey: 'score', name: 'Score', color: '#8884d8' }]}
+                yDomain={[0, 100]}
+                yLabel="Score"
+              />
+            </div>
+            <div>
+              <h3 className="font-semibold mb-1">
+                {metric.label}{metricChange && <span className="font-normal text-sm text-gray-600"> ({metricChange}{metricUnit} since the first)</span>}
+              </h3>
+              {metricSeries.points.length ? (
+                <ProgressChart
+                  data={metricSeries.points}
+                  lines={[
+                    { dataKey: 'trainee', name: player ? player.name : 'Trainee', color: '#ff7300' },
+                    { dataKey: 'pro', name: 'Reference', color: '#82ca9d', dashed: true }
+                  ]}
+                  yDomain={['auto', 'auto']}
+                  yLabel={metricUnit}
+                />
+              ) : (
+                <p className="text-sm text-gray-500">No saved analysis measured this.</p>
+              )}
+              {metricSeries.skipped > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {metricSeries.skipped} analysis{metricSeries.skipped === 1 ? '' : 'es'} in other distance units left out.
+                </p>
+              )}
+            </div>
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1">Date</th>
+                <th className="py-1">Player</th>
+                <th className="py-1">File</th>
+                <th className="py-1 text-center">Score</th>
+                <th className="py-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {[...shown].reverse().map(entry => (
+                <tr key={entry.id} className={`border-t ${entry.id === openId ? 'bg-blue-50' : ''}`}>
+                  <td className="py-1">{formatDateTime(entry.analyzedAt)}</td>
+                  <td className="py-1">
+                    <select
+                      value={players.some(profile => profile.id === entry.playerId) ? entry.playerId : PLAYER_ALL}
+                      onChange={(e) => onAssignPlayer(entry.id, e.target.value || null)}
+                      className="border border-gray-300 rounded px-1"
+                    >
+                      <option value={PLAYER_ALL}>{entry.player ? `${entry.player} (no profile)` : 'Unassigned'}</option>
+                      {players.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-1">{entry.fileName}</td>
+                  <td className="py-1 text-center font-semibold">{entry.recommendations?.overallScore ?? '–'}</td>
+                  <td className="py-1 text-right whitespace-nowrap">
+                    <button onClick={() => onOpen(entry.id)} className="text-blue-600 hover:underline mr-3">
+                      Open
+                    </button>
+                    <button onClick={() => onDelete(entry.id)} className="text-red-600 hover:underline">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisHistory;
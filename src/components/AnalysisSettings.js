@@ -0,0 +1,105 @@
+import { HANDEDNESS_AUTO, HANDEDNESS_RIGHT, HANDEDNESS_LEFT } from '../analysis/handedness';
+import { UNITS_PIXELS, UNITS_CENTIMETERS } from '../analysis/calibration';
+import {
+  NORMALIZATION_NONE,
+  NORMALIZATION_TORSO,
+  NORMALIZATION_LEG,
+  NORMALIZATION_HEIGHT
+} from '../analysis/bodyNormalization';
+import { SMOOTHING_LABELS } from '../analysis/keypointFilter';
+import { ALIGNMENT_LABELS } from '../analysis/timeWarping';
+
+const AnalysisSettings = ({ settings, onChange, detectedHandedness, calibration }) => {
+  return (
+    <div className="mt-4 flex flex-wrap items-center gap-6 text-sm">
+      <label className="flex items-center gap-2">
+        <span className="font-medium">Handedness</span>
+        <select
+          value={settings.handedness}
+          onChange={(e) => onChange({ handedness: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value={HANDEDNESS_AUTO}>Auto-detect</option>
+          <option value={HANDEDNESS_RIGHT}>Right-handed</option>
+          <option value={HANDEDNESS_LEFT}>Left-handed</option>
+        </select>
+        {settings.handedness === HANDEDNESS_AUTO && detectedHandedness && (
+          <span className="text-gray-600">
+            Detected: {detectedHandedness.handedness}-handed
+            {!detectedHandedness.confident && ' (uncertain)'}
+          </span>
+        )}
+      </label>
+      <label className="flex items-center gap-2">
+        <span className="font-medium">Units</span>
+        <select
+          value={settings.units}
+          onChange={(e) => onChange({ units: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+          disabled={settings.normalization !== NORMALIZATION_NONE}
+        >
+          <option value={UNITS_PIXELS}>Pixels</option>
+          <option value={UNITS_CENTIMETERS}>Centimeters (calibrated)</option>
+        </select>
+        {settings.units === UNITS_CENTIMETERS && settings.normalization === NORMALIZATION_NONE && calibration && (
+          <span className="text-gray-600">
+            ≈{calibration.cmPerPixel.toFixed(2)} cm/px from {calibration.methods.join(' + ')} calibration
+          </span>
+        )}
+      </label>
+      {settings.units === UNITS_CENTIMETERS && settings.normalization === NORMALIZATION_NONE && (
+        <label className="flex items-center gap-2">
+          <span className="font-medium">Player height</span>
+          <input
+            type="number"
+            min="100"
+            max="230"
+            value={settings.playerHeightCm ?? ''}
+            onChange={(e) => onChange({ playerHeightCm: parseFloat(e.target.value) > 0 ? parseFloat(e.target.value) : null })}
+            className="border border-gray-300 rounded px-2 py-1 w-20"
+          />
+          <span className="text-gray-600">cm, for clips without camera or court calibration</span>
+        </label>
+      )}
+      <label className="flex items-center gap-2">
+        <span className="font-medium">Body-size normalization</span>
+        <select
+          value={settings.normalization}
+          onChange={(e) => onChange({ normalization: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value={NORMALIZATION_NONE}>None</option>
+          <option value={NORMALIZATION_TORSO}>% of torso length</option>
+          <option value={NORMALIZATION_LEG}>% of leg length</option>
+          <option value={NORMALIZATION_HEIGHT}>% of body height</option>
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <span className="font-medium">Smoothing</span>
+        <select
+          value={settings.smoothing}
+          onChange={(e) => onChange({ smoothing: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          {Object.entries(SMOOTHING_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <span className="font-medium">Alignment</span>
+        <select
+          value={settings.alignment}
+          onChange={(e) => onChange({ alignment: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          {Object.entries(ALIGNMENT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default AnalysisSettings;
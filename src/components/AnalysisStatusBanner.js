@@ -0,0 +1,48 @@
+import { STATUS_OK, STATUS_DEGRADED, SOURCE_DEMO } from '../analysis/analysisStatus';
+
+const getStatusStyle = (status) => {
+  if (status.source === SOURCE_DEMO) {
+    return { badge: 'bg-gray-500 text-white', label: 'Demo data', text: 'text-gray-600' };
+  }
+  switch (status.level) {
+    case STATUS_OK: return { badge: 'bg-green-500 text-white', label: 'Analysis OK', text: 'text-green-700' };
+    case STATUS_DEGRADED: return { badge: 'bg-yellow-500 text-white', label: 'Analysis degraded', text: 'text-yellow-800' };
+    default: return { badge: 'bg-red-500 text-white', label: 'Analysis failed', text: 'text-red-700' };
+  }
+};
+
+const AnalysisStatusBanner = ({ status, fileName }) => {
+  if (!status) {
+    return (
+      <p className="text-sm text-gray-500 mt-1">
+        No analysis yet. Upload a trainee file, or load the demo to explore the app.
+      </p>
+    );
+  }
+
+  const style = getStatusStyle(status);
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-3">
+        <span className={`text-xs px-2 py-1 rounded font-semibold ${style.badge}`}>
+          {style.label.toUpperCase()}
+        </span>
+        <span className="text-sm text-gray-600">
+          {status.source === SOURCE_DEMO
+            ? 'Example curves only - these numbers do not describe any real player.'
+            : fileName}
+        </span>
+      </div>
+      {status.reasons.length > 0 && (
+        <ul className={`mt-1 text-sm list-disc list-inside ${style.text}`}>
+          {status.reasons.map((reason, index) => (
+            <li key={index}>{reason.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisStatusBanner;
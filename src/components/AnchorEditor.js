@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { ANCHOR_KEYS, ANCHOR_LABELS } from '../storage/anchorOverrides';
+
+const ANCHOR_COLORS = {
+  backswingStart: '#82ca9d',
+  backswingPeak: '#ff7300',
+  contact: '#ff0000',
+  followThroughEnd: '#0088fe'
+};
+
+// Drag within this many samples of a marker to pick it up
+const GRAB_DISTANCE = 4;
+
+// Trainee wrist-hip curve over raw frames with the four stroke anchors.
+// Markers can be dragged on the chart or stepped a frame at a time; every
+// change is passed up as the full set of overrides (frame ids).
+const AnchorEditor = ({ editor, distanceUnit, saveError, onChange }) => {
+  const [dragging, setDragging] = useState(null);
+  const [draft, setDraft] = useState(null);
+
+  const { series, anchors, overrides } = editor;
+  const frameIds = series.map(point => point.frameId);
+  const positions = { ...anchors, ...(draft || {}) };
+  const isManual = Object.keys(overrides || {}).length > 0;
+
+  const indexOf = (frameId) => {
+    let best = 0;
+    frameIds.forEach((id, index) => {
+      if (Math.abs(id - frameId) < Math.abs(frameIds[best] - frameId)) best = index;
+    });
+    return best;
+  };
+
+  // Anchors must stay in order: start < peak < contact < finish
+  const clampIndex = (key, index) => {
+    const order = ANCHOR_KEYS.indexOf(key);
+    const previous = order > 0 ? indexOf(positions[ANCHOR_KEYS[order - 1]]) + 1 : 0;
+    const next = order < ANCHOR_KEYS.length - 1 ? indexOf(positions[ANCHOR_KEYS[order + 1]]) - 1 : frameIds.length - 1;
+    return Math.max(previous, Math.min(next, index));
+  };
+
+  const commit = (key, index) => {
+    onChange({ ...(overrides || {}), [key]: frameIds[clampIndex(key, index)] });
+  };
+
+  const eventIndex = (state) => {
+    const index = Number(state?.activeIndex);
+    return Number.isInteger(index) && index >= 0 && index < frameIds.length ? index : null;
+  };
+
+  const handleMouseDown = (state) => {
+    const index = eventIndex(state);
+    if (index === null) return;
+    const nearest = ANCHOR_KEYS
+      .map(key => ({ key, distance: Math.abs(indexOf(positions[key]) - index) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+    if (nearest.distance <= GRAB_DISTANCE) {
+      setDragging(nearest.key);
+      setDraft({});
+    }
+  };
+
+  const handleMouseMove = (state) => {
+    if (!dragging) return;
+    const index = eventIndex(state);
+    if (index === null) return;
+    setDraft({ [dragging]: frameIds[clampIndex(dragging, index)] });
+  };
+
+  const handleMouseUp = () => {
+    if (dragging && draft && draft[dragging] !== undefined) {
+      commit(dragging, indexOf(draft[dragging]));
+    }
+    setDragging(null);
+    setDraft(null);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow mb-6">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-xl font-semibold">Stroke Anchors</h2>
+        {isManual && (
+          <button
+            onClick={() => onChange(null)}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            Reset to detected
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        Drag a marker on the chart, or step it a frame at a time, if the stroke was cut in the wrong place. Corrections are saved for this clip.
+      </p>
+      {saveError && <p className="mb-3 text-sm text-red-600">{saveError}</p>}
+      <div className="h-56 select-none">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={series}
+            margin={{ top: 20, right: 30, left: 20, bottom: 15 }}
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={handleMouseUp}
+            style={{ cursor: dragging ? 'ew-resize' : 'default' }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="frameId"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              label={{ value: 'Frame', position: 'insideBottom', offset: -10 }}
+            />
+            <YAxis label={{ value: `Wrist-Hip (${distanceUnit})`, angle: -90, position: 'insideLeft' }} />
+            {ANCHOR_KEYS.map(key => (
+              <ReferenceLine
+                key={key}
+                x={positions[key]}
+                stroke={ANCHOR_COLORS[key]}
+                strokeWidth={dragging === key ? 3 : 2}
+                label={{ value: ANCHOR_LABELS[key], position: 'top', fontSize: 11, fill: ANCHOR_COLORS[key] }}
+              />
+            ))}
+            <Line
+              type="monotone"
+              dataKey="value"
+              stroke="#ff6b6b"
+              strokeWidth={2}
+              dot={false}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3 text-sm">
+        {ANCHOR_KEYS.map(key => {
+          const index = indexOf(anchors[key]);
+          return (
+            <div key={key} className="flex items-center gap-2">
+              <span className="font-medium" style={{ color: ANCHOR_COLORS[key] }}>{ANCHOR_LABELS[key]}</span>
+              <button
+                onClick={() => commit(key, index - 1)}
+                className="px-2 border border-gray-300 rounded hover:bg-gray-100"
+                aria-label={`Move ${ANCHOR_LABELS[key]} one frame earlier`}
+              >
+                ◀
+              </button>
+              <span>#{anchors[key]}</span>
+              <button
+                onClick={() => commit(key, index + 1)}
+                className="px-2 border border-gray-300 rounded hover:bg-gray-100"
+                aria-label={`Move ${ANCHOR_LABELS[key]} one frame later`}
+              >
+                ▶
+              </button>
+              {overrides?.[key] !== undefined && <span className="text-xs text-gray-500">manual</span>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AnchorEditor;
@@ -0,0 +1,85 @@
+import { useRef } from 'react';
+import { STROKE_TYPES } from '../analysis/strokeTypes';
+import { BENCHMARK_NONE } from '../storage/benchmarkLibrary';
+
+// Skill-level benchmarks for the current stroke type: import a dataset,
+// pick which one to place the trainee in and the level to aim for
+const BenchmarkPanel = ({
+  strokeType,
+  benchmarks,
+  benchmark,
+  targetLevel,
+  importError,
+  onSelect,
+  onSelectTarget,
+  onImport,
+  onDelete
+}) => {
+  const fileInputRef = useRef(null);
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <h2 className="text-xl font-semibold mb-1">Skill-Level Benchmarks</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Places each metric in a level band (3.0, 3.5, ... pro) with your percentile in it. A target level scores you against that level instead of the pro reference.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        {benchmarks.length > 0 ? (
+          <label className="flex items-center gap-2">
+            <span className="font-medium">Benchmark</span>
+            <select
+              value={benchmark ? benchmark.id : BENCHMARK_NONE}
+              onChange={(e) => onSelect(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1"
+            >
+              <option value={BENCHMARK_NONE}>None</option>
+              {benchmarks.map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.name} ({entry.fileName})</option>
+              ))}
+            </select>
+          </label>
+        ) : (
+          <span className="text-gray-500">No benchmark for the {STROKE_TYPES[strokeType].label.toLowerCase()} yet.</span>
+        )}
+        {benchmark && (
+          <>
+            <label className="flex items-center gap-2">
+              <span className="font-medium">Target level</span>
+              <select
+                value={targetLevel ?? ''}
+                onChange={(e) => onSelectTarget(e.target.value || null)}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="">Pro reference</option>
+                {benchmark.levels.map(entry => (
+                  <option key={entry.level} value={entry.level}>{entry.level}</option>
+                ))}
+              </select>
+            </label>
+            <span className="text-gray-600">Distances in {benchmark.units}</span>
+            <button onClick={() => onDelete(benchmark.id)} className="text-xs text-red-600 hover:underline">
+              Remove
+            </button>
+          </>
+        )}
+        <input ref={fileInputRef} type="file" accept=".json" onChange={handleFile} className="hidden" />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+        >
+          Import benchmark JSON
+        </button>
+      </div>
+      {importError && <p className="mt-2 text-sm text-red-600">{importError}</p>}
+    </div>
+  );
+};
+
+export default BenchmarkPanel;
@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { VARIATION_MEDIUM } from '../analysis/consistency';
+import { METRIC_LABELS } from '../analysis/metricLabels';
+
+const scoreColor = (score) => {
+  if (score === null) return 'text-gray-400';
+  if (score >= 85) return 'text-green-600';
+  if (score >= 70) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const formatVariation = (event, distanceUnit) => {
+  const percent = `±${(event.variation * 100).toFixed(0)}%`;
+  switch (event.key) {
+    case 'contactHeight':
+    case 'contactExtension':
+      return `${percent} (±${event.std.toFixed(1)}${distanceUnit})`;
+    case 'strokeDuration':
+      return `${percent} (±${(event.std * 1000).toFixed(0)}ms)`;
+    default:
+      return percent;
+  }
+};
+
+// All of a session's strokes overlaid per metric, with their mean and a
+// ±1 standard deviation band, plus repeatability scores per metric and phase
+const ConsistencyCard = ({ consistency, phaseMarkers, distanceUnit, proLabel = 'Pro' }) => {
+  const [selectedKey, setSelectedKey] = useState(consistency.metrics[0]?.key);
+  const selected = consistency.metrics.find(metric => metric.key === selectedKey) || consistency.metrics[0];
+  const strokeKeys = Array.from({ length: consistency.strokeCount }, (_, index) => `s${index}`);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow mb-6">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-xl font-semibold">Consistency</h2>
+        {consistency.score !== null && (
+          <span className={`text-2xl font-bold ${scoreColor(consistency.score)}`}>{consistency.score}/100</span>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        {consistency.strokeCount} strokes overlaid on the pro's timeline. The shaded band is your mean ±1 standard deviation; a narrow band is a repeatable stroke.
+      </p>
+
+      {selected && (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {consistency.metrics.map(metric => (
+              <button
+                key={metric.key}
+                onClick={() => setSelectedKey(metric.key)}
+                className={`text-xs px-2 py-1 border rounded ${metric.key === selected.key ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+              >
+                {METRIC_LABELS[metric.key]}
+              </button>
+            ))}
+          </div>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={selected.envelope} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="strokePercent"
+                  type="number"
+                  domain={[0, 100]}
+                  label={{ value: 'Stroke Progress (%)', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis label={{ value: METRIC_LABELS[selected.key], angle: -90, position: 'insideLeft' }} />
+                <Legend />
+                {phaseMarkers.map((phase, index) => (
+                  <ReferenceLine key={`phase-${index}`} x={phase.start} stroke={phase.color} strokeDasharray="3 3" />
+                ))}
+                <Area
+                  type="monotone"
+                  dataKey="band"
+                  fill="#ff6b6b"
+                  fillOpacity={0.2}
+                  stroke="none"
+                  name="±1 SD"
+                  isAnimationActive={false}
+                />
+                {strokeKeys.map(key => (
+                  <Line
+                    key={key}
+                    type="monotone"
+                    dataKey={key}
+                    stroke="#bbb"
+                    strokeWidth={1}
+                    dot={false}
+                    legendType="none"
+                    isAnimationActive={false}
+                  />
+                ))}
+                <Line type="monotone" dataKey="pro" stroke="#8884d8" strokeWidth={2} name={proLabel} dot={false} />
+                <Line type="monotone" dataKey="mean" stroke="#ff6b6b" strokeWidth={2} name="Your mean" dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mt-4">
+        <table className="w-full text-sm lg:col-span-2 self-start">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1">Metric</th>
+              <th className="py-1">Overall</th>
+              {consistency.phases.map(phase => <th key={phase.phase} className="py-1">{phase.label || phase.phase}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {consistency.metrics.map(metric => (
+              <tr key={metric.key} className="border-t">
+                <td className="py-1 font-medium">{METRIC_LABELS[metric.key]}</td>
+                <td className={`py-1 font-semibold ${scoreColor(metric.score)}`}>{metric.score}</td>
+                {metric.phaseScores.map(phase => (
+                  <td key={phase.phase} className={`py-1 ${scoreColor(phase.score)}`}>{phase.score ?? '–'}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div>
+          <h3 className="font-semibold mb-2">Stroke-to-stroke variation</h3>
+          <ul className="text-sm space-y-1">
+            {consistency.keyEvents.map(event => (
+              <li key={event.key} className="flex justify-between">
+                <span>{event.label}</span>
+                <span className={event.variation > VARIATION_MEDIUM ? 'text-red-600' : 'text-green-600'}>
+                  {formatVariation(event, distanceUnit)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConsistencyCard;
@@ -0,0 +1,61 @@
+import { METRIC_LABELS } from '../analysis/metricLabels';
+
+const ANGLE_KEYS = ['shoulderRotation', 'hipRotation', 'xFactor', 'elbowFlexion', 'hittingKneeFlexion', 'trunkLean', 'forearmAngle'];
+
+const metricUnit = (key, distanceUnit) => {
+  if (ANGLE_KEYS.includes(key)) return '°';
+  if (key === 'weightTransfer') return '%';
+  if (key === 'wristSpeed') return `${distanceUnit}/s`;
+  return distanceUnit;
+};
+
+const matchColor = (correlation) => {
+  if (correlation === null) return 'text-gray-400';
+  if (correlation >= 0.9) return 'text-green-600';
+  if (correlation >= 0.7) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const formatOffset = (similarity) => {
+  if (similarity.peakOffsetMs === null) return '–';
+  const ms = Math.round(similarity.peakOffsetMs);
+  if (ms === 0) return 'on time';
+  return `${Math.abs(ms)}ms ${ms > 0 ? 'late' : 'early'}`;
+};
+
+// Whole-curve measures per metric: how far apart the curves are, whether
+// they have the same shape and whether the peak comes at the same moment
+const CurveSimilarityCard = ({ curveSimilarity, distanceUnit }) => (
+  <div className="bg-white p-4 rounded-lg shadow mb-6">
+    <h2 className="text-xl font-semibold mb-1">Curve Similarity</h2>
+    <p className="text-sm text-gray-600 mb-3">
+      Compares whole curves after alignment, so the right peak at the wrong moment still shows. Peak timing is relative to each player's own contact.
+    </p>
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-600">
+          <th className="py-1">Metric</th>
+          <th className="py-1">RMSE</th>
+          <th className="py-1">Shape match</th>
+          <th className="py-1">Peak timing</th>
+          <th className="py-1">Area between curves</th>
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(curveSimilarity).map(([key, similarity]) => (
+          <tr key={key} className="border-t">
+            <td className="py-1 font-medium">{METRIC_LABELS[key]}</td>
+            <td className="py-1">{similarity.rmse.toFixed(1)}{metricUnit(key, distanceUnit)}</td>
+            <td className={`py-1 ${matchColor(similarity.correlation)}`}>
+              {similarity.correlation !== null ? `r = ${similarity.correlation.toFixed(2)}` : '–'}
+            </td>
+            <td className="py-1">{formatOffset(similarity)}</td>
+            <td className="py-1">{similarity.area !== null ? `${(similarity.area * 100).toFixed(0)}% of range` : '–'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default CurveSimilarityCard;
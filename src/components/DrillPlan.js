@@ -0,0 +1,94 @@
+import {
+  DRILL_LEVELS,
+  DRILL_LEVEL_LABELS,
+  DRILL_EQUIPMENT,
+  DRILL_EQUIPMENT_LABELS
+} from '../analysis/drillSelection';
+
+// Practice drills for the top priorities, picked from the drill catalog for
+// the trainee's level and what they have to practice with. Assigning a drill
+// records it so the next analysis moves on to something new.
+const DrillPlan = ({ drills, preferences, isAssigned, error, onChangePreferences, onAssign }) => {
+  const toggleEquipment = (item, checked) => onChangePreferences({
+    ...preferences,
+    equipment: checked ? [...preferences.equipment, item] : preferences.equipment.filter(entry => entry !== item)
+  });
+
+  return (
+    <div>
+      <h3 className="font-semibold text-lg mb-3 text-blue-600">Recommended Practice Drills</h3>
+      <div className="flex flex-wrap items-center gap-4 text-sm mb-3">
+        <label className="flex items-center gap-2">
+          <span className="font-medium">Level</span>
+          <select
+            value={preferences.level}
+            onChange={(e) => onChangePreferences({ ...preferences, level: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {DRILL_LEVELS.map(level => <option key={level} value={level}>{DRILL_LEVEL_LABELS[level]}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={preferences.partner}
+            onChange={(e) => onChangePreferences({ ...preferences, partner: e.target.checked })}
+          />
+          <span>Practice partner</span>
+        </label>
+        <span className="font-medium">Equipment</span>
+        {DRILL_EQUIPMENT.map(item => (
+          <label key={item} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={preferences.equipment.includes(item)}
+              onChange={(e) => toggleEquipment(item, e.target.checked)}
+            />
+            <span>{DRILL_EQUIPMENT_LABELS[item]}</span>
+          </label>
+        ))}
+      </div>
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {drills.length === 0 ? (
+        <p className="text-sm text-gray-500">No drill in the catalog fits this level, equipment and partner setting.</p>
+      ) : (
+        <div className="space-y-3">
+          {drills.map((drill, index) => (
+            <div key={drill.id || drill.name} className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <div className="flex items-start justify-between gap-4">
+                <h4 className="font-semibold text-blue-800">{index + 1}. {drill.name}</h4>
+                {drill.id && (isAssigned(drill) ? (
+                  <span className="text-sm text-green-700">Assigned ✓</span>
+                ) : (
+                  <button
+                    onClick={() => onAssign(drill)}
+                    className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+                  >
+                    Assign
+                  </button>
+                ))}
+              </div>
+              <p className="text-sm text-blue-700 mt-1">{drill.description}</p>
+              <p className="text-xs text-blue-600 mt-2">📊 {drill.reps}</p>
+              <p className="text-xs text-gray-600 mt-1">
+                {drill.linked ? (
+                  <>For {drill.metric} · linked to the scoring rule</>
+                ) : (
+                  <>
+                    For {drill.metric} · Step {drill.stepIndex + 1} of {drill.stepCount} in {drill.progression.label} ·{' '}
+                    {DRILL_LEVEL_LABELS[drill.level]} · {drill.setup === 'solo' ? 'Solo' : 'With a partner'}
+                    {drill.equipment.length > 0 && <> · {drill.equipment.map(item => DRILL_EQUIPMENT_LABELS[item]).join(', ')}</>}
+                    {drill.repeat && <> · assigned before</>}
+                  </>
+                )}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DrillPlan;
@@ -0,0 +1,84 @@
+import { KINETIC_CHAIN_SEGMENTS, KINETIC_CHAIN_LABELS } from '../analysis/kinematics';
+
+const formatRelative = (ms) => `${ms > 0 ? '+' : ''}${Math.round(ms)}ms`;
+
+// Timeline of segment speed peaks relative to contact (0 ms)
+const ChainTimeline = ({ label, chain, range }) => {
+  const position = (ms) => ((ms - range.from) / (range.to - range.from)) * 100;
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-semibold text-sm text-gray-600">{label}</h3>
+        {chain.complete ? (
+          <span className={`text-xs px-2 py-1 rounded ${chain.inOrder ? 'bg-green-500 text-white' : 'bg-red-500 text-white'}`}>
+            {chain.inOrder ? 'IN SEQUENCE' : 'OUT OF SEQUENCE'}
+          </span>
+        ) : (
+          <span className="text-xs px-2 py-1 rounded bg-gray-400 text-white">INCOMPLETE</span>
+        )}
+      </div>
+      <div className="relative h-8 bg-gray-100 rounded">
+        <div className="absolute top-0 bottom-0 border-l-2 border-red-500" style={{ left: `${position(0)}%` }} />
+        {chain.peaks.map(peak => (
+          <div
+            key={peak.segment}
+            className="absolute top-1 -translate-x-1/2 text-xs bg-white border border-gray-300 rounded px-1"
+            style={{ left: `${position(peak.relativeMs)}%` }}
+            title={`${KINETIC_CHAIN_LABELS[peak.segment]} peak ${formatRelative(peak.relativeMs)} from contact`}
+          >
+            {KINETIC_CHAIN_LABELS[peak.segment]}
+          </div>
+        ))}
+      </div>
+      {chain.outOfOrder.length > 0 && (
+        <p className="text-xs text-red-600 mt-1">{chain.outOfOrder.join(', ')}</p>
+      )}
+    </div>
+  );
+};
+
+const KineticChainCard = ({ kineticChain, proLabel = 'Pro', traineeLabel = 'You' }) => {
+  if (!kineticChain) return null;
+
+  const times = [...kineticChain.pro.peaks, ...kineticChain.trainee.peaks].map(peak => peak.relativeMs);
+  const range = {
+    from: Math.min(0, ...times) - 50,
+    to: Math.max(0, ...times) + 50
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow mb-6">
+      <h2 className="text-xl font-semibold mb-1">Kinetic Chain</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        When each segment reaches its peak speed, relative to contact (red line). An efficient drive peaks hips, then shoulders, then elbow, then wrist.
+      </p>
+      <ChainTimeline label={proLabel} chain={kineticChain.pro} range={range} />
+      <ChainTimeline label={traineeLabel} chain={kineticChain.trainee} range={range} />
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="py-1">Segment</th>
+            <th className="py-1">{proLabel} peak</th>
+            <th className="py-1">{traineeLabel === 'You' ? 'Your' : `${traineeLabel}'s`} peak</th>
+          </tr>
+        </thead>
+        <tbody>
+          {KINETIC_CHAIN_SEGMENTS.map(segment => {
+            const pro = kineticChain.pro.peaks.find(peak => peak.segment === segment);
+            const trainee = kineticChain.trainee.peaks.find(peak => peak.segment === segment);
+            return (
+              <tr key={segment} className="border-t">
+                <td className="py-1 font-medium">{KINETIC_CHAIN_LABELS[segment]}</td>
+                <td className="py-1">{pro ? formatRelative(pro.relativeMs) : 'n/a'}</td>
+                <td className="py-1">{trainee ? formatRelative(trainee.relativeMs) : 'n/a'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default KineticChainCard;
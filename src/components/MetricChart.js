@@ -0,0 +1,123 @@
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+
+const CustomTooltip = ({ active, payload: allEntries }) => {
+  // Metrics the trainee has no data for carry null values; the reference
+  // band is a [low, high] pair
+  const payload = (allEntries || []).filter(entry => typeof entry.value === 'number');
+  if (active && payload.length) {
+    const data = payload[0].payload;
+    return (
+      <div className="bg-white p-2 border border-gray-300 rounded shadow-sm">
+        <p className="font-semibold">Stroke Progress: {data.strokePercent}%</p>
+        {payload.map((entry, index) => (
+          <p key={`item-${index}`} style={{ color: entry.color }}>
+            {entry.name}: {entry.value.toFixed(1)}
+          </p>
+        ))}
+        {payload.length === 2 && (
+          <p className="text-sm text-gray-600 mt-1">
+            Difference: {(payload[1].value - payload[0].value).toFixed(1)}
+          </p>
+        )}
+      </div>
+    );
+  }
+  return null;
+};
+
+// Pro vs trainee curve over the normalized stroke (0-100%), with each
+// player's phase starts: dashed for the pro, dotted for the trainee. A
+// composite reference adds its tolerance band around the pro curve.
+const MetricChart = ({
+  title,
+  data,
+  phaseMarkers,
+  traineePhaseMarkers = [],
+  yLabel,
+  proLabel = 'Pro',
+  traineeLabel = 'You',
+  proColor = '#8884d8',
+  yDomain,
+  referenceY,
+  referenceLabel
+}) => {
+  const hasBand = data.some(point => point.proBand);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <h2 className="text-lg font-semibold mb-3">{title}</h2>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="strokePercent"
+              type="number"
+              domain={[0, 100]}
+              label={{ value: 'Stroke Progress (%)', position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis
+              label={{ value: yLabel, angle: -90, position: 'insideLeft' }}
+              domain={yDomain}
+            />
+            <Tooltip content={<CustomTooltip />} />
+            <Legend />
+
+            {phaseMarkers.map((phase, index) => (
+              <ReferenceLine
+                key={`phase-${index}`}
+                x={phase.start}
+                stroke={phase.color}
+                strokeDasharray="3 3"
+              />
+            ))}
+            {traineePhaseMarkers.map((phase, index) => (
+              <ReferenceLine
+                key={`trainee-phase-${index}`}
+                x={phase.start}
+                stroke={phase.color}
+                strokeDasharray="1 3"
+                strokeWidth={2}
+              />
+            ))}
+
+            {referenceY !== undefined && (
+              <ReferenceLine y={referenceY} stroke="#666" strokeDasharray="3 3" label={referenceLabel} />
+            )}
+
+            {hasBand && (
+              <Area
+                type="monotone"
+                dataKey="proBand"
+                fill={proColor}
+                fillOpacity={0.15}
+                stroke="none"
+                name="Reference range"
+                isAnimationActive={false}
+              />
+            )}
+            <Line
+              type="monotone"
+              dataKey="proValue"
+              stroke={proColor}
+              strokeWidth={2}
+              name={proLabel}
+              dot={false}
+            />
+            <Line
+              type="monotone"
+              dataKey="traineeValue"
+              stroke="#ff6b6b"
+              strokeWidth={2}
+              strokeDasharray="5 5"
+              name={traineeLabel}
+              dot={false}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default MetricChart;
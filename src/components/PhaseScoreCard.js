@@ -0,0 +1,60 @@
+const cellColor = (score) => {
+  if (score === null) return 'text-gray-400';
+  if (score >= 90) return 'bg-green-100 text-green-800';
+  if (score >= 80) return 'bg-blue-100 text-blue-800';
+  if (score >= 70) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-red-100 text-red-800';
+};
+
+// Phase-by-metric score matrix: where in the stroke the trainee's curves
+// drift from the reference
+const PhaseScoreCard = ({ phaseScores, proLabel = 'Pro' }) => {
+  const weakest = phaseScores.phaseTotals
+    .filter(total => total.score !== null)
+    .reduce((lowest, total) => (!lowest || total.score < lowest.score ? total : lowest), null);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow mb-6">
+      <h2 className="text-xl font-semibold mb-1">Score by Phase</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        How closely each curve follows {proLabel} within each phase (100 = on top of it).
+        {weakest && weakest.score < 100 && <> Weakest phase: <span className="font-medium">{weakest.label}</span>.</>}
+      </p>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="py-1">Metric</th>
+            {phaseScores.phases.map(phase => <th key={phase.phase} className="py-1 text-center">{phase.label}</th>)}
+            <th className="py-1 text-center">Stroke</th>
+          </tr>
+        </thead>
+        <tbody>
+          {phaseScores.metrics.map(metric => (
+            <tr key={metric.key} className="border-t">
+              <td className="py-1 font-medium">{metric.label}</td>
+              {metric.cells.map(cell => (
+                <td
+                  key={cell.phase}
+                  className={`py-1 text-center ${cellColor(cell.score)}`}
+                  title={cell.gap !== null ? `Mean gap ${cell.gap > 0 ? '+' : ''}${cell.gap.toFixed(1)} (you − reference)` : undefined}
+                >
+                  {cell.score ?? '–'}
+                </td>
+              ))}
+              <td className="py-1 text-center font-semibold">{metric.score ?? '–'}</td>
+            </tr>
+          ))}
+          <tr className="border-t-2 font-semibold">
+            <td className="py-1">Phase score</td>
+            {phaseScores.phaseTotals.map(total => (
+              <td key={total.phase} className={`py-1 text-center ${cellColor(total.score)}`}>{total.score ?? '–'}</td>
+            ))}
+            <td />
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PhaseScoreCard;
@@ -0,0 +1,82 @@
+const TRACK_COLORS = ['#ff6b6b', '#0088fe', '#82ca9d', '#ff7300', '#8884d8', '#00c49f'];
+
+const shortId = (id) => (id.startsWith('slot-') ? `Slot ${Number(id.slice(5)) + 1}` : id.slice(0, 8));
+
+const PlayerPicker = ({ tracks, imageSize, selectedId, defaultId, onSelect }) => {
+  if (!tracks || tracks.length < 2) return null;
+
+  const strokeWidth = Math.max(2, imageSize.width / 400);
+
+  return (
+    <div className="mt-4 p-4 border border-gray-200 rounded-lg">
+      <h3 className="font-semibold mb-1">Select the trainee</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        {tracks.length} people are tracked in this clip. The largest tracked player is picked by default; choose another if needed.
+      </p>
+      <div className="flex flex-col md:flex-row gap-4">
+        <svg
+          viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+          className="w-full md:w-1/2 bg-gray-800 rounded"
+          preserveAspectRatio="xMidYMid meet"
+        >
+          {tracks.map((track, index) => {
+            const color = TRACK_COLORS[index % TRACK_COLORS.length];
+            const selected = track.id === selectedId;
+            return (
+              <g key={track.id} onClick={() => onSelect(track.id)} style={{ cursor: 'pointer' }}>
+                {track.path.length > 1 && (
+                  <polyline
+                    points={track.path.map(p => `${p.x},${p.y}`).join(' ')}
+                    fill="none"
+                    stroke={color}
+                    strokeOpacity={0.5}
+                    strokeWidth={strokeWidth}
+                  />
+                )}
+                {track.averageBox && (
+                  <rect
+                    x={track.averageBox.xmin}
+                    y={track.averageBox.ymin}
+                    width={track.averageBox.width}
+                    height={track.averageBox.height}
+                    fill={color}
+                    fillOpacity={selected ? 0.35 : 0.1}
+                    stroke={color}
+                    strokeWidth={selected ? strokeWidth * 2 : strokeWidth}
+                  />
+                )}
+              </g>
+            );
+          })}
+        </svg>
+        <div className="flex-1 space-y-2">
+          {tracks.map((track, index) => {
+            const color = TRACK_COLORS[index % TRACK_COLORS.length];
+            const selected = track.id === selectedId;
+            return (
+              <button
+                key={track.id}
+                onClick={() => onSelect(track.id)}
+                className={`w-full text-left p-2 border rounded text-sm ${selected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+              >
+                <div className="flex items-center gap-2">
+                  <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+                  <span className="font-medium">Player {shortId(track.id)}</span>
+                  {track.id === defaultId && <span className="text-xs text-gray-500">(auto)</span>}
+                </div>
+                <p className="text-xs text-gray-600 mt-1">
+                  In {track.frameCount} frames ({(track.coverage * 100).toFixed(0)}%)
+                  {track.averageBox && ` · box ${track.averageBox.width.toFixed(0)}×${track.averageBox.height.toFixed(0)}px`}
+                  {track.location && ` · court (${track.location.x.toFixed(1)}, ${track.location.y.toFixed(1)}) m`}
+                  {track.distance !== null && ` · ${track.distance.toFixed(1)} m from camera`}
+                </p>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlayerPicker;
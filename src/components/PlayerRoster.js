@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import { HANDEDNESS_AUTO, HANDEDNESS_RIGHT, HANDEDNESS_LEFT } from '../analysis/handedness';
+import { PLAYER_LEVELS, MIN_PLAYER_HEIGHT_CM, MAX_PLAYER_HEIGHT_CM } from '../analysis/playerProfiles';
+
+const HANDEDNESS_LABELS = {
+  [HANDEDNESS_AUTO]: 'Auto-detect',
+  [HANDEDNESS_RIGHT]: 'Right-handed',
+  [HANDEDNESS_LEFT]: 'Left-handed'
+};
+
+const EMPTY_DRAFT = { id: null, name: '', handedness: HANDEDNESS_AUTO, heightCm: '', level: '', notes: '' };
+
+const toDraft = (player) => ({ ...player, heightCm: player.heightCm ?? '', level: player.level ?? '' });
+
+// The coach's players: pick who the next uploads are of, and add, edit or
+// remove profiles. A profile's handedness, height and level feed the
+// analysis settings when the player is picked.
+const PlayerRoster = ({ players, currentId, analysisCounts, error, onSelect, onSave, onDelete }) => {
+  const [query, setQuery] = useState('');
+  const [draft, setDraft] = useState(null);
+
+  const updateDraft = (changes) => setDraft({ ...draft, ...changes });
+  const save = () => {
+    onSave(draft);
+    setDraft(null);
+  };
+
+  const shown = players.filter(player => player.name.toLowerCase().includes(query.trim().toLowerCase()));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <h2 className="text-xl font-semibold mb-1">Players</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Uploads are saved to the selected player. Their handedness, height and level set the analysis settings, the benchmark target level and the drill level.
+      </p>
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      <div className="flex flex-wrap items-center gap-4 text-sm mb-3">
+        {players.length > 0 && (
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search players"
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+        )}
+        {!draft && (
+          <button
+            onClick={() => setDraft(EMPTY_DRAFT)}
+            className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors"
+          >
+            Add player
+          </button>
+        )}
+      </div>
+
+      {draft && (
+        <div className="p-4 border border-gray-200 rounded-lg mb-3 text-sm">
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2">
+              <span className="font-medium">Name</span>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => updateDraft({ name: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="font-medium">Handedness</span>
+              <select
+                value={draft.handedness}
+                onChange={(e) => updateDraft({ handedness: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                {Object.entries(HANDEDNESS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="font-medium">Height</span>
+              <input
+                type="number"
+                min={MIN_PLAYER_HEIGHT_CM}
+                max={MAX_PLAYER_HEIGHT_CM}
+                value={draft.heightCm}
+                onChange={(e) => updateDraft({ heightCm: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1 w-20"
+              />
+              <span className="text-gray-600">cm</span>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="font-medium">Level</span>
+              <select
+                value={draft.level}
+                onChange={(e) => updateDraft({ level: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="">Not rated</option>
+                {PLAYER_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+              </select>
+            </label>
+          </div>
+          <label className="block mt-3">
+            <span className="font-medium">Notes</span>
+            <textarea
+              value={draft.notes}
+              onChange={(e) => updateDraft({ notes: e.target.value })}
+              rows={2}
+              className="block w-full border border-gray-300 rounded px-2 py-1 mt-1"
+            />
+          </label>
+          <div className="flex gap-2 mt-3">
+            <button
+              onClick={save}
+              disabled={!draft.name.trim()}
+              className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Save player
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="bg-gray-200 text-gray-800 px-3 py-1 rounded hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {players.length === 0 ? (
+        <p className="text-sm text-gray-500">No players yet. Uploads without a player are still saved to the history.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1">Name</th>
+              <th className="py-1">Handedness</th>
+              <th className="py-1">Height</th>
+              <th className="py-1">Level</th>
+              <th className="py-1">Analyses</th>
+              <th className="py-1">Notes</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(player => (
+              <tr key={player.id} className={`border-t ${player.id === currentId ? 'bg-blue-50' : ''}`}>
+                <td className="py-1 font-medium">{player.name}</td>
+                <td className="py-1">{HANDEDNESS_LABELS[player.handedness]}</td>
+                <td className="py-1">{player.heightCm ? `${player.heightCm} cm` : '–'}</td>
+                <td className="py-1">{player.level || '–'}</td>
+                <td className="py-1">{analysisCounts[player.id] || 0}</td>
+                <td className="py-1 text-gray-600">{player.notes}</td>
+                <td className="py-1 text-right whitespace-nowrap">
+                  {player.id === currentId ? (
+                    <span className="text-green-700 mr-3">Selected</span>
+                  ) : (
+                    <button onClick={() => onSelect(player.id)} className="text-blue-600 hover:underline mr-3">
+                      Select
+                    </button>
+                  )}
+                  <button onClick={() => setDraft(toDraft(player))} className="text-blue-600 hover:underline mr-3">
+                    Edit
+                  </button>
+                  <button onClick={() => onDelete(player.id)} className="text-red-600 hover:underline">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default PlayerRoster;
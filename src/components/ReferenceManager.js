@@ -0,0 +1,156 @@
+import { useRef, useState } from 'react';
+import { HANDEDNESS_RIGHT, HANDEDNESS_LEFT } from '../analysis/handedness';
+import { STROKE_TYPES } from '../analysis/strokeTypes';
+import { LEVEL_LABELS, LEVEL_PRO, REFERENCE_COMPOSITE } from '../storage/referenceLibrary';
+
+// Pro references for the current stroke type: pick one to compare against
+// or average several into a composite, and import new recordings with
+// their tags
+const ReferenceManager = ({
+  strokeType,
+  references,
+  selectedId,
+  compositeIds,
+  importError,
+  onSelect,
+  onToggleComposite,
+  onImport,
+  onDelete
+}) => {
+  const fileInputRef = useRef(null);
+  const [tags, setTags] = useState({ player: '', level: LEVEL_PRO, handedness: HANDEDNESS_RIGHT, strokeType: null });
+
+  const inComposite = (reference) => !compositeIds || compositeIds.includes(reference.id);
+  const compositeCount = references.filter(inComposite).length;
+  const activeId = selectedId === REFERENCE_COMPOSITE || references.some(reference => reference.id === selectedId)
+    ? selectedId
+    : references[0]?.id;
+  const importStrokeType = tags.strokeType || strokeType;
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) onImport(file, { ...tags, player: tags.player.trim(), strokeType: importStrokeType });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <h2 className="text-xl font-semibold mb-1">Pro References</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Compare against one player, or against the average of several so no single player's habits count as the only right way.
+      </p>
+
+      {references.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">No references for the {STROKE_TYPES[strokeType].label.toLowerCase()} yet; import one below.</p>
+      ) : (
+        <table className="w-full text-sm mb-3">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1">Compare</th>
+              <th className="py-1">Player</th>
+              <th className="py-1">Level</th>
+              <th className="py-1">Hand</th>
+              <th className="py-1">Source</th>
+              <th className="py-1">In composite</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {references.map(reference => (
+              <tr key={reference.id} className="border-t">
+                <td className="py-1">
+                  <input
+                    type="radio"
+                    name="reference"
+                    checked={activeId === reference.id}
+                    onChange={() => onSelect(reference.id)}
+                  />
+                </td>
+                <td className="py-1 font-medium">{reference.player}</td>
+                <td className="py-1">{LEVEL_LABELS[reference.level]}</td>
+                <td className="py-1">{reference.handedness}</td>
+                <td className="py-1 text-gray-600">{reference.builtIn ? 'Bundled' : reference.fileName}</td>
+                <td className="py-1">
+                  <input
+                    type="checkbox"
+                    checked={inComposite(reference)}
+                    onChange={() => onToggleComposite(reference.id)}
+                  />
+                </td>
+                <td className="py-1 text-right">
+                  {!reference.builtIn && (
+                    <button onClick={() => onDelete(reference.id)} className="text-xs text-red-600 hover:underline">
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            <tr className="border-t">
+              <td className="py-1">
+                <input
+                  type="radio"
+                  name="reference"
+                  checked={activeId === REFERENCE_COMPOSITE}
+                  disabled={compositeCount < 2}
+                  onChange={() => onSelect(REFERENCE_COMPOSITE)}
+                />
+              </td>
+              <td className="py-1 font-medium" colSpan={6}>
+                Composite: mean of {compositeCount} ticked reference{compositeCount === 1 ? '' : 's'} with a ±1 SD tolerance band
+                {compositeCount < 2 && <span className="text-gray-500 font-normal"> (tick at least two)</span>}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <input
+          type="text"
+          value={tags.player}
+          onChange={(e) => setTags({ ...tags, player: e.target.value })}
+          placeholder="Player name"
+          className="border border-gray-300 rounded px-2 py-1"
+        />
+        <select
+          value={importStrokeType}
+          onChange={(e) => setTags({ ...tags, strokeType: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          {Object.entries(STROKE_TYPES).map(([id, type]) => (
+            <option key={id} value={id}>{type.label}</option>
+          ))}
+        </select>
+        <select
+          value={tags.level}
+          onChange={(e) => setTags({ ...tags, level: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          {Object.entries(LEVEL_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={tags.handedness}
+          onChange={(e) => setTags({ ...tags, handedness: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value={HANDEDNESS_RIGHT}>Right-handed</option>
+          <option value={HANDEDNESS_LEFT}>Left-handed</option>
+        </select>
+        <input ref={fileInputRef} type="file" accept=".json" onChange={handleFile} className="hidden" />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={!tags.player.trim()}
+          className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+        >
+          Import reference JSON
+        </button>
+      </div>
+      {importError && <p className="mt-2 text-sm text-red-600">{importError}</p>}
+    </div>
+  );
+};
+
+export default ReferenceManager;
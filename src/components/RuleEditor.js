@@ -0,0 +1,316 @@
+import { useRef, useState } from 'react';
+import {
+  VALUE_SOURCES,
+  SEVERITIES,
+  DISTANCE_LIMIT_UNITS,
+  DEFAULT_RULE_SET,
+  RULE_PHASES,
+  parseRuleSet
+} from '../analysis/scoringRules';
+import { METRIC_LABELS } from '../analysis/metricLabels';
+
+const inputClass = 'border border-gray-300 rounded px-2 py-1';
+
+// Edited numbers are kept as typed and converted when the set is applied
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const limitToNumbers = (limit) => (
+  limit && typeof limit === 'object'
+    ? Object.fromEntries(Object.entries(limit).map(([unit, value]) => [unit, toNumber(value)]))
+    : toNumber(limit)
+);
+
+const draftToRuleSet = (draft) => ({
+  ...draft,
+  rules: draft.rules.map(rule => {
+    const drill = rule.drill?.name?.trim() ? rule.drill : undefined;
+    return {
+      ...rule,
+      thresholds: rule.thresholds.map(threshold => ({
+        ...threshold,
+        limit: limitToNumbers(threshold.limit),
+        score: toNumber(threshold.score),
+        ...(threshold.also && { also: { ...threshold.also, limit: limitToNumbers(threshold.also.limit) } })
+      })),
+      strength: rule.strength && {
+        ...rule.strength,
+        score: toNumber(rule.strength.score),
+        ...(rule.strength.limit !== undefined && { limit: limitToNumbers(rule.strength.limit) })
+      },
+      otherwiseScore: toNumber(rule.otherwiseScore),
+      drill
+    };
+  })
+});
+
+const downloadRuleSet = (ruleSet) => {
+  const blob = new Blob([JSON.stringify(ruleSet, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${ruleSet.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-scoring-rules.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// A number, or one number per distance unit with the current unit first
+const LimitInput = ({ limit, distanceUnit, onChange }) => {
+  if (!limit || typeof limit !== 'object') {
+    return <input type="number" value={limit} onChange={(e) => onChange(e.target.value)} className={`${inputClass} w-20`} />;
+  }
+  const units = [distanceUnit, ...DISTANCE_LIMIT_UNITS.filter(unit => unit !== distanceUnit)].filter(unit => unit in limit);
+  return (
+    <span className="flex flex-wrap gap-2">
+      {units.map(unit => (
+        <label key={unit} className={`flex items-center gap-1 ${unit === distanceUnit ? 'font-medium' : 'text-gray-500'}`}>
+          {unit}
+          <input
+            type="number"
+            value={limit[unit]}
+            onChange={(e) => onChange({ ...limit, [unit]: e.target.value })}
+            className={`${inputClass} w-20`}
+          />
+        </label>
+      ))}
+    </span>
+  );
+};
+
+const TextField = ({ label, value, onChange }) => (
+  <label className="flex items-center gap-2">
+    <span className="w-24 text-gray-600">{label}</span>
+    <input type="text" value={value} onChange={(e) => onChange(e.target.value)} className={`${inputClass} flex-1`} />
+  </label>
+);
+
+// Coach-facing editor for the scoring rules: thresholds, scores, messages
+// and linked drills per rule, plus import/export so academies can share
+// their own sets. Edits are applied as a whole so a half-typed number never
+// scores anything.
+const RuleEditor = ({ ruleSet, distanceUnit, importError, onApply, onImport }) => {
+  const fileInputRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(ruleSet);
+  const [draftSource, setDraftSource] = useState(ruleSet);
+  const [ruleId, setRuleId] = useState(ruleSet.rules[0].id);
+  const [error, setError] = useState(null);
+
+  // A set imported or reset elsewhere replaces the draft
+  if (draftSource !== ruleSet) {
+    setDraftSource(ruleSet);
+    setDraft(ruleSet);
+    setError(null);
+    if (!ruleSet.rules.some(rule => rule.id === ruleId)) setRuleId(ruleSet.rules[0].id);
+  }
+
+  const rule = draft.rules.find(entry => entry.id === ruleId) || draft.rules[0];
+  const isDirty = draft !== ruleSet;
+
+  const updateRule = (changes) => {
+    setDraft({ ...draft, rules: draft.rules.map(entry => (entry.id === rule.id ? { ...entry, ...changes } : entry)) });
+  };
+  const updateThreshold = (index, changes) => {
+    updateRule({ thresholds: rule.thresholds.map((threshold, i) => (i === index ? { ...threshold, ...changes } : threshold)) });
+  };
+  const updateStrength = (changes) => updateRule({ strength: { ...rule.strength, ...changes } });
+  const updateDrill = (changes) => updateRule({ drill: { name: '', description: '', reps: '', ...rule.drill, ...changes } });
+
+  const apply = () => {
+    const { ruleSet: parsed, error: parseError } = parseRuleSet(draftToRuleSet(draft));
+    if (!parsed) {
+      setError(parseError);
+      return;
+    }
+    setError(null);
+    onApply(parsed);
+  };
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold">Scoring Rules</h2>
+          <p className="text-sm text-gray-600">
+            Scoring with <span className="font-medium">{ruleSet.name}</span> (version {ruleSet.version},{' '}
+            {ruleSet.rules.filter(entry => entry.enabled).length} of {ruleSet.rules.length} rules on)
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input ref={fileInputRef} type="file" accept=".json" onChange={handleFile} className="hidden" />
+          <button onClick={() => fileInputRef.current?.click()} className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600">
+            Import rules JSON
+          </button>
+          <button onClick={() => downloadRuleSet(ruleSet)} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50">
+            Export
+          </button>
+          <button
+            onClick={() => onApply(DEFAULT_RULE_SET)}
+            disabled={ruleSet === DEFAULT_RULE_SET}
+            className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            Reset to default
+          </button>
+          <button onClick={() => setOpen(!open)} className="px-3 py-1 text-blue-600 hover:underline">
+            {open ? 'Hide editor' : 'Edit rules'}
+          </button>
+        </div>
+      </div>
+      {importError && <p className="mt-2 text-sm text-red-600">{importError}</p>}
+
+      {open && (
+        <div className="mt-4 space-y-4 text-sm">
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2">
+              <span className="font-medium">Set name</span>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="font-medium">Rule</span>
+              <select value={rule.id} onChange={(e) => setRuleId(e.target.value)} className={inputClass}>
+                {draft.rules.map(entry => (
+                  <option key={entry.id} value={entry.id}>{entry.label}{entry.enabled ? '' : ' (off)'}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule({ enabled: e.target.checked })} />
+              Scored
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="font-medium">Phase</span>
+              <select
+                value={rule.phase || ''}
+                onChange={(e) => updateRule({ phase: e.target.value || undefined })}
+                className={inputClass}
+              >
+                <option value="">
+                  {rule.series ? `Where the ${(METRIC_LABELS[rule.series] || rule.series).toLowerCase()} curve differs most` : 'Whole stroke'}
+                </option>
+                {RULE_PHASES.map(phase => <option key={phase} value={phase}>{phase}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <p className="text-gray-600">
+            Flags a {rule.metric.toLowerCase()} priority when the {VALUE_SOURCES[rule.value].label.toLowerCase()}
+            {rule.series && VALUE_SOURCES[rule.value].series && ` of the ${(METRIC_LABELS[rule.series] || rule.series).toLowerCase()} curve`} is{' '}
+            {rule.comparison} a limit; the first limit crossed sets the severity and score.
+            Messages can use {'{abs}'}, {'{value}'}, {'{unit}'}, {'{trainee}'}, {'{pro}'}, {'{list}'} and {'{direction}'}.
+          </p>
+
+          {rule.thresholds.map((threshold, index) => (
+            <div key={index} className="border rounded p-3 space-y-2">
+              <div className="flex flex-wrap items-center gap-4">
+                <span className="flex items-center gap-2">
+                  <span className="font-medium">{rule.comparison === 'below' ? 'Below' : 'Above'}</span>
+                  <LimitInput limit={threshold.limit} distanceUnit={distanceUnit} onChange={(limit) => updateThreshold(index, { limit })} />
+                </span>
+                <label className="flex items-center gap-2">
+                  Severity
+                  <select
+                    value={threshold.severity}
+                    onChange={(e) => updateThreshold(index, { severity: e.target.value })}
+                    className={inputClass}
+                  >
+                    {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center gap-2">
+                  Score
+                  <input
+                    type="number"
+                    value={threshold.score}
+                    onChange={(e) => updateThreshold(index, { score: e.target.value })}
+                    className={`${inputClass} w-20`}
+                  />
+                </label>
+                {threshold.also && (
+                  <span className="flex items-center gap-2 text-gray-600">
+                    and {VALUE_SOURCES[threshold.also.value].label.toLowerCase()} {threshold.also.comparison}
+                    <LimitInput
+                      limit={threshold.also.limit}
+                      distanceUnit={distanceUnit}
+                      onChange={(limit) => updateThreshold(index, { also: { ...threshold.also, limit } })}
+                    />
+                  </span>
+                )}
+              </div>
+              <TextField label="Issue" value={threshold.issue} onChange={(issue) => updateThreshold(index, { issue })} />
+              <TextField label="Why" value={threshold.detail} onChange={(detail) => updateThreshold(index, { detail })} />
+              <TextField label="Fix" value={threshold.improvement} onChange={(improvement) => updateThreshold(index, { improvement })} />
+            </div>
+          ))}
+
+          {rule.strength && (
+            <div className="border rounded p-3 space-y-2">
+              <div className="flex flex-wrap items-center gap-4">
+                <span className="font-medium">Strength</span>
+                {rule.strength.limit !== undefined && (
+                  <span className="flex items-center gap-2">
+                    {rule.comparison === 'below' ? 'above' : 'below'}
+                    <LimitInput limit={rule.strength.limit} distanceUnit={distanceUnit} onChange={(limit) => updateStrength({ limit })} />
+                  </span>
+                )}
+                <label className="flex items-center gap-2">
+                  Score
+                  <input
+                    type="number"
+                    value={rule.strength.score}
+                    onChange={(e) => updateStrength({ score: e.target.value })}
+                    className={`${inputClass} w-20`}
+                  />
+                </label>
+              </div>
+              <TextField label="Achievement" value={rule.strength.achievement} onChange={(achievement) => updateStrength({ achievement })} />
+              <TextField label="Detail" value={rule.strength.detail} onChange={(detail) => updateStrength({ detail })} />
+            </div>
+          )}
+
+          <label className="flex items-center gap-2">
+            Score when no limit is crossed{rule.strength ? ' and it is no strength' : ''}
+            <input
+              type="number"
+              value={rule.otherwiseScore}
+              onChange={(e) => updateRule({ otherwiseScore: e.target.value })}
+              className={`${inputClass} w-20`}
+            />
+          </label>
+
+          <div className="border rounded p-3 space-y-2">
+            <p className="font-medium">Linked drill <span className="font-normal text-gray-500">(leave the name empty to pick one from the drill catalog)</span></p>
+            <TextField label="Name" value={rule.drill?.name || ''} onChange={(name) => updateDrill({ name })} />
+            <TextField label="Description" value={rule.drill?.description || ''} onChange={(description) => updateDrill({ description })} />
+            <TextField label="Reps" value={rule.drill?.reps || ''} onChange={(reps) => updateDrill({ reps })} />
+          </div>
+
+          <div className="flex items-center gap-3">
+            <button
+              onClick={apply}
+              disabled={!isDirty}
+              className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            >
+              Apply changes
+            </button>
+            <button onClick={() => { setDraft(ruleSet); setError(null); }} disabled={!isDirty} className="px-3 py-1 text-gray-600 hover:underline disabled:opacity-50">
+              Discard
+            </button>
+            {error && <span className="text-red-600">{error}</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RuleEditor;
@@ -0,0 +1,97 @@
+import { SEGMENT_FLAG_LABELS } from '../analysis/strokeSegmentation';
+
+const THUMBNAIL_WIDTH = 120;
+const THUMBNAIL_HEIGHT = 40;
+
+const formatTime = (ms) => {
+  const seconds = ms / 1000;
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
+
+const scoreColor = (score) => {
+  if (score >= 90) return 'text-green-600';
+  if (score >= 80) return 'text-blue-600';
+  if (score >= 70) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+// Wrist-hip curve of one stroke. Larger values are a lower wrist, which is
+// also down in SVG coordinates, so the thumbnail reads like the video.
+const Thumbnail = ({ values }) => {
+  if (values.length < 2) return <div style={{ width: THUMBNAIL_WIDTH, height: THUMBNAIL_HEIGHT }} />;
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const points = values.map((value, index) => {
+    const x = (index / (values.length - 1)) * THUMBNAIL_WIDTH;
+    const y = 2 + ((value - min) / range) * (THUMBNAIL_HEIGHT - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  return (
+    <svg width={THUMBNAIL_WIDTH} height={THUMBNAIL_HEIGHT} className="bg-gray-50 rounded">
+      <polyline points={points.join(' ')} fill="none" stroke="#ff6b6b" strokeWidth={1.5} />
+    </svg>
+  );
+};
+
+// Strokes found in a session recording. One stroke is analyzed at a time;
+// "Analyze all" scores every stroke so they can be compared.
+const StrokeList = ({ segmentation, selectedIndex, results, onSelect, onAnalyzeAll }) => {
+  if (!segmentation) return null;
+  const { strokes, discarded } = segmentation;
+
+  return (
+    <div className="mt-4 p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-semibold">Strokes in this recording</h3>
+        {strokes.length > 1 && (
+          <button
+            onClick={onAnalyzeAll}
+            className="text-sm px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+          >
+            Analyze all
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        {strokes.length ? `${strokes.length} stroke${strokes.length === 1 ? '' : 's'} found` : 'No strokes found; the whole recording is analyzed'}
+        {discarded > 0 && ` · ${discarded} other movement${discarded === 1 ? '' : 's'} (walking, bouncing) ignored`}
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 max-h-96 overflow-y-auto">
+        {strokes.map(stroke => {
+          const selected = stroke.index === selectedIndex;
+          const result = results?.[stroke.index];
+          return (
+            <button
+              key={stroke.index}
+              onClick={() => onSelect(stroke.index)}
+              className={`text-left p-2 border rounded text-sm ${selected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-medium">Stroke {stroke.index + 1}</span>
+                {result && (result.failure
+                  ? <span className="text-xs text-red-600">Failed</span>
+                  : <span className={`font-bold ${scoreColor(result.score)}`}>{result.score}</span>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <Thumbnail values={stroke.thumbnail} />
+                <div className="text-xs text-gray-600">
+                  <p>{formatTime(stroke.startMs)}–{formatTime(stroke.endMs)}</p>
+                  <p>Peak {stroke.peakSpeed.toFixed(1)} arm/s</p>
+                </div>
+              </div>
+              {stroke.flags.length > 0 && (
+                <ul className="mt-1 text-xs text-yellow-700">
+                  {stroke.flags.map(flag => <li key={flag}>⚠ {SEGMENT_FLAG_LABELS[flag]}</li>)}
+                </ul>
+              )}
+              {result?.failure && <p className="mt-1 text-xs text-red-600">{result.failure}</p>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StrokeList;
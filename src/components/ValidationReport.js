@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { summarizeDropReasons, formatFrameRanges } from '../analysis/frameValidation';
+import { SMOOTHING_NONE, SMOOTHING_LABELS } from '../analysis/keypointFilter';
+
+const ValidationReport = ({ report }) => {
+  const [showDetails, setShowDetails] = useState(false);
+
+  if (!report) return null;
+
+  const dropGroups = summarizeDropReasons(report.droppedFrames);
+  const bodyKeypoints = report.missingKeypoints.filter(k => !k.isFace);
+  const faceKeypoints = report.missingKeypoints.filter(k => k.isFace);
+
+  const warningGroups = {};
+  report.frameWarnings.forEach(({ frameId, messages }) => {
+    messages.forEach(message => {
+      (warningGroups[message] = warningGroups[message] || []).push(frameId);
+    });
+  });
+
+  const usablePercent = report.totalFrames ? (report.usableFrames / report.totalFrames) * 100 : 0;
+  const containerClass = !report.isValid
+    ? 'bg-red-50 border-red-300'
+    : report.droppedFrames.length || bodyKeypoints.length
+      ? 'bg-yellow-50 border-yellow-300'
+      : 'bg-green-50 border-green-300';
+
+  return (
+    <div className={`mt-4 p-4 border rounded-lg text-sm ${containerClass}`}>
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">
+          Capture Report{report.fileName ? `: ${report.fileName}` : ''}
+        </h3>
+        {report.totalFrames > 0 && (
+          <button
+            onClick={() => setShowDetails(!showDetails)}
+            className="text-xs text-blue-600 hover:underline"
+          >
+            {showDetails ? 'Hide frame details' : 'Show frame details'}
+          </button>
+        )}
+      </div>
+
+      {report.errors.length > 0 && (
+        <ul className="mt-2 list-disc list-inside text-red-700">
+          {report.errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+
+      {report.totalFrames > 0 && (
+        <p className="mt-2">
+          {report.usableFrames} of {report.totalFrames} frames usable ({usablePercent.toFixed(0)}%),
+          {' '}{report.droppedFrames.length} dropped.
+          {report.hasEnoughFrames
+            ? ' Enough data to analyze the stroke.'
+            : ` At least ${report.minUsableFrames} usable frames are required.`}
+        </p>
+      )}
+
+      {report.timing && report.totalFrames > 1 && (
+        <p className="mt-1 text-gray-700">
+          {report.timing.hasTimestamps
+            ? `Timing: ${report.timing.fps.toFixed(1)} fps (median frame interval ${report.timing.medianIntervalMs.toFixed(1)} ms, jitter ${report.timing.jitterMs.toFixed(1)} ms), ${(report.timing.durationMs / 1000).toFixed(2)}s recorded`
+            : `Timing: no timestamps in the file, assuming ${report.timing.fps} fps`}
+          {report.timing.droppedFrames > 0 && `, ${report.timing.droppedFrames} frame${report.timing.droppedFrames === 1 ? '' : 's'} dropped in ${report.timing.gaps.length} gap${report.timing.gaps.length === 1 ? '' : 's'}`}
+          {report.timing.variableFrameRate && ', variable frame rate'}
+          .
+        </p>
+      )}
+
+      {report.preprocessing && (
+        <p className="mt-1 text-gray-700">
+          Cleaning: {report.preprocessing.filled} keypoint sample{report.preprocessing.filled === 1 ? '' : 's'} filled in short gaps,
+          {' '}{report.preprocessing.rejected} outlier jump{report.preprocessing.rejected === 1 ? '' : 's'} rejected,
+          {' '}{report.preprocessing.smoothing === SMOOTHING_NONE
+            ? 'no smoothing'
+            : `${SMOOTHING_LABELS[report.preprocessing.smoothing]} smoothing`}.
+        </p>
+      )}
+
+      {dropGroups.length > 0 && (
+        <div className="mt-2">
+          <h4 className="font-medium">Dropped frames</h4>
+          <ul className="list-disc list-inside">
+            {dropGroups.map(group => (
+              <li key={group.reason}>
+                {group.reason}: {group.frameIds.length} frame{group.frameIds.length === 1 ? '' : 's'}
+                {showDetails && (
+                  <span className="text-gray-600"> ({formatFrameRanges(group.frameIds)})</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {bodyKeypoints.length > 0 && (
+        <div className="mt-2">
+          <h4 className="font-medium">Missing keypoints (x/y = 0)</h4>
+          <ul className="list-disc list-inside">
+            {bodyKeypoints.map(keypoint => (
+              <li key={keypoint.name}>
+                {keypoint.name}: {keypoint.count} frame{keypoint.count === 1 ? '' : 's'} ({keypoint.percent.toFixed(0)}%)
+                {showDetails && (
+                  <span className="text-gray-600"> ({formatFrameRanges(keypoint.frameIds)})</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {faceKeypoints.length > 0 && (
+        <p className="mt-2 text-gray-600">
+          Face keypoints missing in some frames ({faceKeypoints.map(k => k.name).join(', ')}); they are not used by the analysis.
+        </p>
+      )}
+
+      {Object.keys(warningGroups).length > 0 && (
+        <div className="mt-2">
+          <h4 className="font-medium">Format warnings</h4>
+          <ul className="list-disc list-inside text-gray-700">
+            {Object.entries(warningGroups).map(([message, frameIds]) => (
+              <li key={message}>
+                {message}: {frameIds.length} frame{frameIds.length === 1 ? '' : 's'}
+                {showDetails && (
+                  <span className="text-gray-600"> ({formatFrameRanges(frameIds)})</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -1,13 +1,13 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
-import PickleballBackhandAnalysisV8 from './App';
+import PickleballStrokeAnalysis from './App';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <PickleballBackhandAnalysisV8 />
+    <PickleballStrokeAnalysis />
   </React.StrictMode>
 );
 
@@ -0,0 +1,90 @@
+// Past analyses, kept in IndexedDB since the curves outgrow localStorage.
+// One record per analyzed clip or session stroke; re-running it with other
+// settings replaces it:
+//   {id, fileName, playerId, player, analyzedAt, strokeType, settings, status,
+//    stats, recommendations, comparison, phases, traineePhases, alignment,
+//    anchorOverrides}
+// where anchorOverrides are the coach-corrected anchors it ran with (null
+// when all were detected).
+// Every call resolves (false, [] or null when storage fails) so a browser
+// without IndexedDB just has no history.
+
+const DATABASE_NAME = 'volley-shot-analysis';
+const DATABASE_VERSION = 1;
+const STORE = 'analyses';
+
+// What the history list and progress charts need; the curves stay behind
+// until an analysis is reopened
+const CURVE_FIELDS = ['comparison', 'phases', 'traineePhases', 'alignment'];
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' }).createIndex('analyzedAt', 'analyzedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Try again next time instead of caching the failure
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+  return databasePromise;
+};
+
+// One request in its own transaction, resolved once that has committed
+const runRequest = (mode, makeRequest) => openDatabase().then(database => new Promise((resolve, reject) => {
+  const transaction = database.transaction(STORE, mode);
+  const request = makeRequest(transaction.objectStore(STORE));
+  transaction.oncomplete = () => resolve(request.result);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+}));
+
+export const isHistoryAvailable = () => Boolean(window.indexedDB);
+
+// Same id for the same stroke of the same upload
+export const createAnalysisId = (uploadedAt, strokeIndex) => `analysis:${uploadedAt}:${strokeIndex ?? 'clip'}`;
+
+// False when the analysis could not be stored
+export const saveAnalysis = (record) => runRequest('readwrite', store => store.put(record))
+  .then(() => true)
+  .catch(error => {
+    console.error('Could not save the analysis:', error);
+    return false;
+  });
+
+// Every analysis without its curves, oldest first
+export const listAnalyses = () => runRequest('readonly', store => store.index('analyzedAt').getAll())
+  .then(records => records.map(record => {
+    const summary = { ...record };
+    CURVE_FIELDS.forEach(field => delete summary[field]);
+    return summary;
+  }))
+  .catch(error => {
+    console.error('Could not load the analysis history:', error);
+    return [];
+  });
+
+// The full record, or null when it is gone or can't be read
+export const loadAnalysis = (id) => runRequest('readonly', store => store.get(id))
+  .then(record => record || null)
+  .catch(error => {
+    console.error('Could not load the analysis:', error);
+    return null;
+  });
+
+// False when the analysis could not be deleted
+export const deleteAnalysis = (id) => runRequest('readwrite', store => store.delete(id))
+  .then(() => true)
+  .catch(error => {
+    console.error('Could not delete the analysis:', error);
+    return false;
+  });
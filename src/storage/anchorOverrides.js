@@ -0,0 +1,54 @@
+// Coach-corrected stroke anchors, kept in localStorage per clip and player
+// so a correction survives reloading the file. Anchors are stored as frame
+// ids: {backswingStart, backswingPeak, contact, followThroughEnd}, any of
+// which may be missing (that anchor stays automatic).
+
+const STORAGE_PREFIX = 'volley-shot-analysis:anchors:';
+
+export const ANCHOR_KEYS = ['backswingStart', 'backswingPeak', 'contact', 'followThroughEnd'];
+
+export const ANCHOR_LABELS = {
+  backswingStart: 'Backswing start',
+  backswingPeak: 'Top of backswing',
+  contact: 'Contact',
+  followThroughEnd: 'Finish'
+};
+
+// Identifies a clip by name, length and frame id range; re-exports of the
+// same capture under the same name share corrections
+export const getClipKey = (upload, personId) => {
+  const frames = upload.frames || [];
+  const first = frames[0]?.frameId;
+  const last = frames[frames.length - 1]?.frameId;
+  return `${upload.fileName}:${frames.length}:${first}-${last}:${personId ?? 'default'}`;
+};
+
+export const loadAnchorOverrides = (clipKey) => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_PREFIX + clipKey);
+    if (!stored) return null;
+    const parsed = JSON.parse(stored);
+    const overrides = {};
+    ANCHOR_KEYS.forEach(key => {
+      if (Number.isInteger(parsed[key])) overrides[key] = parsed[key];
+    });
+    return Object.keys(overrides).length ? overrides : null;
+  } catch (error) {
+    console.error('Could not load saved anchors:', error);
+    return null;
+  }
+};
+
+export const saveAnchorOverrides = (clipKey, overrides) => {
+  try {
+    if (overrides && Object.keys(overrides).length) {
+      window.localStorage.setItem(STORAGE_PREFIX + clipKey, JSON.stringify(overrides));
+    } else {
+      window.localStorage.removeItem(STORAGE_PREFIX + clipKey);
+    }
+    return true;
+  } catch (error) {
+    console.error('Could not save anchors:', error);
+    return false;
+  }
+};
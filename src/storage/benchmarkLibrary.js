@@ -0,0 +1,56 @@
+// Imported skill-level benchmarks (see analysis/benchmarks), kept in
+// localStorage as parsed: {id, fileName, name, strokeType, units, levels}
+
+import { parseBenchmark } from '../analysis/benchmarks';
+
+const STORAGE_KEY = 'volley-shot-analysis:benchmarks';
+
+// Benchmark choice (analysisSettings.benchmarkId) that turns benchmarking off
+export const BENCHMARK_NONE = 'none';
+
+export const loadBenchmarks = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (!stored) return [];
+    const parsed = JSON.parse(stored);
+    if (!Array.isArray(parsed)) return [];
+    // Re-parsed so entries saved by an older version are checked again
+    return parsed
+      .map(entry => {
+        const { benchmark } = parseBenchmark(entry);
+        return benchmark && typeof entry.id === 'string' ? { ...benchmark, id: entry.id, fileName: entry.fileName } : null;
+      })
+      .filter(Boolean);
+  } catch (error) {
+    console.error('Could not load benchmarks:', error);
+    return [];
+  }
+};
+
+// False when the benchmarks could not be stored
+export const saveBenchmarks = (benchmarks) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(benchmarks));
+    return true;
+  } catch (error) {
+    console.error('Could not save benchmarks:', error);
+    return false;
+  }
+};
+
+export const createBenchmarkEntry = (benchmark, fileName) => ({
+  ...benchmark,
+  id: `benchmark:${Date.now().toString(36)}:${Math.random().toString(36).slice(2, 8)}`,
+  fileName
+});
+
+export const listBenchmarks = (strokeType, benchmarks) => (
+  benchmarks.filter(benchmark => benchmark.strokeType === strokeType)
+);
+
+// The chosen benchmark, or the stroke type's first when none is chosen
+export const resolveBenchmark = (benchmarks, benchmarkId) => {
+  if (benchmarkId === BENCHMARK_NONE) return null;
+  if (benchmarkId) return benchmarks.find(benchmark => benchmark.id === benchmarkId) || null;
+  return benchmarks[0] || null;
+};
@@ -0,0 +1,78 @@
+// Each player's drill settings and the drills they have been assigned (see
+// analysis/drillSelection), kept in localStorage:
+//   preferences - {level, equipment, partner}
+//   assigned    - [{drillId, assignedAt}], oldest first
+// A null player id stands for uploads without a player.
+
+import { DRILL_LEVELS, DRILL_EQUIPMENT } from '../analysis/drillSelection';
+
+const PREFERENCES_KEY = 'volley-shot-analysis:drill-preferences';
+const ASSIGNED_KEY = 'volley-shot-analysis:assigned-drills';
+
+const playerKey = (key, playerId) => (playerId ? `${key}:${playerId}` : key);
+
+export const DEFAULT_DRILL_PREFERENCES = {
+  level: 'intermediate',
+  equipment: DRILL_EQUIPMENT,
+  partner: true
+};
+
+export const loadDrillPreferences = (playerId = null) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(playerKey(PREFERENCES_KEY, playerId)));
+    if (!stored) return DEFAULT_DRILL_PREFERENCES;
+    return {
+      level: DRILL_LEVELS.includes(stored.level) ? stored.level : DEFAULT_DRILL_PREFERENCES.level,
+      equipment: Array.isArray(stored.equipment)
+        ? stored.equipment.filter(item => DRILL_EQUIPMENT.includes(item))
+        : DEFAULT_DRILL_PREFERENCES.equipment,
+      partner: typeof stored.partner === 'boolean' ? stored.partner : DEFAULT_DRILL_PREFERENCES.partner
+    };
+  } catch (error) {
+    console.error('Could not load drill preferences:', error);
+    return DEFAULT_DRILL_PREFERENCES;
+  }
+};
+
+// False when the preferences could not be stored
+export const saveDrillPreferences = (playerId, preferences) => {
+  try {
+    window.localStorage.setItem(playerKey(PREFERENCES_KEY, playerId), JSON.stringify(preferences));
+    return true;
+  } catch (error) {
+    console.error('Could not save drill preferences:', error);
+    return false;
+  }
+};
+
+export const loadAssignedDrills = (playerId = null) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(playerKey(ASSIGNED_KEY, playerId)));
+    if (!Array.isArray(stored)) return [];
+    return stored.filter(entry => typeof entry?.drillId === 'string' && Number.isFinite(entry.assignedAt));
+  } catch (error) {
+    console.error('Could not load assigned drills:', error);
+    return [];
+  }
+};
+
+// False when the assignments could not be stored
+export const saveAssignedDrills = (playerId, assigned) => {
+  try {
+    window.localStorage.setItem(playerKey(ASSIGNED_KEY, playerId), JSON.stringify(assigned));
+    return true;
+  } catch (error) {
+    console.error('Could not save assigned drills:', error);
+    return false;
+  }
+};
+
+// Forgets a deleted player's drill settings and assignments
+export const removeDrillPlan = (playerId) => {
+  try {
+    window.localStorage.removeItem(playerKey(PREFERENCES_KEY, playerId));
+    window.localStorage.removeItem(playerKey(ASSIGNED_KEY, playerId));
+  } catch (error) {
+    console.error('Could not remove the drill plan:', error);
+  }
+};
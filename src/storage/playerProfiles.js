@@ -0,0 +1,34 @@
+// The coach's roster of player profiles (see analysis/playerProfiles), kept
+// in localStorage
+
+import { parsePlayer } from '../analysis/playerProfiles';
+
+const STORAGE_KEY = 'volley-shot-analysis:players';
+
+export const loadPlayers = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+    // Re-parsed so profiles saved by an older version are checked again
+    return stored.map(parsePlayer).filter(Boolean);
+  } catch (error) {
+    console.error('Could not load player profiles:', error);
+    return [];
+  }
+};
+
+// False when the profiles could not be stored
+export const savePlayers = (players) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(players));
+    return true;
+  } catch (error) {
+    console.error('Could not save player profiles:', error);
+    return false;
+  }
+};
+
+export const createPlayerId = () => `player:${Date.now().toString(36)}:${Math.random().toString(36).slice(2, 8)}`;
+
+// Players in name order
+export const sortPlayers = (players) => [...players].sort((a, b) => a.name.localeCompare(b.name));
@@ -0,0 +1,99 @@
+// Pro reference recordings: the one bundled with each stroke type plus any a
+// coach imports, which are kept in localStorage. Each reference is tagged so
+// the right ones can be picked, alone or averaged into a composite:
+// {id, player, strokeType, level, handedness, fileName, builtIn, frames}
+
+import { STROKE_TYPES } from '../analysis/strokeTypes';
+import { HANDEDNESS_RIGHT } from '../analysis/handedness';
+
+const STORAGE_KEY = 'volley-shot-analysis:references';
+
+export const LEVEL_PRO = 'pro';
+export const LEVEL_ADVANCED = 'advanced';
+export const LEVEL_COACH = 'coach';
+
+export const LEVEL_LABELS = {
+  [LEVEL_PRO]: 'Pro',
+  [LEVEL_ADVANCED]: 'Advanced',
+  [LEVEL_COACH]: 'Coach'
+};
+
+// Reference choice (analysisSettings.referenceId) that averages every
+// reference ticked for the composite
+export const REFERENCE_COMPOSITE = 'composite';
+
+// The bundled recordings are all of right-handed pros
+const BUILT_IN_REFERENCES = Object.entries(STROKE_TYPES)
+  .filter(([, type]) => type.reference)
+  .map(([strokeType, type]) => ({
+    id: `builtin:${strokeType}`,
+    player: type.reference.player,
+    strokeType,
+    level: LEVEL_PRO,
+    handedness: HANDEDNESS_RIGHT,
+    fileName: null,
+    builtIn: true,
+    frames: type.reference.frames
+  }));
+
+const isReference = (entry) => (
+  entry && typeof entry.id === 'string' && typeof entry.player === 'string' &&
+  STROKE_TYPES[entry.strokeType] && LEVEL_LABELS[entry.level] && Array.isArray(entry.frames)
+);
+
+export const loadImportedReferences = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (!stored) return [];
+    const parsed = JSON.parse(stored);
+    return Array.isArray(parsed) ? parsed.filter(isReference) : [];
+  } catch (error) {
+    console.error('Could not load imported references:', error);
+    return [];
+  }
+};
+
+// False when the references could not be stored (usually the storage quota)
+export const saveImportedReferences = (references) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(references));
+    return true;
+  } catch (error) {
+    console.error('Could not save imported references:', error);
+    return false;
+  }
+};
+
+export const createReference = (frames, tags, fileName) => ({
+  id: `imported:${Date.now().toString(36)}:${Math.random().toString(36).slice(2, 8)}`,
+  player: tags.player,
+  strokeType: tags.strokeType,
+  level: tags.level,
+  handedness: tags.handedness,
+  fileName,
+  builtIn: false,
+  frames
+});
+
+// Every reference for a stroke type, bundled first
+export const listReferences = (strokeType, imported) => (
+  [...BUILT_IN_REFERENCES, ...imported].filter(reference => reference.strokeType === strokeType)
+);
+
+// References an analysis compares against: the chosen one (the first when
+// none is chosen or it is gone), or every reference in the composite.
+// compositeIds of null means all of them.
+export const resolveReferences = (references, referenceId, compositeIds) => {
+  if (referenceId === REFERENCE_COMPOSITE) {
+    return references.filter(reference => !compositeIds || compositeIds.includes(reference.id));
+  }
+  const chosen = references.find(reference => reference.id === referenceId) || references[0];
+  return chosen ? [chosen] : [];
+};
+
+// Legend name for the reference curve
+export const describeReferences = (references) => {
+  if (!references.length) return 'Pro';
+  if (references.length === 1) return `${LEVEL_LABELS[references[0].level]} (${references[0].player})`;
+  return `Composite of ${references.length} references`;
+};
@@ -0,0 +1,34 @@
+// The scoring rule set in use (see analysis/scoringRules), kept in
+// localStorage once a coach edits or imports one; the default set otherwise
+
+import { parseRuleSet, DEFAULT_RULE_SET } from '../analysis/scoringRules';
+
+const STORAGE_KEY = 'volley-shot-analysis:rules';
+
+export const loadRuleSet = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (!stored) return DEFAULT_RULE_SET;
+    // Re-parsed so a set saved by an older version is checked again
+    const { ruleSet } = parseRuleSet(JSON.parse(stored));
+    return ruleSet || DEFAULT_RULE_SET;
+  } catch (error) {
+    console.error('Could not load scoring rules:', error);
+    return DEFAULT_RULE_SET;
+  }
+};
+
+// False when the rule set could not be stored
+export const saveRuleSet = (ruleSet) => {
+  try {
+    if (ruleSet === DEFAULT_RULE_SET) {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(ruleSet));
+    }
+    return true;
+  } catch (error) {
+    console.error('Could not save scoring rules:', error);
+    return false;
+  }
+};